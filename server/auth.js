@@ -0,0 +1,213 @@
+// Accounts, sessions and API tokens for the server.
+// Accounts live in AUTH_FILE (default data/auth.json, written with mode 600):
+//   { "users": [{ "username", "role": "admin" | "viewer", "passwordHash": "scrypt$<salt>$<hash>", "tokens": [{ "id", "name", "hash", "createdAt", "lastUsedAt" }] }] }
+// - admin: every wallet, the watcher controls, logs and account management
+// - viewer: only the wallets of the wallets.json user with the same name, which they can read and edit
+// Browsers log in with username and password and get an HttpOnly session cookie (kept in memory, SESSION_TTL_MS).
+// Scripts send "Authorization: Bearer <token>" with an API token created by the account; only a hash of it is stored.
+// With no accounts yet, ADMIN_PASSWORD (and optionally ADMIN_USER, default "admin") creates the first admin at startup.
+
+import { randomBytes, scrypt, timingSafeEqual, createHash } from 'node:crypto';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { promisify } from 'node:util';
+import { statusError } from './errors.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ['admin', 'viewer'];
+export const SESSION_COOKIE = 'ww_session';
+const SESSION_TTL_MS = Math.max(60000, Number(process.env.SESSION_TTL_MS || 12 * 3600000));
+const LOGIN_MAX_FAILURES = 5; // per client address within LOGIN_WINDOW_MS
+const LOGIN_WINDOW_MS = 15 * 60000;
+const USERNAME_RE = /^[A-Za-z0-9._@-]{1,64}$/;
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+const sha256 = (s) => createHash('sha256').update(s).digest('hex');
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+const publicUser = (u) => ({ username: u.username, role: u.role, tokens: (u.tokens || []).length });
+
+export function createAuth(path) {
+  let accounts = null; // { users: [...] }, loaded lazily
+  const sessions = new Map(); // sha256(session id) -> { username, expiresAt }
+  const failures = new Map(); // client address -> { count, since }
+  let saving = Promise.resolve();
+
+  async function load() {
+    if (accounts) return accounts;
+    accounts = existsSync(path) ? JSON.parse(await readFile(path, 'utf8')) : { users: [] };
+    if (!Array.isArray(accounts.users)) accounts.users = [];
+    return accounts;
+  }
+
+  // Saves run one after the other (a token's lastUsedAt is saved without waiting, alongside account changes); each writes
+  // the accounts as they are when its turn comes
+  function save() {
+    const run = saving.then(async () => {
+      await mkdir(dirname(path), { recursive: true });
+      const tmp = `${path}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+      await rename(tmp, path);
+    });
+    saving = run.catch(() => {});
+    return run;
+  }
+
+  const find = (username) => accounts.users.find((u) => u.username === username);
+
+  async function init() {
+    await load();
+    if (accounts.users.length) return;
+    if (!process.env.ADMIN_PASSWORD) {
+      console.warn(`[auth] no accounts in ${path}; set ADMIN_PASSWORD (and ADMIN_USER) to create the first admin`);
+      return;
+    }
+    await upsertUser({ username: process.env.ADMIN_USER || 'admin', password: process.env.ADMIN_PASSWORD, role: 'admin' });
+    console.log(`[auth] created admin account "${process.env.ADMIN_USER || 'admin'}"`);
+  }
+
+  async function upsertUser({ username, password, role }) {
+    await load();
+    if (!USERNAME_RE.test(String(username || ''))) throw statusError(400, 'invalid username');
+    if (role != null && !ROLES.includes(role)) throw statusError(400, `role must be one of ${ROLES.join(', ')}`);
+    if (password != null && String(password).length < 8) throw statusError(400, 'password must have at least 8 characters');
+    let user = find(username);
+    if (!user) {
+      if (password == null) throw statusError(400, 'password required');
+      user = { username, role: role || 'viewer', tokens: [] };
+      accounts.users.push(user);
+    }
+    if (role) user.role = role;
+    if (password != null) {
+      user.passwordHash = await hashPassword(password);
+      dropSessions(username);
+    }
+    await save();
+    return publicUser(user);
+  }
+
+  async function deleteUser(username) {
+    await load();
+    const before = accounts.users.length;
+    accounts.users = accounts.users.filter((u) => u.username !== username);
+    if (accounts.users.length === before) throw statusError(404, 'no such user');
+    dropSessions(username);
+    await save();
+  }
+
+  async function listUsers() {
+    await load();
+    return accounts.users.map(publicUser);
+  }
+
+  function dropSessions(username) {
+    for (const [id, s] of sessions) if (s.username === username) sessions.delete(id);
+  }
+
+  // -> { username, role, sessionId, expiresAt }
+  async function login(username, password, client) {
+    await load();
+    const f = failures.get(client);
+    if (f && Date.now() - f.since < LOGIN_WINDOW_MS && f.count >= LOGIN_MAX_FAILURES) throw statusError(429, 'too many failed logins, try again later');
+    const user = find(String(username || ''));
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      const cur = f && Date.now() - f.since < LOGIN_WINDOW_MS ? f : { count: 0, since: Date.now() };
+      failures.set(client, { ...cur, count: cur.count + 1 });
+      throw statusError(401, 'invalid username or password');
+    }
+    failures.delete(client);
+    const sessionId = randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    sessions.set(sha256(sessionId), { username: user.username, expiresAt });
+    return { username: user.username, role: user.role, sessionId, expiresAt };
+  }
+
+  function logout(sessionId) {
+    if (sessionId) sessions.delete(sha256(sessionId));
+  }
+
+  async function changePassword(username, current, next) {
+    await load();
+    const user = find(username);
+    if (!user || !(await verifyPassword(current, user.passwordHash))) throw statusError(401, 'current password is wrong');
+    return upsertUser({ username, password: next });
+  }
+
+  // Token format: ww_<id>_<secret>; returned once, stored as a hash
+  async function createToken(username, name) {
+    await load();
+    const user = find(username);
+    if (!user) throw statusError(404, 'no such user');
+    const id = randomBytes(6).toString('hex');
+    const token = `ww_${id}_${randomBytes(24).toString('base64url')}`;
+    const entry = { id, name: String(name || 'token').slice(0, 100), hash: sha256(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+    user.tokens = [...(user.tokens || []), entry];
+    await save();
+    return { id, name: entry.name, createdAt: entry.createdAt, token };
+  }
+
+  async function listTokens(username) {
+    await load();
+    return (find(username)?.tokens || []).map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }));
+  }
+
+  async function deleteToken(username, id) {
+    await load();
+    const user = find(username);
+    const before = user?.tokens?.length || 0;
+    if (user) user.tokens = (user.tokens || []).filter((t) => t.id !== id);
+    if (!user || user.tokens.length === before) throw statusError(404, 'no such token');
+    await save();
+  }
+
+  // The account behind a request (session cookie or bearer token), or null
+  async function identify(req) {
+    await load();
+    const bearer = String(req.get('authorization') || '').match(/^Bearer\s+(ww_([0-9a-f]+)_\S+)$/);
+    if (bearer) {
+      const user = accounts.users.find((u) => (u.tokens || []).some((t) => t.id === bearer[2]));
+      const entry = user?.tokens.find((t) => t.id === bearer[2]);
+      if (!entry || !timingSafeEqual(Buffer.from(entry.hash), Buffer.from(sha256(bearer[1])))) return null;
+      // written at most once a minute per token
+      if (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) > 60000) {
+        entry.lastUsedAt = new Date().toISOString();
+        save().catch((e) => console.error('[auth] save failed:', e?.message || e));
+      }
+      return { username: user.username, role: user.role, via: 'token' };
+    }
+    const sessionId = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    const session = sessionId && sessions.get(sha256(sessionId));
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(sha256(sessionId));
+      return null;
+    }
+    const user = find(session.username);
+    return user ? { username: user.username, role: user.role, via: 'session' } : null;
+  }
+
+  return { init, login, logout, identify, changePassword, upsertUser, deleteUser, listUsers, createToken, listTokens, deleteToken, parseCookies };
+}
@@ -0,0 +1,139 @@
+// wallets.json behind the server: validated, atomic writes (temp file then rename), one write at a time, and a stored
+// revision per change in CONFIG_REVISIONS_DIR (default data/config-revisions, the last CONFIG_REVISIONS_KEEP are kept):
+//   <rev>.json = { rev, at, author, action, rollbackOf?, diff: [...], config }
+// Clients send the revision they edited as If-Match ("rev-<n>", see etag()); a stale one is a 409 instead of a silent
+// overwrite. Edits made to the file by hand are picked up as an "external" revision on the next read.
+
+import { readFile, writeFile, rename, mkdir, readdir, unlink } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { validateWalletsConfig, walletEntryAddress } from '../src/wallet-config.mjs';
+import { statusError } from './errors.js';
+
+const KEEP = Math.max(1, Number(process.env.CONFIG_REVISIONS_KEEP || 100));
+
+export const etag = (rev) => `"rev-${rev}"`;
+
+async function writeAtomic(path, body) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmp, body);
+  await rename(tmp, path);
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const walletKey = (w) => walletEntryAddress(w)?.address ?? JSON.stringify(w);
+
+// Changes between two configs, per user and per wallet:
+//   [{ op: 'add' | 'remove' | 'change', user, address?, field?, before?, after? }]
+export function diffConfig(before, after) {
+  const out = [];
+  const byUser = (cfg) => new Map((Array.isArray(cfg) ? cfg : []).map((u, i) => [u?.user ?? `#${i}`, u]));
+  const a = byUser(before);
+  const b = byUser(after);
+  for (const [user, u] of a) if (!b.has(user)) out.push({ op: 'remove', user, before: u });
+  for (const [user, u] of b) {
+    const prev = a.get(user);
+    if (!prev) { out.push({ op: 'add', user, after: u }); continue; }
+    for (const field of new Set([...Object.keys(prev), ...Object.keys(u)])) {
+      if (field === 'wallets' || same(prev[field], u[field])) continue;
+      out.push({ op: 'change', user, field, before: prev[field], after: u[field] });
+    }
+    const wa = new Map((prev.wallets || []).map((w) => [walletKey(w), w]));
+    const wb = new Map((u.wallets || []).map((w) => [walletKey(w), w]));
+    for (const [address, w] of wa) if (!wb.has(address)) out.push({ op: 'remove', user, address, before: w });
+    for (const [address, w] of wb) {
+      if (!wa.has(address)) out.push({ op: 'add', user, address, after: w });
+      else if (!same(wa.get(address), w)) out.push({ op: 'change', user, address, before: wa.get(address), after: w });
+    }
+  }
+  return out;
+}
+
+export function createConfigStore({ path, revisionsDir }) {
+  let queue = Promise.resolve(); // reads and writes run one after the other
+  let latest = null; // { rev, config } of the newest stored revision
+  const revPath = (rev) => join(revisionsDir, `${String(rev).padStart(6, '0')}.json`);
+
+  async function listRevs() {
+    if (!existsSync(revisionsDir)) return [];
+    return (await readdir(revisionsDir)).filter((f) => /^\d+\.json$/.test(f)).map((f) => Number(f.slice(0, -5))).sort((x, y) => x - y);
+  }
+
+  async function loadRevision(rev) {
+    const p = revPath(rev);
+    if (!existsSync(p)) throw statusError(404, `no revision ${rev}`);
+    return JSON.parse(await readFile(p, 'utf8'));
+  }
+
+  async function record(config, { author, action, rollbackOf }) {
+    const rev = (latest?.rev ?? 0) + 1;
+    const entry = { rev, at: new Date().toISOString(), author: author ?? null, action, ...(rollbackOf ? { rollbackOf } : {}), diff: diffConfig(latest?.config ?? [], config), config };
+    await writeAtomic(revPath(rev), JSON.stringify(entry, null, 2));
+    latest = { rev, config };
+    const revs = await listRevs();
+    for (const old of revs.slice(0, Math.max(0, revs.length - KEEP))) await unlink(revPath(old)).catch(() => {});
+    return entry;
+  }
+
+  function serialized(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Current config and its revision; a file that differs from the newest revision (first run, hand edits) gets one
+  async function readNow() {
+    if (!latest) {
+      const revs = await listRevs();
+      if (revs.length) latest = { rev: revs[revs.length - 1], config: (await loadRevision(revs[revs.length - 1])).config };
+    }
+    const config = existsSync(path) ? JSON.parse(await readFile(path, 'utf8')) : [];
+    if (!latest || !same(latest.config, config)) await record(config, { author: null, action: latest ? 'external' : 'initial' });
+    return { config, rev: latest.rev };
+  }
+
+  // fn(config) -> next config (it gets a copy). Validates, checks expectedRev, writes and records a revision.
+  // -> { rev, changed, diff }
+  function update(fn, { author, action = 'update', expectedRev, rollbackOf } = {}) {
+    return serialized(async () => {
+      const { config, rev } = await readNow();
+      if (expectedRev != null && Number(expectedRev) !== rev) {
+        throw statusError(409, `config changed since revision ${expectedRev} (now ${rev}); reload and apply your change again`, { rev });
+      }
+      const next = await fn(structuredClone(config));
+      const errors = validateWalletsConfig(next);
+      if (errors.length) throw statusError(400, 'invalid config', errors);
+      if (same(next, config)) return { rev, changed: false, diff: [] };
+      await writeAtomic(path, JSON.stringify(next, null, 2));
+      const entry = await record(next, { author, action, rollbackOf });
+      return { rev: entry.rev, changed: true, diff: entry.diff };
+    });
+  }
+
+  const read = () => serialized(readNow);
+
+  async function revisions() {
+    await read();
+    const out = [];
+    for (const rev of (await listRevs()).reverse()) {
+      const { at, author, action, rollbackOf, diff } = await loadRevision(rev);
+      out.push({ rev, at, author, action, rollbackOf, changes: diff.length });
+    }
+    return out;
+  }
+
+  // Restores the config of an earlier revision as a new revision
+  async function rollback(rev, { author, expectedRev } = {}) {
+    const { config } = await loadRevision(rev);
+    return update(() => config, { author, action: 'rollback', rollbackOf: Number(rev), expectedRev });
+  }
+
+  return { read, update, revisions, revision: loadRevision, rollback };
+}
+
+// "rev-12" / "\"rev-12\"" / W/"rev-12" -> 12, or null
+export function parseRevision(header) {
+  const m = String(header || '').match(/rev-(\d+)/);
+  return m ? Number(m[1]) : null;
+}
@@ -0,0 +1,4 @@
+// Error carrying the HTTP status (and, for a rejected config, its problems by path) the server answers with
+export function statusError(status, message, details) {
+  return Object.assign(new Error(message), { status, details });
+}
@@ -1,14 +1,21 @@
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
-import { readFile, writeFile } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
-import { spawn } from 'node:child_process';
+import { existsSync, readFileSync, statSync } from 'node:fs';
 import { dirname, resolve as resolvePath } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { readHistory, readLatestHistory, parseResolution, parseTime } from '../src/history.mjs';
+import { parseWalletsConfig, validateWalletsConfig, walletEntryAddress, walletObject } from '../src/wallet-config.mjs';
+import { parseChainAddress, getAdapter } from '../src/adapters/index.mjs';
+import { addrKey } from '../src/util.mjs';
+import { createAuth, SESSION_COOKIE } from './auth.js';
+import { statusError } from './errors.js';
+import { createConfigStore, etag, parseRevision } from './config-store.js';
+import { createSupervisor, loadProfiles } from './supervisor.js';
 
 const app = express();
-app.use(cors());
+// The web app is served from the same origin (or the Vite proxy); other origins only when listed in CORS_ORIGINS
+if (process.env.CORS_ORIGINS) app.use(cors({ origin: process.env.CORS_ORIGINS.split(',').map((s) => s.trim()), credentials: true }));
 app.use(express.json());
 app.use(morgan('dev'));
 
@@ -17,74 +24,507 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = resolvePath(__dirname, '..');
 const CONFIG_PATH = resolvePath(ROOT, 'wallets.json');
 const WATCH_SCRIPT = resolvePath(ROOT, 'src', 'watch.mjs');
+// Written by the watcher (spawned with cwd ROOT); keep in sync with its --history default
+const HISTORY_DIR = resolvePath(ROOT, process.env.HISTORY_DIR || 'data/history');
+const AUTH_FILE = resolvePath(ROOT, process.env.AUTH_FILE || 'data/auth.json');
+const REVISIONS_DIR = resolvePath(ROOT, process.env.CONFIG_REVISIONS_DIR || 'data/config-revisions');
+const WATCHERS_PATH = resolvePath(ROOT, process.env.WATCHERS_FILE || 'watchers.json');
 
-let watcherProc = null;
-const logBuffer = [];
-const MAX_LOG_LINES = 500;
-
-function startWatcher(args = []) {
-  if (watcherProc) return { ok: false, message: 'already running' };
-  console.log('[watcher]', 'ROOT =', ROOT);
-  console.log('[watcher]', 'WATCH_SCRIPT =', WATCH_SCRIPT);
-  const spawnArgs = [WATCH_SCRIPT, '--config=wallets.json', ...args];
-  console.log('[watcher]', 'spawn:', 'node', spawnArgs.join(' '));
-  watcherProc = spawn('node', spawnArgs, { cwd: ROOT, stdio: ['ignore', 'pipe', 'pipe'] });
-  const onData = (chunk, isErr = false) => {
-    const text = chunk.toString();
-    process[isErr ? 'stderr' : 'stdout'].write(text);
-    for (const line of text.split(/\r?\n/)) {
-      if (!line) continue;
-      logBuffer.push((isErr ? '[err] ' : '') + line);
-      if (logBuffer.length > MAX_LOG_LINES) logBuffer.splice(0, logBuffer.length - MAX_LOG_LINES);
+const auth = createAuth(AUTH_FILE);
+const store = createConfigStore({ path: CONFIG_PATH, revisionsDir: REVISIONS_DIR });
+const sendError = (res, e) => res.status(e.status || 500).json({ error: String(e.message || e), ...(e.details ? { details: e.details } : {}) });
+
+// Live events for browsers (Server-Sent Events on /api/events): the watchers' structured events (received over IPC),
+// their log lines as { type: 'log' } and watcher start/exit as { type: 'status' }, each tagged with { watcher, primary }
+// (see supervisor.js). Every event gets an increasing id so a
+// reconnecting EventSource resumes from Last-Event-ID out of the recent buffer.
+const eventBuffer = [];
+const MAX_EVENTS = 1000;
+const sseClients = new Set();
+let lastEventId = 0;
+
+function publish(event) {
+  const ev = { id: ++lastEventId, t: new Date().toISOString(), ...event };
+  if (ev.name && ev.address) resolvedNames.set(addrKey(ev.address), ev.name);
+  if (ev.type === 'wallet.snapshot') latestBalances.set(addrKey(ev.address), { t: ev.t, totalUsd: ev.totalUsd, partial: !!ev.partial, networks: ev.networks, watcher: ev.watcher });
+  eventBuffer.push(ev);
+  if (eventBuffer.length > MAX_EVENTS) eventBuffer.splice(0, eventBuffer.length - MAX_EVENTS);
+  for (const client of sseClients) {
+    const visible = visibleEvent(client.account, ev);
+    if (visible) client.res.write(`id: ${ev.id}\ndata: ${JSON.stringify(visible)}\n\n`);
+  }
+}
+
+const supervisor = createSupervisor({ root: ROOT, script: WATCH_SCRIPT, profiles: await loadProfiles(WATCHERS_PATH), publish });
+
+// After a saved change: browsers hear about it as a config.changed event and the watchers reload
+function configSaved(result, author, action) {
+  if (!result.changed) return;
+  publish({ type: 'config.changed', rev: result.rev, author, action, changes: result.diff.length });
+  for (const name of supervisor.names()) supervisor.reload(name);
+}
+
+// Every config write goes through the store
+async function updateConfig(req, res, fn, action) {
+  const result = await store.update(fn, { author: req.account.username, action, expectedRev: parseRevision(req.get('if-match')) });
+  configSaved(result, req.account.username, action);
+  res.set('ETag', etag(result.rev));
+  return result;
+}
+
+// Access rules: admins see everything; a viewer sees the wallets.json user named like their account and events about
+// those wallets. Owners are re-parsed whenever wallets.json changes on disk.
+let ownersCache = { mtimeMs: -1, owners: new Map() }; // address key -> wallets.json user
+
+function walletOwners() {
+  const mtimeMs = existsSync(CONFIG_PATH) ? statSync(CONFIG_PATH).mtimeMs : 0;
+  if (mtimeMs !== ownersCache.mtimeMs) {
+    const owners = new Map();
+    try {
+      const data = mtimeMs ? JSON.parse(readFileSync(CONFIG_PATH, 'utf8')) : [];
+      for (const w of parseWalletsConfig(data)) if (w.user) owners.set(addrKey(w.address), w.user);
+    } catch (e) {
+      console.error('[auth] cannot read wallet owners:', e?.message || e);
     }
-  };
-  watcherProc.stdout.on('data', (c) => onData(c, false));
-  watcherProc.stderr.on('data', (c) => onData(c, true));
-  watcherProc.on('exit', (code) => { console.log('watcher exited', code); watcherProc = null; });
-  return { ok: true };
+    ownersCache = { mtimeMs, owners };
+  }
+  return ownersCache.owners;
+}
+
+// ENS/SNS wallets are owned by name in wallets.json; the watcher's events tell which address a name resolved to
+const resolvedNames = new Map(); // address key -> name
+
+// name -> the address the watcher last resolved it to, if it told us
+const addressOfName = (name) => [...resolvedNames].find(([, n]) => n === name)?.[0];
+
+// Latest reading per wallet from the watchers' wallet.snapshot events (address key -> { t, totalUsd, partial, networks, watcher });
+// wallets without one this server run fall back to the last line of their balance history
+const latestBalances = new Map();
+
+function ownerOf(address) {
+  const owners = walletOwners();
+  return owners.get(addrKey(address)) ?? owners.get(resolvedNames.get(addrKey(address)));
+}
+
+const canSeeAddress = (account, address) => account.role === 'admin' || ownerOf(address) === account.username;
+
+// The part of an event an account may see, or null
+function visibleEvent(account, ev) {
+  if (account.role === 'admin') return ev;
+  if (ev.type === 'status' || ev.type.startsWith('cycle.')) return ev;
+  if (ev.address) return canSeeAddress(account, ev.address) ? ev : null;
+  if (Array.isArray(ev.wallets)) {
+    const wallets = ev.wallets.filter((a) => canSeeAddress(account, a));
+    return wallets.length ? { ...ev, wallets } : null;
+  }
+  return null; // logs, RPC failures (endpoint URLs may carry API keys), ...
+}
+
+async function requireAccount(req, res, next) {
+  try {
+    req.account = await auth.identify(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (!req.account) return res.status(401).json({ error: 'login required' });
+  next();
 }
-function stopWatcher() {
-  if (!watcherProc) return { ok: false, message: 'not running' };
-  watcherProc.kill('SIGINT');
-  watcherProc = null;
-  return { ok: true };
+function requireAdmin(req, res, next) {
+  if (req.account?.role !== 'admin') return res.status(403).json({ error: 'admin only' });
+  next();
 }
-function statusWatcher() { return { running: !!watcherProc }; }
 
-async function readConfig() {
-  if (!existsSync(CONFIG_PATH)) return [];
-  const raw = await readFile(CONFIG_PATH, 'utf8');
-  return JSON.parse(raw);
+// Login, session and API tokens
+const cookieOptions = (req) => ({ httpOnly: true, sameSite: 'strict', path: '/', secure: req.secure || process.env.COOKIE_SECURE === 'true' });
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const s = await auth.login(username, password, req.ip);
+    res.cookie(SESSION_COOKIE, s.sessionId, { ...cookieOptions(req), maxAge: s.expiresAt - Date.now() });
+    res.json({ username: s.username, role: s.role });
+  } catch (e) { sendError(res, e); }
+});
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(auth.parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+  res.json({ ok: true });
+});
+
+// Everything below needs an account
+app.use('/api', requireAccount);
+
+app.get('/api/auth/me', (req, res) => res.json({ username: req.account.username, role: req.account.role }));
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    const { current, next } = req.body || {};
+    await auth.changePassword(req.account.username, current, next);
+    res.json({ ok: true });
+  } catch (e) { sendError(res, e); }
+});
+app.get('/api/auth/tokens', async (req, res) => {
+  try { res.json(await auth.listTokens(req.account.username)); } catch (e) { sendError(res, e); }
+});
+app.post('/api/auth/tokens', async (req, res) => {
+  try { res.json(await auth.createToken(req.account.username, req.body?.name)); } catch (e) { sendError(res, e); }
+});
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try { await auth.deleteToken(req.account.username, req.params.id); res.json({ ok: true }); } catch (e) { sendError(res, e); }
+});
+app.get('/api/auth/users', requireAdmin, async (_, res) => {
+  try { res.json(await auth.listUsers()); } catch (e) { sendError(res, e); }
+});
+// create an account or change its role / password
+app.post('/api/auth/users', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    if (username === req.account.username && role && role !== 'admin') throw statusError(400, 'cannot remove your own admin role');
+    res.json(await auth.upsertUser({ username, password: password || undefined, role }));
+  } catch (e) { sendError(res, e); }
+});
+app.delete('/api/auth/users/:username', requireAdmin, async (req, res) => {
+  try {
+    if (req.params.username === req.account.username) throw statusError(400, 'cannot delete your own account');
+    await auth.deleteUser(req.params.username);
+    res.json({ ok: true });
+  } catch (e) { sendError(res, e); }
+});
+
+// The primary watcher's status; admins also get every profile's (see /api/watchers)
+app.get('/api/status', (req, res) => {
+  const { running, state } = supervisor.status(supervisor.primary);
+  res.json(req.account.role === 'admin' ? { running, state, watchers: supervisor.names().map(supervisor.status) } : { running });
+});
+
+// Prometheus text of every running watcher as one exposition: each sample gets a watcher="<name>" label and the
+// families of all watchers are merged, so HELP and TYPE appear once per metric
+function mergeMetrics(parts) {
+  const families = new Map(); // metric name -> { meta: [lines], samples: [lines] }
+  const familyOf = (name) => {
+    if (!families.has(name)) families.set(name, { meta: [], samples: [] });
+    return families.get(name);
+  };
+  for (const { name, text } of parts) {
+    let current = null;
+    for (const line of text.split('\n')) {
+      const meta = line.match(/^# (HELP|TYPE) (\S+)/);
+      if (meta) {
+        current = familyOf(meta[2]);
+        if (!current.meta.some((l) => l.startsWith(`# ${meta[1]} `))) current.meta.push(line);
+        continue;
+      }
+      const sample = line.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(.+)$/);
+      if (!sample) continue;
+      (current ?? familyOf(sample[1])).samples.push(`${sample[1]}{watcher="${name}"${sample[2] ? `,${sample[2]}` : ''}} ${sample[3]}`);
+    }
+  }
+  return [...families.values()].map((f) => [...f.meta, ...f.samples].join('\n')).join('\n');
 }
-async function writeConfig(data) {
-  await writeFile(CONFIG_PATH, JSON.stringify(data, null, 2));
+
+// Prometheus scrape target (admin; scrapers send an API token as a bearer token)
+app.get('/metrics', requireAccount, requireAdmin, async (_, res) => {
+  const names = supervisor.names();
+  const texts = await Promise.all(names.map((name) => supervisor.metrics(name)));
+  const up = [
+    '# HELP walletwatcher_watcher_running 1 while the watcher process of a profile is running',
+    '# TYPE walletwatcher_watcher_running gauge',
+    ...names.map((name) => `walletwatcher_watcher_running{watcher="${name}"} ${supervisor.status(name).running ? 1 : 0}`),
+    '# HELP walletwatcher_watcher_restarts_total Restarts of a profile after its watcher crashed',
+    '# TYPE walletwatcher_watcher_restarts_total counter',
+    ...names.map((name) => `walletwatcher_watcher_restarts_total{watcher="${name}"} ${supervisor.status(name).restarts}`),
+    '# HELP walletwatcher_watcher_scrape_ok 1 when the running watcher answered this scrape',
+    '# TYPE walletwatcher_watcher_scrape_ok gauge',
+    ...names.map((name, i) => `walletwatcher_watcher_scrape_ok{watcher="${name}"} ${texts[i] ? 1 : 0}`)
+  ].join('\n');
+  const merged = mergeMetrics(names.map((name, i) => ({ name, text: texts[i] || '' })));
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(`${up}\n${merged ? `${merged}\n` : ''}`);
+});
+
+// Settings a start can override for that run: { networks, only, interval, usdDelta, concurrency }
+function startOverrides(body) {
+  const { networks, only, interval, usdDelta, concurrency } = body || {};
+  return Object.fromEntries(Object.entries({ networks, only, interval, usdDelta, concurrency }).filter(([, v]) => v));
 }
 
-app.get('/api/status', (_, res) => res.json(statusWatcher()));
-app.post('/api/watcher/start', async (req, res) => {
-  const { only, interval, usdDelta, concurrency } = req.body || {};
-  const args = [];
-  if (only) args.push(`--only=${only}`);
-  if (interval) args.push(`--interval=${interval}`);
-  if (usdDelta) args.push(`--usdDelta=${usdDelta}`);
-  if (concurrency) args.push(`--concurrency=${concurrency}`);
-  const r = startWatcher(args);
-  res.json(r);
+// The single-watcher controls of the web UI act on the primary profile
+app.post('/api/watcher/start', requireAdmin, async (req, res) => res.json(supervisor.start(supervisor.primary, startOverrides(req.body))));
+app.post('/api/watcher/stop', requireAdmin, async (_, res) => res.json(await supervisor.stop(supervisor.primary)));
+app.post('/api/watcher/reload', requireAdmin, async (_, res) => res.json(supervisor.reload(supervisor.primary)));
+
+// Watcher profiles (admin): all of them, one with its recent log lines (?logs=200), and start (body as above), stop,
+// restart and reload of one
+app.get('/api/watchers', requireAdmin, (_, res) => res.json(supervisor.names().map(supervisor.status)));
+app.get('/api/watchers/:name', requireAdmin, (req, res) => {
+  try {
+    const limit = Math.max(0, Math.min(500, Number(req.query.logs ?? 200)));
+    res.json({ ...supervisor.status(req.params.name), logs: supervisor.logs(req.params.name, limit) });
+  } catch (e) { sendError(res, e); }
+});
+app.post('/api/watchers/:name/:action(start|stop|restart|reload)', requireAdmin, async (req, res) => {
+  try {
+    const { name, action } = req.params;
+    if (action === 'start') res.json(supervisor.start(name, startOverrides(req.body)));
+    else res.json(await supervisor[action](name));
+  } catch (e) { sendError(res, e); }
 });
-app.post('/api/watcher/stop', async (_, res) => res.json(stopWatcher()));
 
-app.get('/api/wallets', async (_, res) => {
-  try { res.json(await readConfig()); } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
+// Admins get and replace the whole file; viewers only their own user object(s). The ETag is the config revision;
+// send it back as If-Match to get a 409 instead of overwriting someone else's change.
+app.get('/api/wallets', async (req, res) => {
+  try {
+    const { config, rev } = await store.read();
+    res.set('ETag', etag(rev));
+    res.json(req.account.role === 'admin' ? config : config.filter((u) => u?.user === req.account.username));
+  } catch (e) { sendError(res, e); }
 });
 app.post('/api/wallets', async (req, res) => {
-  try { await writeConfig(req.body || []); res.json({ ok: true }); } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
+  try {
+    const body = req.body;
+    if (!Array.isArray(body)) throw statusError(400, 'config root must be an array');
+    const { username, role } = req.account;
+    const result = await updateConfig(req, res, (config) => {
+      if (role === 'admin') return body;
+      const own = body.map((u) => ({ ...u, user: u?.user ?? username }));
+      if (own.some((u) => u.user !== username)) throw statusError(403, 'you can only edit your own wallets');
+      // a viewer can't claim wallets of another user (and with them that user's events and history)
+      const owners = new Map(parseWalletsConfig(config).map((w) => [w.address, w.user]));
+      const taken = parseWalletsConfig(own).find((w) => (owners.get(w.address) ?? username) !== username);
+      if (taken) throw statusError(409, `wallet ${taken.address} belongs to another user`);
+      // the viewer's objects are replaced where the first of them was; everyone else's stay as they are
+      const at = config.findIndex((u) => u?.user === username);
+      const others = config.filter((u) => u?.user !== username);
+      return at < 0 ? [...others, ...own] : [...others.slice(0, at), ...own, ...others.slice(at)];
+    }, 'replace');
+    res.json({ ok: true, ...result });
+  } catch (e) { sendError(res, e); }
+});
+// Checks a config (a viewer's own users, or the whole file) without saving it, for the web app's editor:
+//   { errors: [{ path, message }] as a save would report them, wallets: { "[i].wallets[j]": { chain, address, name? } }
+//     with each valid wallet's address as the watcher reads it (EVM checksummed), config: the same config with every
+//     wallet in object form }
+app.post('/api/wallets/validate', (req, res) => {
+  const config = req.body;
+  const wallets = {};
+  const users = Array.isArray(config) ? config : [];
+  users.forEach((u, i) => (Array.isArray(u?.wallets) ? u.wallets : []).forEach((w, j) => {
+    const parsed = walletEntryAddress(w);
+    if (parsed) wallets[`[${i}].wallets[${j}]`] = { chain: parsed.chain, address: parsed.address, ...(parsed.name ? { name: parsed.name } : {}) };
+  }));
+  res.json({
+    errors: validateWalletsConfig(config),
+    wallets,
+    config: Array.isArray(config) ? users.map((u) => (Array.isArray(u?.wallets) ? { ...u, wallets: u.wallets.map(walletObject) } : u)) : config
+  });
+});
+
+// One wallet of one user: /api/users/:user/wallets/:address, where :address may carry a chain prefix (sol:..., tron:...).
+// POST creates it (body: label, email, tokens, channels, digest, rules; chain when the address alone is ambiguous),
+// PATCH changes those fields (null removes one), DELETE removes the wallet. Entries come back in object form.
+const WALLET_FIELDS = ['label', 'email', 'tokens', 'channels', 'digest', 'rules'];
+
+function requireOwnUser(req, res, next) {
+  if (req.account.role !== 'admin' && req.params.user !== req.account.username) return res.status(403).json({ error: 'you can only access your own wallets' });
+  next();
+}
+
+function walletParam(req) {
+  const chain = typeof req.body?.chain === 'string' ? req.body.chain.toLowerCase() : null;
+  const parsed = parseChainAddress(chain && !req.params.address.includes(':') ? `${chain}:${req.params.address}` : req.params.address);
+  if (!parsed) throw statusError(400, `invalid address ${req.params.address}`);
+  return parsed;
+}
+
+function walletFields(body, { allowNull }) {
+  const out = {};
+  for (const [key, v] of Object.entries(body || {})) {
+    if (key === 'chain' || key === 'address') continue;
+    if (!WALLET_FIELDS.includes(key)) throw statusError(400, `unknown field ${key}; expected ${WALLET_FIELDS.join(', ')}`);
+    if (v === null && !allowNull) continue;
+    out[key] = v;
+  }
+  return out;
+}
+
+const findWallet = (u, address) => (u?.wallets || []).findIndex((w) => walletEntryAddress(w)?.address === address);
+
+app.get('/api/users/:user/wallets', requireOwnUser, async (req, res) => {
+  try {
+    const { config, rev } = await store.read();
+    const u = config.find((x) => x?.user === req.params.user);
+    if (!u) return res.status(404).json({ error: 'unknown user' });
+    res.set('ETag', etag(rev));
+    res.json({ user: u.user, wallets: (u.wallets || []).map(walletObject) });
+  } catch (e) { sendError(res, e); }
+});
+app.get('/api/users/:user/wallets/:address', requireOwnUser, async (req, res) => {
+  try {
+    const { address } = walletParam(req);
+    const { config, rev } = await store.read();
+    const u = config.find((x) => x?.user === req.params.user);
+    const i = findWallet(u, address);
+    if (i < 0) return res.status(404).json({ error: 'unknown wallet' });
+    res.set('ETag', etag(rev));
+    res.json(walletObject(u.wallets[i]));
+  } catch (e) { sendError(res, e); }
+});
+app.post('/api/users/:user/wallets/:address', requireOwnUser, async (req, res) => {
+  try {
+    const { chain, address } = walletParam(req);
+    const entry = { address, ...(chain !== 'evm' ? { chain } : {}), ...walletFields(req.body, { allowNull: false }) };
+    const result = await updateConfig(req, res, (config) => {
+      if (parseWalletsConfig(config).some((w) => w.address === address)) throw statusError(409, `wallet ${address} already exists`);
+      let u = config.find((x) => x?.user === req.params.user);
+      if (!u) config.push((u = { user: req.params.user, wallets: [] }));
+      u.wallets = [...(u.wallets || []), entry];
+      return config;
+    }, 'wallet.add');
+    res.status(201).json({ ...entry, rev: result.rev });
+  } catch (e) { sendError(res, e); }
+});
+app.patch('/api/users/:user/wallets/:address', requireOwnUser, async (req, res) => {
+  try {
+    const { address } = walletParam(req);
+    const fields = walletFields(req.body, { allowNull: true });
+    let updated;
+    const result = await updateConfig(req, res, (config) => {
+      const u = config.find((x) => x?.user === req.params.user);
+      const i = findWallet(u, address);
+      if (i < 0) throw statusError(404, 'unknown wallet');
+      updated = { ...walletObject(u.wallets[i]) };
+      for (const [key, v] of Object.entries(fields)) {
+        if (v === null) delete updated[key];
+        else updated[key] = v;
+      }
+      u.wallets[i] = updated;
+      return config;
+    }, 'wallet.update');
+    res.json({ ...updated, rev: result.rev });
+  } catch (e) { sendError(res, e); }
+});
+app.delete('/api/users/:user/wallets/:address', requireOwnUser, async (req, res) => {
+  try {
+    const { address } = walletParam(req);
+    const result = await updateConfig(req, res, (config) => {
+      const u = config.find((x) => x?.user === req.params.user);
+      const i = findWallet(u, address);
+      if (i < 0) throw statusError(404, 'unknown wallet');
+      u.wallets.splice(i, 1);
+      return config;
+    }, 'wallet.remove');
+    res.json({ ok: true, rev: result.rev });
+  } catch (e) { sendError(res, e); }
+});
+
+// Config revisions (admin): list, one revision with its diff and config, rollback to it (recorded as a new revision)
+app.get('/api/config/revisions', requireAdmin, async (_, res) => {
+  try { res.json(await store.revisions()); } catch (e) { sendError(res, e); }
+});
+app.get('/api/config/revisions/:rev', requireAdmin, async (req, res) => {
+  try { res.json(await store.revision(Number(req.params.rev))); } catch (e) { sendError(res, e); }
+});
+app.post('/api/config/revisions/:rev/rollback', requireAdmin, async (req, res) => {
+  try {
+    const result = await store.rollback(Number(req.params.rev), { author: req.account.username, expectedRev: parseRevision(req.get('if-match')) });
+    configSaved(result, req.account.username, 'rollback');
+    res.set('ETag', etag(result.rev));
+    res.json({ ok: true, ...result });
+  } catch (e) { sendError(res, e); }
+});
+
+// Balance history for one wallet: ?from=&to= (epoch ms or ISO date), ?resolution=raw|5m|1h|1d
+app.get('/api/wallets/:address/history', async (req, res) => {
+  if (!/^[0-9A-Za-z]{20,100}$/.test(req.params.address)) return res.status(400).json({ error: 'invalid address' });
+  if (!canSeeAddress(req.account, req.params.address)) return res.status(404).json({ error: 'unknown wallet' });
+  let range;
+  try {
+    range = {
+      from: parseTime(req.query.from, 0),
+      to: parseTime(req.query.to, Date.now()),
+      resolution: parseResolution(req.query.resolution)
+    };
+  } catch (e) { return res.status(400).json({ error: String(e.message || e) }); }
+  try {
+    const points = await readHistory(HISTORY_DIR, req.params.address, range);
+    res.json({ address: req.params.address, from: range.from, to: range.to, resolution: req.query.resolution || 'raw', points });
+  } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
 });
 
-app.get('/api/logs', (req, res) => {
-  const limit = Math.max(1, Math.min(1000, Number(req.query.limit || 200)));
-  const lines = logBuffer.slice(-limit);
-  res.json({ lines });
+// Latest balances of every wallet the account can see, for the dashboard: native and token amounts and USD per
+// network, per-network errors, the USD total and when it was read (updatedAt null: not read yet, or an ENS/SNS name
+// the watcher hasn't resolved since the server started). partial: some networks errored, so the total only covers the
+// rest; it is null when none could be read.
+app.get('/api/balances', async (req, res) => {
+  try {
+    const { config } = await store.read();
+    const seen = new Set();
+    const wallets = [];
+    for (const e of parseWalletsConfig(config)) {
+      if (req.account.role !== 'admin' && e.user !== req.account.username) continue;
+      if (seen.has(`${e.user}:${e.chain}:${e.address}`)) continue;
+      seen.add(`${e.user}:${e.chain}:${e.address}`);
+      const address = e.name ? addressOfName(e.name) : e.address;
+      let latest = address ? latestBalances.get(addrKey(address)) : null;
+      if (!latest && address) {
+        const rec = await readLatestHistory(HISTORY_DIR, address).catch(() => null);
+        if (rec) {
+          // history lines keep the total of whatever could be read; tell it apart the way wallet.snapshot does
+          const nets = Object.values(rec.networks || {});
+          const errored = nets.filter((n) => n?.error).length;
+          latest = { t: new Date(rec.t).toISOString(), totalUsd: nets.length && errored === nets.length ? null : rec.totalUsd, partial: errored > 0, networks: rec.networks };
+        }
+      }
+      wallets.push({
+        user: e.user ?? null, label: e.label ?? null, chain: e.chain, address: address ? getAdapter(e.chain).normalize(address) : e.address, name: e.name ?? null,
+        updatedAt: latest?.t ?? null, totalUsd: latest?.totalUsd ?? null, partial: latest?.partial ?? false, networks: latest?.networks ?? {}, watcher: latest?.watcher ?? null
+      });
+    }
+    res.json({ wallets });
+  } catch (e) { sendError(res, e); }
 });
 
+// Server-Sent Events: replays buffered events after Last-Event-ID (or ?since=<id>), then streams new ones
+app.get('/api/events', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  const since = Number(req.get('Last-Event-ID') || req.query.since || 0);
+  // status first so a fresh client knows which watchers run
+  if (!since) {
+    for (const name of supervisor.names()) {
+      const { running, state } = supervisor.status(name);
+      res.write(`data: ${JSON.stringify({ type: 'status', t: new Date().toISOString(), running, state, watcher: name, primary: name === supervisor.primary })}\n\n`);
+    }
+  }
+  for (const ev of eventBuffer) {
+    const visible = ev.id > since && visibleEvent(req.account, ev);
+    if (visible) res.write(`id: ${ev.id}\ndata: ${JSON.stringify(visible)}\n\n`);
+  }
+  const client = { res, account: req.account };
+  sseClients.add(client);
+  // comment frames keep proxies from closing an idle stream
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => { clearInterval(ping); sseClients.delete(client); });
+});
+
+// Log lines of the primary watcher, or of ?watcher=<name>
+app.get('/api/logs', requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit || 200)));
+  try {
+    res.json({ lines: supervisor.logs(String(req.query.watcher || supervisor.primary), limit) });
+  } catch (e) { sendError(res, e); }
+});
+
+await auth.init();
 const port = Number(process.env.PORT || 4000);
-app.listen(port, () => console.log(`server listening on http://localhost:${port}`));
+app.listen(port, () => {
+  console.log(`server listening on http://localhost:${port}`);
+  supervisor.autostart();
+});
+
+// Ctrl-C / SIGTERM: every watcher finishes its cycle and stops before the server exits
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`[watcher] ${signal}: stopping watchers`);
+    await supervisor.stopAll();
+    process.exit(0);
+  });
+}
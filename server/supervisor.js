@@ -0,0 +1,266 @@
+// Watcher profiles: named src/watch.mjs processes run by the server side by side, each with its own networks, interval,
+// thresholds and wallet subset. They come from watchers.json (WATCHERS_FILE):
+//   [{ "name": "main", "networks": "mainnets", "interval": 30000, "usdDelta": 0.1, "autostart": true },
+//    { "name": "testnets", "networks": "testnets", "users": ["alex"], "wallets": ["0x...", "treasury.eth"], "interval": 120000,
+//      "args": ["--quorum=true"] }]
+// Without the file there is one profile, "default", which is started and stopped from the web UI. The first profile is
+// the primary one: the single-watcher endpoints (/api/watcher/*, /api/status, /api/logs) act on it. The "default"
+// profile keeps the watcher's default state file; every other profile gets data/watcher-state.<name>.json.
+// A profile that crashes is started again after 1s, 2s, 4s ... up to WATCHER_RESTART_MAX_MS (default 5 min); the delay
+// starts over once it has stayed up for WATCHER_STABLE_MS. One that exits with EXIT_USAGE (a bad command line or config,
+// see src/watch.mjs) would only fail the same way again, so it is left exited. Stopping sends SIGINT, which lets the watcher finish its
+// cycle, and kills it if it is still there after WATCHER_STOP_TIMEOUT_MS.
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { spawn } from 'node:child_process';
+import { statusError } from './errors.js';
+
+const RESTART_BASE_MS = 1000;
+const RESTART_MAX_MS = Math.max(RESTART_BASE_MS, Number(process.env.WATCHER_RESTART_MAX_MS || 300000));
+const STABLE_MS = Math.max(1000, Number(process.env.WATCHER_STABLE_MS || 60000));
+const STOP_TIMEOUT_MS = Math.max(1000, Number(process.env.WATCHER_STOP_TIMEOUT_MS || 30000));
+const MAX_LOG_LINES = 500;
+const EXIT_USAGE = 2;
+
+// Profile settings -> watcher flags; a start can override networks, only, interval, usdDelta and concurrency
+const FLAGS = ['networks', 'only', 'interval', 'usdDelta', 'concurrency', 'confirmations', 'quorum', 'users', 'wallets'];
+const list = (v) => (Array.isArray(v) ? v.map(String).join(',') : String(v));
+
+function profileArgs(profile) {
+  const args = [];
+  for (const key of FLAGS) if (profile[key] != null && profile[key] !== '') args.push(`--${key}=${list(profile[key])}`);
+  if (profile.name !== 'default') args.push(`--state=data/watcher-state.${profile.name}.json`);
+  return [...args, ...(profile.args || [])];
+}
+
+// watchers.json contents -> profiles; throws on anything it can't use
+export function parseProfiles(data, where = 'watchers.json') {
+  if (!Array.isArray(data) || !data.length) throw new Error(`${where}: expected an array of profiles`);
+  const names = new Set();
+  return data.map((p, i) => {
+    const at = `${where}[${i}]`;
+    if (!p || typeof p !== 'object' || Array.isArray(p)) throw new Error(`${at}: profile must be an object`);
+    if (typeof p.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(p.name)) throw new Error(`${at}.name: letters, digits, "-" and "_" only`);
+    if (names.has(p.name)) throw new Error(`${at}.name: duplicate profile "${p.name}"`);
+    names.add(p.name);
+    for (const key of ['interval', 'usdDelta', 'concurrency', 'confirmations']) {
+      if (p[key] != null && !Number.isFinite(Number(p[key]))) throw new Error(`${at}.${key}: expected a number`);
+    }
+    if (p.args != null && (!Array.isArray(p.args) || p.args.some((a) => typeof a !== 'string' || !a.startsWith('--')))) {
+      throw new Error(`${at}.args: expected an array of "--flag=value" strings`);
+    }
+    return { ...p, autostart: p.autostart === true };
+  });
+}
+
+export async function loadProfiles(path) {
+  if (!existsSync(path)) return [{ name: 'default' }];
+  return parseProfiles(JSON.parse(await readFile(path, 'utf8')), path);
+}
+
+// publish(event) gets each watcher's structured events, log lines and status changes, tagged with { watcher: name }
+export function createSupervisor({ root, script, profiles, publish }) {
+  const primary = profiles[0].name;
+  const watchers = new Map(profiles.map((p) => [p.name, {
+    profile: p,
+    overrides: {},
+    state: 'stopped', // running | stopping | stopped | backoff | exited
+    proc: null,
+    exited: null, // resolves when the current process exits
+    startedAt: null,
+    restarts: 0,
+    failures: 0, // crashes in a row, for the restart delay
+    restartTimer: null,
+    nextRestartAt: null,
+    lastExit: null,
+    lastCycle: null,
+    logs: [],
+    replies: new Map() // IPC request id -> resolve
+  }]));
+  let requestId = 0;
+
+  const get = (name) => {
+    const w = watchers.get(name);
+    if (!w) throw statusError(404, `unknown watcher "${name}"`);
+    return w;
+  };
+  const emit = (w, event) => publish({ ...event, watcher: w.profile.name, primary: w.profile.name === primary });
+  const emitStatus = (w, extra = {}) => emit(w, { type: 'status', running: w.state === 'running' || w.state === 'stopping', state: w.state, ...extra });
+
+  function spawnWatcher(w) {
+    const args = [script, '--config=wallets.json', ...profileArgs({ ...w.profile, ...w.overrides })];
+    console.log(`[watcher:${w.profile.name}] spawn: node ${args.join(' ')}`);
+    // the IPC channel carries the watcher's structured events (src/events.mjs); the server's own node runs it, PATH or not
+    const proc = spawn(process.execPath, args, { cwd: root, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    w.proc = proc;
+    w.state = 'running';
+    w.startedAt = Date.now();
+    w.nextRestartAt = null;
+    const onData = (chunk, isErr) => {
+      const text = chunk.toString();
+      process[isErr ? 'stderr' : 'stdout'].write(text);
+      for (const line of text.split(/\r?\n/)) {
+        if (!line) continue;
+        w.logs.push((isErr ? '[err] ' : '') + line);
+        if (w.logs.length > MAX_LOG_LINES) w.logs.splice(0, w.logs.length - MAX_LOG_LINES);
+        emit(w, { type: 'log', stream: isErr ? 'stderr' : 'stdout', line });
+      }
+    };
+    proc.stdout.on('data', (c) => onData(c, false));
+    proc.stderr.on('data', (c) => onData(c, true));
+    proc.on('message', (msg) => {
+      if (msg?.type === 'metrics') return w.replies.get(msg.id)?.(msg.text);
+      if (msg?.type === 'cycle.end') w.lastCycle = { at: msg.t || new Date().toISOString(), ...msg };
+      if (msg && typeof msg.type === 'string') emit(w, msg);
+    });
+    w.exited = new Promise((resolve) => {
+      let settled = false;
+      const finish = (code, signal, error) => {
+        if (settled) return;
+        settled = true;
+        // the handle is only dropped here, once the process is gone; a stop in progress waits for this
+        w.proc = null;
+        w.lastExit = { code, signal, ...(error && { error }), at: new Date().toISOString() };
+        for (const reply of w.replies.values()) reply(null);
+        const requested = w.state === 'stopping';
+        console.log(`[watcher:${w.profile.name}] exited`, error || signal || code);
+        if (requested) {
+          w.state = 'stopped';
+          emitStatus(w, { exitCode: code });
+        } else if ((code === 0 || code === EXIT_USAGE) && !signal) {
+          w.state = 'exited';
+          emitStatus(w, { exitCode: code });
+        } else {
+          scheduleRestart(w, code, signal, error);
+        }
+        resolve();
+      };
+      proc.on('exit', (code, signal) => finish(code, signal));
+      // spawn failures (no such binary, no permission) never emit 'exit'; they count as a crash
+      proc.on('error', (e) => {
+        if (proc.pid == null) finish(null, null, e.message);
+        else console.error(`[watcher:${w.profile.name}] ${e.message}`);
+      });
+    });
+    emitStatus(w);
+  }
+
+  function scheduleRestart(w, code, signal, error) {
+    if (Date.now() - w.startedAt >= STABLE_MS) w.failures = 0;
+    const delay = Math.min(RESTART_MAX_MS, RESTART_BASE_MS * 2 ** w.failures);
+    w.failures++;
+    w.state = 'backoff';
+    w.nextRestartAt = Date.now() + delay;
+    console.warn(`[watcher:${w.profile.name}] crashed (${error || signal || `exit ${code}`}); restarting in ${delay}ms`);
+    emitStatus(w, { exitCode: code, signal, ...(error && { error }), restartInMs: delay });
+    w.restartTimer = setTimeout(() => {
+      w.restartTimer = null;
+      w.restarts++;
+      spawnWatcher(w);
+    }, delay);
+  }
+
+  function start(name, overrides = {}) {
+    const w = get(name);
+    if (w.state === 'running') return { ok: false, message: 'already running' };
+    if (w.state === 'stopping') return { ok: false, message: 'still stopping' };
+    clearTimeout(w.restartTimer);
+    w.restartTimer = null;
+    w.overrides = overrides;
+    w.failures = 0;
+    spawnWatcher(w);
+    return { ok: true };
+  }
+
+  async function stop(name) {
+    const w = get(name);
+    if (w.state === 'backoff') {
+      clearTimeout(w.restartTimer);
+      w.restartTimer = null;
+      w.nextRestartAt = null;
+      w.state = 'stopped';
+      emitStatus(w);
+      return { ok: true };
+    }
+    if (!w.proc) return { ok: false, message: 'not running' };
+    if (w.state !== 'stopping') {
+      w.state = 'stopping';
+      emitStatus(w);
+      w.proc.kill('SIGINT');
+    }
+    const proc = w.proc;
+    const kill = setTimeout(() => {
+      console.warn(`[watcher:${name}] still running after ${STOP_TIMEOUT_MS}ms; killing it`);
+      proc.kill('SIGKILL');
+    }, STOP_TIMEOUT_MS);
+    await w.exited;
+    clearTimeout(kill);
+    return { ok: true };
+  }
+
+  async function restart(name) {
+    const w = get(name);
+    if (w.proc || w.state === 'backoff') await stop(name);
+    return start(name, w.overrides);
+  }
+
+  // Asks a running watcher to re-read wallets.json (it also reloads on file changes and SIGHUP)
+  function reload(name) {
+    const w = get(name);
+    if (!w.proc?.connected) return { ok: false, message: 'not running' };
+    w.proc.send({ type: 'reload' });
+    return { ok: true };
+  }
+
+  // Prometheus text of a running watcher (src/metrics.mjs), asked for over IPC; null when it doesn't answer
+  function metrics(name, timeoutMs = 5000) {
+    const w = get(name);
+    if (!w.proc?.connected) return Promise.resolve(null);
+    const id = ++requestId;
+    return new Promise((resolve) => {
+      const done = (text) => {
+        clearTimeout(timer);
+        w.replies.delete(id);
+        resolve(text ?? null);
+      };
+      const timer = setTimeout(() => done(null), timeoutMs);
+      w.replies.set(id, done);
+      w.proc.send({ type: 'metrics', id });
+    });
+  }
+
+  function status(name) {
+    const w = get(name);
+    const up = w.state === 'running' || w.state === 'stopping';
+    return {
+      name,
+      primary: name === primary,
+      state: w.state,
+      running: up,
+      pid: w.proc?.pid ?? null,
+      startedAt: up ? new Date(w.startedAt).toISOString() : null,
+      uptimeMs: up ? Date.now() - w.startedAt : null,
+      restarts: w.restarts,
+      nextRestartAt: w.nextRestartAt ? new Date(w.nextRestartAt).toISOString() : null,
+      lastExit: w.lastExit,
+      lastCycleAt: w.lastCycle?.at ?? null,
+      lastCycle: w.lastCycle ? { wallets: w.lastCycle.wallets, changes: w.lastCycle.changes, errors: w.lastCycle.errors, durationMs: w.lastCycle.durationMs } : null,
+      args: profileArgs({ ...w.profile, ...w.overrides })
+    };
+  }
+
+  const logs = (name, limit = 200) => get(name).logs.slice(-limit);
+
+  // Server shutdown: every watcher stopped gracefully, in parallel
+  const stopAll = () => Promise.all([...watchers.keys()].map((name) => stop(name)));
+
+  // Profiles with "autostart": true, once the server is ready
+  const autostart = () => profiles.filter((p) => p.autostart).forEach((p) => start(p.name));
+
+  return {
+    primary,
+    names: () => [...watchers.keys()],
+    start, stop, restart, reload, metrics, status, logs, stopAll, autostart
+  };
+}
@@ -0,0 +1,106 @@
+import 'dotenv/config'
+import { formatUnits, getAddress, isAddress, ensNormalize } from 'ethers'
+import { networks, selectNetworks } from '../networks.mjs'
+import { tokensFor, tokenKey } from '../tokens.mjs'
+import { readBalances, getTokenMetas } from '../multicall.mjs'
+import { withRpc } from '../rpc-pool.mjs'
+import { withTimeout } from '../util.mjs'
+
+// EVM adapter: native coin plus ERC-20 balances on the mainnets in networks.mjs (or options.networks)
+// Reads go through the shared RPC pool (rpc-pool.mjs) and Multicall3 batching (multicall.mjs); see those
+// modules for their env overrides.
+
+export function isEvmAddress(x) {
+  try { return isAddress(x) } catch { return false }
+}
+
+export const normalizeEvmAddress = (x) => getAddress(x)
+
+// ENS names: "vitalik.eth" anywhere an address goes. Names under other TLDs (DNS names imported into ENS) are only
+// taken with anyTld, i.e. when the chain is given ("evm:name.xyz").
+export function isEnsName(x, { anyTld = false } = {}) {
+  const s = String(x)
+  if (!s.includes('.') || s.startsWith('0x') || !(anyTld || /\.eth$/i.test(s))) return false
+  try { return ensNormalize(s) === s.toLowerCase() } catch { return false }
+}
+
+// ENS lives on Ethereum mainnet, whichever networks are watched
+const ensNetwork = () => networks.find((n) => n.key === 'eth')
+
+// -> checksummed address, or null when the name has no address record
+export async function resolveEnsName(name) {
+  const address = await withRpc(ensNetwork(), (provider) => withTimeout(provider.resolveName(name), 10000, `ENS ${name}`))
+  return address ? getAddress(address) : null
+}
+
+// Primary name of an address (ethers checks that it resolves back), or null
+export async function lookupEnsName(address) {
+  return withRpc(ensNetwork(), (provider) => withTimeout(provider.lookupAddress(address), 10000, `ENS reverse ${address}`))
+}
+
+// Batched read of native + token balances for many wallets on one network, on the best pooled endpoint.
+// requests: [{ address, tokens: [{ address, symbol?, decimals? }] }]
+// blockTag pins the read; exclude leaves endpoints out (a quorum re-read must come from a different one);
+// timeoutMs bounds each RPC request
+async function readNetwork(net, requests, { blockTag, exclude, timeoutMs } = {}) {
+  const seen = new Map()
+  for (const r of requests) for (const t of r.tokens) if (!seen.has(t.address.toLowerCase())) seen.set(t.address.toLowerCase(), t)
+  return withRpc(net, async (provider, url) => {
+    const metas = await getTokenMetas(provider, net, [...seen.values()], { timeoutMs })
+    const { blockNumber, balances } = await readBalances(provider, net, requests, { blockTag, timeoutMs })
+    // the plain-RPC fallback reports per-call errors; an endpoint that failed every native read is down
+    const natives = [...balances.values()].map((b) => b.native)
+    if (natives.length && natives.every((n) => n instanceof Error)) throw natives[0]
+    return { url, blockNumber, metas, balances }
+  }, { exclude })
+}
+
+// One wallet's slice of a readNetwork result as a snapshot item
+function toSnapshotItem(net, read, address, list) {
+  const bal = read.balances.get(address)
+  if (bal.native instanceof Error) return { net, error: bal.native.message }
+  const tokens = {}
+  for (const t of list) {
+    const meta = read.metas.get(t.address.toLowerCase())
+    const raw = bal.tokens.get(t.address.toLowerCase())
+    const err = meta instanceof Error ? meta : raw instanceof Error ? raw : null
+    if (err || !meta) {
+      tokens[tokenKey(t, null, tokens)] = { error: err?.message || 'no token metadata' }
+      continue
+    }
+    tokens[tokenKey(t, meta, tokens)] = { raw, decimals: meta.decimals, symbol: meta.symbol, formatted: formatUnits(raw, meta.decimals), priceSymbol: t.priceSymbol }
+  }
+  return { net, url: read.url, block: read.blockNumber, native: bal.native, tokens }
+}
+
+// Built-in tokens of the network followed by the configured ones
+const tokenListFor = (net, spec) => tokensFor(net.key, net.tokens, spec)
+
+// wallets: [{ address, tokens: spec }] -> Map address -> snapshot; one batched read per network, networks in parallel.
+// blockTags ({ [netKey]: blockNumber }) reads those networks at a past block instead of the latest one.
+export async function fetchEvmBalancesMany(wallets, { networks = selectNetworks(), timeoutMs, blockTags } = {}) {
+  const out = new Map(wallets.map((w) => [w.address, []]))
+  if (!wallets.length) return out
+  const perNet = await Promise.all(networks.map(async (net) => {
+    const requests = wallets.map((w) => ({ address: w.address, tokens: tokenListFor(net, w.tokens) }))
+    try {
+      return { net, requests, read: await readNetwork(net, requests, { timeoutMs, blockTag: blockTags?.[net.key] }) }
+    } catch (e) {
+      return { net, requests, error: e?.message || String(e) }
+    }
+  }))
+  for (const { net, requests, read, error } of perNet) {
+    for (const r of requests) out.get(r.address).push(error ? { net, error } : toSnapshotItem(net, read, r.address, r.tokens))
+  }
+  return out
+}
+
+export async function fetchEvmBalances(address, options = {}) {
+  return (await fetchEvmBalancesMany([{ address, tokens: options.tokens }], options)).get(address)
+}
+
+// Re-read one network for one wallet, e.g. from another endpoint at the block of an earlier answer (throws when no endpoint answers)
+export async function fetchEvmNetwork(net, address, { tokens, blockTag, exclude, timeoutMs } = {}) {
+  const list = tokenListFor(net, tokens)
+  return toSnapshotItem(net, await readNetwork(net, [{ address, tokens: list }], { blockTag, exclude, timeoutMs }), address, list)
+}
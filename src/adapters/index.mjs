@@ -0,0 +1,93 @@
+import { isEvmAddress, normalizeEvmAddress, fetchEvmBalances, fetchEvmBalancesMany, isEnsName, resolveEnsName, lookupEnsName } from './evm.mjs'
+import { SOLANA_NET, isSolanaAddress, fetchSolanaBalances, isSolanaName, resolveSolanaName, lookupSolanaName } from './solana.mjs'
+import { TRON_NET, isTronAddress, fetchTronBalances } from './tron.mjs'
+import { BTC_NET, isBtcAddress, fetchBtcBalances } from './btc.mjs'
+
+// Chain adapter registry used by the watcher and check-balances. Every adapter implements
+//   fetchBalances(address, { tokens, networks? }) -> snapshot
+// where tokens is a token spec keyed by network (see tokens.mjs) and a snapshot is an array of per-network items
+//   { net: { key, name, symbol, decimals, chainId? }, native, pending?, tokens: { SYM: { raw, decimals, symbol, formatted, priceSymbol } | { error } }, url?, block? }
+// or { net, error } for a network that could not be read. native/pending/raw are bigint base units; priceSymbol is the
+// symbol a token is valued as, null for an unpriced contract (see prices.mjs).
+// Single-network adapters carry their net descriptor, used for error items.
+// Adapters that can batch many wallets also implement fetchBalancesMany([{ address, tokens }], options) -> Map<address, snapshot>.
+// Chains with a name service (ENS, SNS) implement isName(name, { anyTld }), resolveName(name) -> address | null and
+// lookupName(address) -> name | null; see names.mjs.
+
+export const adapters = {
+  evm: {
+    chain: 'evm', name: 'EVM', isAddress: isEvmAddress, normalize: normalizeEvmAddress, fetchBalances: fetchEvmBalances, fetchBalancesMany: fetchEvmBalancesMany,
+    isName: isEnsName, resolveName: resolveEnsName, lookupName: lookupEnsName
+  },
+  btc: { chain: 'btc', name: 'Bitcoin', net: BTC_NET, isAddress: isBtcAddress, normalize: (a) => a, fetchBalances: fetchBtcBalances },
+  tron: { chain: 'tron', name: 'Tron', net: TRON_NET, isAddress: isTronAddress, normalize: (a) => a, fetchBalances: fetchTronBalances },
+  sol: {
+    chain: 'sol', name: 'Solana', net: SOLANA_NET, isAddress: isSolanaAddress, normalize: (a) => a, fetchBalances: fetchSolanaBalances,
+    isName: isSolanaName, resolveName: resolveSolanaName, lookupName: lookupSolanaName
+  }
+}
+
+export const CHAINS = Object.keys(adapters)
+
+export function getAdapter(chain) {
+  return adapters[chain] || null
+}
+
+// Chain of a bare address. Checksummed formats go first: Bitcoin and Tron addresses also fit the Solana alphabet.
+export function detectChain(address) {
+  return CHAINS.find((chain) => adapters[chain].isAddress(address)) || null
+}
+
+// Chain of a bare name: "x.eth" is ENS, "x.sol" is SNS
+export function detectNameChain(name) {
+  return CHAINS.find((chain) => adapters[chain].isName?.(name)) || null
+}
+
+// An address or name given for a known chain -> { chain, address } (normalized) or, for a name,
+// { chain, address: name, name } with the name lowercased until it is resolved (see names.mjs); null when invalid
+export function parseAddressOn(chain, input, { names = true } = {}) {
+  const adapter = adapters[chain]
+  const s = String(input || '').trim()
+  if (!adapter) return null
+  if (adapter.isAddress(s)) return { chain, address: adapter.normalize(s) }
+  if (names && adapter.isName?.(s, { anyTld: true })) return { chain, address: s.toLowerCase(), name: s.toLowerCase() }
+  return null
+}
+
+// "<chain>:<address|name>" or a bare address or name -> see parseAddressOn; names: false only takes addresses
+export function parseChainAddress(input, { names = true } = {}) {
+  const s = String(input || '').trim()
+  const m = s.match(/^([a-z]+):(.+)$/i)
+  if (m && adapters[m[1].toLowerCase()]) return parseAddressOn(m[1].toLowerCase(), m[2], { names })
+  const chain = detectChain(s) || (names ? detectNameChain(s) : null)
+  return chain ? parseAddressOn(chain, s, { names }) : null
+}
+
+// Snapshot of one address; adapter failures become a single error item instead of a rejection
+export async function fetchBalances(chain, address, options = {}) {
+  const adapter = adapters[chain]
+  if (!adapter) return [{ net: { key: chain, name: chain }, error: 'unsupported chain' }]
+  try {
+    return await adapter.fetchBalances(address, options)
+  } catch (e) {
+    return [{ net: adapter.net || { key: chain, name: adapter.name }, error: e?.message || String(e) }]
+  }
+}
+
+// Snapshots of many wallets ([{ chain, address, tokens }]): one batch per chain whose adapter supports it, the rest in parallel.
+// -> Map "<chain>:<address>" -> snapshot
+export async function fetchBalancesMany(wallets, options = {}) {
+  const out = new Map()
+  await Promise.all(CHAINS.map(async (chain) => {
+    const list = wallets.filter((w) => w.chain === chain)
+    if (!list.length) return
+    const adapter = adapters[chain]
+    if (adapter.fetchBalancesMany) {
+      const snaps = await adapter.fetchBalancesMany(list, options)
+      for (const w of list) out.set(`${chain}:${w.address}`, snaps.get(w.address))
+      return
+    }
+    await Promise.all(list.map(async (w) => out.set(`${chain}:${w.address}`, await fetchBalances(chain, w.address, { ...options, tokens: w.tokens }))))
+  }))
+  return out
+}
@@ -1,37 +1,142 @@
 import 'dotenv/config'
+import { createHash } from 'node:crypto'
 import { Connection, PublicKey } from '@solana/web3.js'
+import { formatUnits } from 'ethers'
+import { tokensFor, tokenKey } from '../tokens.mjs'
+import { observeRpc } from '../metrics.mjs'
 
-// Basic Solana adapter: fetch native SOL balance and USDC/USDT SPL balances
+// Basic Solana adapter: fetch native SOL balance and SPL token balances (USDC/USDT plus configured mints)
 // Env overrides:
 //  - RPC_SOLANA: custom endpoint
 //  - SOLANA_USDC: token mint (default: mainnet USDC)
 //  - SOLANA_USDT: token mint (default: mainnet USDT)
 
 const RPC = process.env.RPC_SOLANA || 'https://api.mainnet-beta.solana.com'
+// every JSON-RPC request is timed into the walletwatcher_rpc_* metrics
+const connect = () => new Connection(RPC, { commitment: 'confirmed', fetch: (url, init) => observeRpc('sol', RPC, () => fetch(url, init), { ok: (res) => res.ok }) })
 const USDC = process.env.SOLANA_USDC || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
 const USDT = process.env.SOLANA_USDT || 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
 
-export async function fetchSolanaBalances(address) {
-  const conn = new Connection(RPC, 'confirmed')
+// SPL Token and Token-2022
+const TOKEN_PROGRAMS = ['TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'].map((p) => new PublicKey(p))
+const METADATA_PROGRAM = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s')
+
+export const SOLANA_NET = { key: 'sol', name: 'Solana', symbol: 'SOL', decimals: 9 }
+
+// cache: mint -> { decimals, symbol }
+const tokenMetaCache = new Map()
+
+function readBorshString(buf, offset) {
+  const len = buf.readUInt32LE(offset)
+  return [buf.subarray(offset + 4, offset + 4 + len).toString('utf8').replace(/\0/g, '').trim(), offset + 4 + len]
+}
+
+// Symbol from the Metaplex metadata account: key(1) + update authority(32) + mint(32), then name and symbol strings
+async function readMetaplexSymbol(conn, mint) {
+  const [pda] = PublicKey.findProgramAddressSync([Buffer.from('metadata'), METADATA_PROGRAM.toBuffer(), new PublicKey(mint).toBuffer()], METADATA_PROGRAM)
+  const acc = await conn.getAccountInfo(pda)
+  if (!acc) return undefined
+  const [, afterName] = readBorshString(acc.data, 65)
+  return readBorshString(acc.data, afterName)[0] || undefined
+}
+
+async function getMintMeta(conn, token, seenDecimals) {
+  const cached = tokenMetaCache.get(token.address)
+  if (cached) return cached
+  let decimals = token.decimals ?? seenDecimals
+  if (decimals == null) {
+    const info = await conn.getParsedAccountInfo(new PublicKey(token.address))
+    decimals = Number(info.value?.data?.parsed?.info?.decimals)
+    if (!Number.isFinite(decimals)) throw new Error(`not a token mint: ${token.address}`)
+  }
+  let symbol
+  try { symbol = await readMetaplexSymbol(conn, token.address) } catch (_) { /* no metadata */ }
+  const meta = { decimals, symbol: symbol || token.symbol || `${token.address.slice(0, 4)}…${token.address.slice(-4)}` }
+  tokenMetaCache.set(token.address, meta)
+  return meta
+}
+
+// SNS (Solana Name Service) names: "bonfida.sol", "dex.bonfida.sol". A name resolves to the owner of its name account;
+// an address's name is the domain it marked as favourite, if it still owns it.
+const NAME_PROGRAM = new PublicKey('namesLPneVptA9Z5rqUDD9tMTWEJwofgaYwp8cawRkX')
+const SOL_TLD = new PublicKey('58PwtjSDuFHuUkYjH9BYnnQKHfwo9reZhC2zMJv9JPkx')
+const REVERSE_LOOKUP_CLASS = new PublicKey('33m47vH6Eav6jr5Ry86XjhRft2jRBLDnDgPSHoquXi2Z')
+const FAVOURITE_PROGRAM = new PublicKey('85iDfUvr3HJyLM2zcq5BXSiDvUWfw6cSE1FfNBo8Ap29')
+const NAME_HEADER = 96 // parent name (32) + owner (32) + class (32)
+
+export function isSolanaName(x) {
+  return /^(?:[a-z0-9_-]+\.){1,2}sol$/.test(String(x).toLowerCase())
+}
+
+function nameAccountKey(name, { parent, nameClass } = {}) {
+  const hashed = createHash('sha256').update(`SPL Name Service${name}`).digest()
+  const seeds = [hashed, nameClass ? nameClass.toBuffer() : Buffer.alloc(32), parent ? parent.toBuffer() : Buffer.alloc(32)]
+  return PublicKey.findProgramAddressSync(seeds, NAME_PROGRAM)[0]
+}
+
+// "dex.bonfida.sol" -> name account of "bonfida" under .sol, then "\0dex" under that
+function domainKey(name) {
+  const parts = name.toLowerCase().replace(/\.sol$/, '').split('.')
+  const parent = nameAccountKey(parts.at(-1), { parent: SOL_TLD })
+  return parts.length > 1 ? nameAccountKey(`\0${parts[0]}`, { parent }) : parent
+}
+
+// -> base58 owner address, or null when the name isn't registered
+export async function resolveSolanaName(name) {
+  const acc = await connect().getAccountInfo(domainKey(name))
+  return acc ? new PublicKey(acc.data.subarray(32, 64)).toBase58() : null
+}
+
+export async function lookupSolanaName(address) {
+  const conn = connect()
+  const [favKey] = PublicKey.findProgramAddressSync([Buffer.from('favourite_domain'), new PublicKey(address).toBuffer()], FAVOURITE_PROGRAM)
+  const fav = await conn.getAccountInfo(favKey)
+  if (!fav) return null
+  const domain = new PublicKey(fav.data.subarray(1, 33)) // tag (1) + name account
+  const [reverse, owned] = await conn.getMultipleAccountsInfo([nameAccountKey(domain.toBase58(), { nameClass: REVERSE_LOOKUP_CLASS }), domain])
+  if (!reverse || !owned || new PublicKey(owned.data.subarray(32, 64)).toBase58() !== address) return null
+  const len = reverse.data.readUInt32LE(NAME_HEADER)
+  return `${reverse.data.subarray(NAME_HEADER + 4, NAME_HEADER + 4 + len).toString('utf8')}.sol`
+}
+
+export function isSolanaAddress(x) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(String(x))) return false
+  try { return new PublicKey(x).toBase58() === x } catch { return false }
+}
+
+// tokenSpec: token config keyed by network ({ sol: [{ address: mint, symbol?, decimals? }] }, see tokens.mjs)
+export async function fetchSolanaBalances(address, { tokens: tokenSpec = {} } = {}) {
+  const conn = connect()
   const pub = new PublicKey(address)
   const lamports = await conn.getBalance(pub)
-  const native = BigInt(lamports) // 1 SOL = 1e9 lamports (not used in usd calc)
+  const native = BigInt(lamports) // 1 SOL = 1e9 lamports
 
-  // Use getParsedTokenAccountsByOwner for SPL token balances
-  const tokens = { USDT: { error: '0' }, USDC: { error: '0' } }
+  const list = tokensFor('sol', { USDT, USDC }, tokenSpec)
+  const tokens = {}
   try {
-    const resp = await conn.getParsedTokenAccountsByOwner(pub, { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') })
-    for (const { account } of resp.value) {
-      const info = account.data?.parsed?.info
-      const mint = info?.mint
-      const raw = BigInt(info?.tokenAmount?.amount || '0')
-      const decimals = Number(info?.tokenAmount?.decimals || 6)
-      if (mint === USDC) tokens.USDC = { raw, decimals, symbol: 'USDC', formatted: (Number(raw) / 10 ** decimals).toString() }
-      if (mint === USDT) tokens.USDT = { raw, decimals, symbol: 'USDT', formatted: (Number(raw) / 10 ** decimals).toString() }
+    // a wallet can hold several token accounts for the same mint; sum them
+    const amounts = new Map() // mint -> { raw, decimals }
+    for (const programId of TOKEN_PROGRAMS) {
+      const resp = await conn.getParsedTokenAccountsByOwner(pub, { programId })
+      for (const { account } of resp.value) {
+        const info = account.data?.parsed?.info
+        if (!info?.mint) continue
+        const prev = amounts.get(info.mint)
+        amounts.set(info.mint, { raw: (prev?.raw || 0n) + BigInt(info.tokenAmount?.amount || '0'), decimals: Number(info.tokenAmount?.decimals) })
+      }
+    }
+    for (const t of list) {
+      const held = amounts.get(t.address)
+      try {
+        const meta = await getMintMeta(conn, t, held?.decimals)
+        const raw = held?.raw || 0n
+        tokens[tokenKey(t, meta, tokens)] = { raw, decimals: meta.decimals, symbol: meta.symbol, formatted: formatUnits(raw, meta.decimals), priceSymbol: t.priceSymbol }
+      } catch (e) {
+        tokens[tokenKey(t, null, tokens)] = { error: e?.message || String(e) }
+      }
     }
   } catch (e) {
-    tokens.USDT = { error: e?.message || String(e) }
-    tokens.USDC = { error: e?.message || String(e) }
+    for (const t of list) tokens[tokenKey(t, null, tokens)] = { error: e?.message || String(e) }
   }
-  return { net: { key: 'sol', name: 'Solana' }, native, tokens }
+  return [{ net: SOLANA_NET, native, tokens }]
 }
@@ -1,7 +1,10 @@
 import 'dotenv/config'
-import TronWeb from 'tronweb'
+import { TronWeb } from 'tronweb'
+import { formatUnits } from 'ethers'
+import { tokensFor, tokenKey } from '../tokens.mjs'
+import { observeRpc } from '../metrics.mjs'
 
-// Basic Tron adapter: fetch native TRX balance and TRC20 USDT (and USDC if present)
+// Basic Tron adapter: fetch native TRX balance and TRC20 USDT (and USDC if present) plus configured tokens
 // Env overrides:
 //  - RPC_TRON_FULLNODE / RPC_TRON_SOLIDITY / RPC_TRON_EVENT: endpoints
 //  - TRON_USDT: default mainnet USDT contract
@@ -12,6 +15,8 @@ const solidityNode = process.env.RPC_TRON_SOLIDITY || fullNode
 const eventServer = process.env.RPC_TRON_EVENT || fullNode
 
 const tronWeb = new TronWeb({ fullHost: fullNode, solidityNode, eventServer })
+// TronWeb calls timed into the walletwatcher_rpc_* metrics
+const observed = (fn) => observeRpc('tron', fullNode, fn)
 
 const USDT = process.env.TRON_USDT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t' // Tether USD (TRC20)
 const USDC = process.env.TRON_USDC || ''
@@ -27,21 +32,43 @@ const TRC20_ABI = [{
   constant: true, inputs: [], name: 'symbol', outputs: [{ name: '', type: 'string' }], stateMutability: 'view', type: 'function'
 }]
 
-async function readTrc20(contractAddr, owner) {
-  const c = await tronWeb.contract(TRC20_ABI, contractAddr)
-  const [bal, dec, sym] = await Promise.all([c.balanceOf(owner).call(), c.decimals().call(), c.symbol().call()])
-  const raw = BigInt(bal)
-  const decimals = Number(dec)
-  return { raw, decimals, symbol: String(sym), formatted: (Number(raw) / 10 ** decimals).toString() }
+export const TRON_NET = { key: 'tron', name: 'Tron', symbol: 'TRX', decimals: 6 }
+
+// cache: contract -> { decimals, symbol }
+const tokenMetaCache = new Map()
+
+async function readTrc20(token, owner) {
+  const c = await tronWeb.contract(TRC20_ABI, token.address)
+  let meta = tokenMetaCache.get(token.address)
+  if (!meta) {
+    const [dec, sym] = await Promise.all([
+      token.decimals != null ? token.decimals : observed(() => c.decimals().call()),
+      observed(() => c.symbol().call()).catch(() => token.symbol || token.address)
+    ])
+    meta = { decimals: Number(dec), symbol: String(sym) }
+    tokenMetaCache.set(token.address, meta)
+  }
+  const raw = BigInt(await observed(() => c.balanceOf(owner).call()))
+  return { raw, decimals: meta.decimals, symbol: meta.symbol, formatted: formatUnits(raw, meta.decimals) }
+}
+
+export function isTronAddress(x) {
+  return /^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(String(x)) && TronWeb.isAddress(x)
 }
 
-export async function fetchTronBalances(address) {
-  const nativeSun = await tronWeb.trx.getBalance(address)
+// tokenSpec: token config keyed by network ({ tron: [{ address: contract, symbol?, decimals? }] }, see tokens.mjs)
+export async function fetchTronBalances(address, { tokens: tokenSpec = {} } = {}) {
+  const nativeSun = await observed(() => tronWeb.trx.getBalance(address))
   const native = BigInt(nativeSun)
+  const list = tokensFor('tron', USDC ? { USDT, USDC } : { USDT }, tokenSpec)
   const tokens = {}
-  try { tokens.USDT = await readTrc20(USDT, address) } catch (e) { tokens.USDT = { error: e?.message || String(e) } }
-  if (USDC) {
-    try { tokens.USDC = await readTrc20(USDC, address) } catch (e) { tokens.USDC = { error: e?.message || String(e) } }
+  for (const t of list) {
+    try {
+      const bal = await readTrc20(t, address)
+      tokens[tokenKey(t, bal, tokens)] = { ...bal, priceSymbol: t.priceSymbol }
+    } catch (e) {
+      tokens[tokenKey(t, null, tokens)] = { error: e?.message || String(e) }
+    }
   }
-  return { net: { key: 'tron', name: 'Tron' }, native, tokens }
+  return [{ net: TRON_NET, native, tokens }]
 }
@@ -0,0 +1,53 @@
+// Points in time for historical reads (check-balances --at / --from / --to): a block number or an ISO date, mapped to
+// a block on each EVM network. A date maps to the last block mined at or before it, found by binary search over block
+// timestamps; timestamps are cached per network, so several dates on one network share most of their lookups.
+
+import { withRpc } from './rpc-pool.mjs';
+import { withTimeout } from './util.mjs';
+
+const timestamps = new Map(); // chainId -> Map<blockNumber, unix seconds>
+
+// "19000000" -> { block, label }; "2024-01-31" or "2024-01-31T23:59:59Z" -> { time (unix seconds), label }; throws otherwise
+export function parsePoint(spec) {
+  const s = String(spec).trim();
+  if (/^\d+$/.test(s)) return { block: Number(s), label: `block ${s}` };
+  const ms = /^\d{4}-\d{2}-\d{2}/.test(s) ? Date.parse(s) : NaN;
+  if (!Number.isFinite(ms)) throw new Error(`invalid point "${spec}": expected a block number or an ISO date`);
+  if (ms > Date.now()) throw new Error(`${s} is in the future`);
+  return { time: Math.floor(ms / 1000), label: new Date(ms).toISOString() };
+}
+
+// Block of `net` for a parsed point; throws when the network has no such block (ahead of its head, before its first block)
+export async function blockAt(net, point, { timeoutMs = 8000 } = {}) {
+  // a point the network doesn't have comes back as { error } rather than thrown, which would fail over to the next endpoint
+  const found = await withRpc(net, async (provider, url) => {
+    const head = await withTimeout(provider.getBlockNumber(), timeoutMs, `${net.name}@${url}`);
+    if (point.block != null) {
+      if (point.block > head) return { error: `block ${point.block} is ahead of the head (${head})` };
+      return { block: point.block };
+    }
+    if (!timestamps.has(net.chainId)) timestamps.set(net.chainId, new Map());
+    const cache = timestamps.get(net.chainId);
+    const timeOf = async (n) => {
+      if (!cache.has(n)) {
+        const block = await withTimeout(provider.getBlock(n), timeoutMs, `${net.name}:block ${n}`);
+        if (!block) throw new Error(`block ${n} not found`);
+        cache.set(n, block.timestamp);
+      }
+      return cache.get(n);
+    };
+    if (point.time >= await timeOf(head)) return { block: head };
+    if (point.time < await timeOf(0)) return { error: `${point.label} is before the first block` };
+    // invariant: timeOf(lo) <= time < timeOf(hi)
+    let lo = 0;
+    let hi = head;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await timeOf(mid) <= point.time) lo = mid;
+      else hi = mid;
+    }
+    return { block: lo };
+  });
+  if (found.error) throw new Error(found.error);
+  return found.block;
+}
@@ -1,26 +1,40 @@
 #!/usr/bin/env node
 import 'dotenv/config';
-import { JsonRpcProvider, formatEther, formatUnits, getAddress, isAddress, Contract } from 'ethers';
-import { networks, getRpcUrl } from './networks.mjs';
+import { resolve as resolvePath } from 'node:path';
+import { formatUnits } from 'ethers';
+import { networksFor } from './networks.mjs';
+import { loadTokenConfig } from './tokens.mjs';
+import { getPricesMicro, priceOf, valueMicro, fmtMicroUSD } from './prices.mjs';
+import { parseChainAddress, fetchBalancesMany, getAdapter } from './adapters/index.mjs';
+import { rpcUrls } from './rpc-pool.mjs';
+import { parsePoint, blockAt } from './blocks.mjs';
+import { csvRow } from './csv.mjs';
 
 function usageAndExit() {
-  console.error('Usage: node src/check-balances.mjs <EVM_ADDRESS> [--csv] [--only=eth,polygon,...] [--timeout=8000]');
+  console.error('Usage: node src/check-balances.mjs <ADDRESS> [<ADDRESS> ...] [--csv] [--networks=mainnets|testnets|<profile>] [--only=eth,polygon,...] [--timeout=8000] [--tokens=tokens.json] [--at=<block|ISO date>] [--from=<block|ISO date> [--to=<block|ISO date>]]');
+  console.error('Addresses: EVM (0x...), Bitcoin, Solana or Tron; prefix with evm:, btc:, sol: or tron: to force the chain.');
+  console.error('Names: ENS (name.eth, or evm:name.xyz) and SNS (name.sol) are resolved first.');
+  console.error('--at reads EVM balances at a past block or date; --from/--to (default: now) prints the net change between two points.');
   process.exit(1);
 }
 
 const argv = process.argv.slice(2);
-if (argv.length < 1) usageAndExit();
+const positional = argv.filter((a) => !a.startsWith('--'));
+if (positional.length < 1) usageAndExit();
 
-const addrInput = argv[0];
-if (!isAddress(addrInput)) {
-  console.error('Invalid EVM address:', addrInput);
-  process.exit(2);
+const wallets = []; // [{ chain, address, name? }]
+for (const input of positional) {
+  const parsed = parseChainAddress(input);
+  if (!parsed) {
+    console.error('Invalid address:', input);
+    process.exit(2);
+  }
+  if (!wallets.some((w) => w.chain === parsed.chain && w.address === parsed.address)) wallets.push(parsed);
 }
-const address = getAddress(addrInput);
 
 const opts = Object.fromEntries(
-  argv.slice(1).map((a) => {
-    const [k, v = 'true'] = a.startsWith('--') ? a.slice(2).split('=') : [a, 'true'];
+  argv.filter((a) => a.startsWith('--')).map((a) => {
+    const [k, v = 'true'] = a.slice(2).split('=');
     return [k, v];
   })
 );
@@ -29,99 +43,229 @@ const timeoutMs = Number(opts.timeout || 8000);
 const only = opts.only ? String(opts.only).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean) : null;
 const asCsv = opts.csv === 'true' || opts.csv === true;
 
-const selected = only ? networks.filter((n) => only.includes(n.key)) : networks;
+// Historical reads: --at=<point>, or --from=<point> [--to=<point>] for the change in between (to defaults to the latest block)
+function pointOpt(name) {
+  if (!opts[name]) return null;
+  try {
+    return parsePoint(opts[name]);
+  } catch (e) {
+    console.error(`--${name}: ${e.message}`);
+    process.exit(2);
+  }
+}
+const at = pointOpt('at');
+const from = pointOpt('from');
+const to = pointOpt('to');
+if (at && (from || to)) {
+  console.error('--at cannot be combined with --from/--to');
+  process.exit(2);
+}
+if (to && !from) {
+  console.error('--to needs --from');
+  process.exit(2);
+}
+
+const networksPath = resolvePath(process.cwd(), String(opts.networksFile || process.env.NETWORKS_FILE || 'networks.json'));
+const tokensPath = resolvePath(process.cwd(), String(opts.tokens || process.env.TOKENS_FILE || 'tokens.json'));
 
-function withTimeout(promise, ms, label) {
-  const to = new Promise((_, rej) => setTimeout(() => rej(new Error(`Timeout after ${ms}ms: ${label}`)), ms));
-  return Promise.race([promise, to]);
+// One row per network of a wallet snapshot (the same snapshot items the watcher works with)
+function toRow(wallet, it) {
+  const base = {
+    address: wallet.address,
+    chain: wallet.chain,
+    key: it.net.key,
+    name: it.net.name,
+    symbol: it.net.symbol ?? '',
+    chainId: it.net.chainId ?? '',
+    decimals: it.net.decimals ?? 18,
+    block: it.block ?? '',
+    rpc: it.url || (it.net.rpcs ? rpcUrls(it.net)[0] : '')
+  };
+  if (it.error) return { ...base, error: it.error };
+  return { ...base, balance: BigInt(it.native), pending: it.pending, tokens: it.tokens || {} };
 }
 
-const ERC20_ABI = [
-  'function balanceOf(address owner) view returns (uint256)',
-  'function decimals() view returns (uint8)',
-  'function symbol() view returns (string)'
-];
+// USD value of a row's native coin and tokens; null when nothing in it has a price
+function rowUsdMicro(r, prices) {
+  if (r.error) return null;
+  let total = null;
+  const add = (sym, raw, decimals) => {
+    const price = priceOf(sym, prices);
+    if (price != null) total = (total ?? 0n) + valueMicro(raw, decimals, price);
+  };
+  add(r.symbol, r.balance, r.decimals);
+  for (const t of Object.values(r.tokens || {})) if (!t.error) add(t.priceSymbol, t.raw, t.decimals);
+  return total;
+}
 
-// cache: { [chainId]: { [tokenAddressLower]: { decimals, symbol } } }
-const tokenMetaCache = new Map();
+// Rows of every wallet at a point (null: now). EVM networks are read at their own block for the point; a network
+// without one gets an error row, and so do non-EVM wallets, whose adapters only read current balances.
+async function readRows(point, { networks, tokens }) {
+  if (!point) {
+    const snaps = await fetchBalancesMany(wallets.map((w) => ({ ...w, tokens })), { networks, timeoutMs });
+    return wallets.flatMap((w) => snaps.get(`${w.chain}:${w.address}`).map((it) => toRow(w, it)));
+  }
+  const blocks = new Map(await Promise.all(networks.map(async (net) => {
+    try { return [net.key, await blockAt(net, point, { timeoutMs })]; } catch (e) { return [net.key, e]; }
+  })));
+  const readable = networks.filter((net) => !(blocks.get(net.key) instanceof Error));
+  const blockTags = Object.fromEntries(readable.map((net) => [net.key, blocks.get(net.key)]));
+  const evm = wallets.filter((w) => w.chain === 'evm');
+  const snaps = await fetchBalancesMany(evm.map((w) => ({ ...w, tokens })), { networks: readable, timeoutMs, blockTags });
+  return wallets.flatMap((w) => {
+    if (w.chain !== 'evm') return [toRow(w, { net: getAdapter(w.chain).net, error: `${getAdapter(w.chain).name} balances can only be read at the latest block` })];
+    const items = new Map(snaps.get(`${w.chain}:${w.address}`).map((it) => [it.net.key, it]));
+    return networks.map((net) => toRow(w, items.get(net.key) || { net, error: `no block for ${point.label}: ${blocks.get(net.key).message}` }));
+  });
+}
 
-async function fetchBalance(net) {
-  const preferred = getRpcUrl(net);
-  const candidates = Array.from(new Set([preferred, ...net.rpcs]));
-  let lastErr = null;
-  for (const url of candidates) {
-    try {
-      const provider = new JsonRpcProvider(url, net.chainId);
-      const nativeBal = await withTimeout(provider.getBalance(address), timeoutMs, `${net.name}@${url}`);
-
-      const tokenBalances = {};
-      if (net.tokens) {
-        for (const [tSym, tAddr] of Object.entries(net.tokens)) {
-          try {
-            const c = new Contract(tAddr, ERC20_ABI, provider);
-            const tBal = await withTimeout(c.balanceOf(address), timeoutMs, `${net.name}:${tSym}@${url}`);
-            // get metadata with cache
-            let chainCache = tokenMetaCache.get(net.chainId);
-            if (!chainCache) { chainCache = {}; tokenMetaCache.set(net.chainId, chainCache); }
-            const key = tAddr.toLowerCase();
-            if (!chainCache[key]) {
-              const [dec, sym] = await Promise.all([
-                withTimeout(c.decimals(), timeoutMs, `${net.name}:${tSym}:decimals`),
-                withTimeout(c.symbol(), timeoutMs, `${net.name}:${tSym}:symbol`)
-              ]);
-              chainCache[key] = { decimals: Number(dec), symbol: String(sym) };
-            }
-            const meta = chainCache[key];
-            tokenBalances[tSym] = { raw: tBal, decimals: meta.decimals, symbol: meta.symbol, formatted: formatUnits(tBal, meta.decimals) };
-          } catch (e) {
-            tokenBalances[tSym] = { error: e?.message || String(e) };
-          }
-        }
+// Native coin and tokens of a row -> Map asset -> { raw, decimals, priceSymbol } | { error }
+function rowAssets(r) {
+  const out = new Map([[r.symbol, { raw: r.balance, decimals: r.decimals, priceSymbol: r.symbol }]]);
+  for (const [sym, t] of Object.entries(r.tokens || {})) out.set(sym, t.error ? { error: t.error } : { raw: BigInt(t.raw), decimals: Number(t.decimals), priceSymbol: t.priceSymbol });
+  return out;
+}
+
+// Per network of every wallet: the balances at both points and their change -> [{ from, to, error?, assets: [...] }]
+function diffRows(fromRows, toRows) {
+  const key = (r) => `${r.chain}:${r.address}:${r.key}`;
+  const later = new Map(toRows.map((r) => [key(r), r]));
+  return fromRows.map((a) => {
+    const b = later.get(key(a));
+    const error = a.error || b?.error;
+    if (error) return { from: a, to: b || a, error };
+    const before = rowAssets(a);
+    const after = rowAssets(b);
+    const assets = [];
+    for (const asset of new Set([...before.keys(), ...after.keys()])) {
+      const x = before.get(asset) || { raw: 0n, decimals: after.get(asset).decimals };
+      const y = after.get(asset) || { raw: 0n, decimals: x.decimals };
+      if (x.error || y.error) { assets.push({ asset, error: x.error || y.error }); continue; }
+      if (x.raw === 0n && y.raw === 0n) continue;
+      assets.push({ asset, priceSymbol: y.priceSymbol ?? x.priceSymbol, decimals: y.decimals, from: x.raw, to: y.raw, change: y.raw - x.raw });
+    }
+    return { from: a, to: b, assets };
+  });
+}
+
+const signed = (raw, decimals) => `${raw < 0n ? '-' : '+'}${formatUnits(raw < 0n ? -raw : raw, decimals)}`;
+const signedUsd = (micro) => `${micro < 0n ? '-' : '+'}$${fmtMicroUSD(micro < 0n ? -micro : micro)}`;
+
+function printChanges(changes, prices) {
+  const usdOf = (a) => (a.error || priceOf(a.priceSymbol, prices) == null ? null : valueMicro(a.change, a.decimals, priceOf(a.priceSymbol, prices)));
+  const range = `${from.label} -> ${to ? to.label : 'latest'}`;
+  if (asCsv) {
+    console.log(csvRow(['address', 'chain', 'network', 'chainId', 'asset', 'fromBlock', 'toBlock', 'from', 'to', 'change', 'usd', 'status']));
+    for (const d of changes) {
+      const base = [d.from.address, d.from.chain, d.from.name, d.from.chainId];
+      if (d.error) { console.log(csvRow([...base, '', d.from.block, d.to.block, '', '', '', '', `ERROR: ${d.error}`])); continue; }
+      for (const a of d.assets) {
+        if (a.error) { console.log(csvRow([...base, a.asset, d.from.block, d.to.block, '', '', '', '', `ERROR: ${a.error}`])); continue; }
+        const usd = usdOf(a);
+        console.log(csvRow([...base, a.asset, d.from.block, d.to.block, formatUnits(a.from, a.decimals), formatUnits(a.to, a.decimals), signed(a.change, a.decimals), usd != null ? fmtMicroUSD(usd) : '', 'OK']));
       }
-      return { key: net.key, name: net.name, symbol: net.symbol, chainId: net.chainId, balance: nativeBal, tokens: tokenBalances, rpc: url };
-    } catch (err) {
-      lastErr = err;
-      continue;
     }
+    return;
   }
-  return { key: net.key, name: net.name, symbol: net.symbol, chainId: net.chainId, error: lastErr?.message || String(lastErr), rpc: candidates[0] };
+  let all = 0n;
+  for (const w of wallets) {
+    const own = changes.filter((d) => d.from.chain === w.chain && d.from.address === w.address);
+    console.log(`Address: ${walletName(w)}`);
+    console.log(`Change ${range}:`);
+    let total = 0n;
+    for (const d of own) {
+      const id = d.from.chainId !== '' ? ` [${d.from.chainId}]` : '';
+      if (d.error) { console.log(`- ${d.from.name}${id}: ERROR -> ${d.error}`); continue; }
+      const blocks = d.from.block !== '' ? ` blocks ${d.from.block} -> ${d.to.block}` : '';
+      const parts = d.assets.map((a) => (a.error ? `${a.asset} ERROR: ${a.error}` : `${a.asset} ${formatUnits(a.from, a.decimals)} -> ${formatUnits(a.to, a.decimals)} (${signed(a.change, a.decimals)})`));
+      console.log(`- ${d.from.name}${id}${blocks}: ${parts.length ? parts.join(' | ') : 'no balance'}`);
+      for (const a of d.assets) total += usdOf(a) ?? 0n;
+    }
+    console.log(`Net change: ~${signedUsd(total)} (at current prices)`);
+    all += total;
+    if (wallets.length > 1) console.log('');
+  }
+  if (wallets.length > 1) console.log(`All wallets: ~${signedUsd(all)} (at current prices)`);
 }
 
+const walletName = (w) => `${w.chain === 'evm' ? w.address : `${w.chain}:${w.address}`}${w.name ? ` (${w.name})` : ''}`;
+
 (async () => {
   const start = Date.now();
-  const results = await Promise.allSettled(selected.map(fetchBalance));
-  const rows = results.map((r, i) => (r.status === 'fulfilled' ? r.value : { ...selected[i], error: r.reason?.message || String(r.reason) }));
+  let selected;
+  try {
+    selected = await networksFor({ file: networksPath, spec: opts.networks || process.env.NETWORKS, only });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  for (const w of wallets.filter((w) => w.name)) {
+    try {
+      w.address = await getAdapter(w.chain).resolveName(w.name);
+    } catch (e) {
+      console.error(`Cannot resolve ${w.name}: ${e?.message || e}`);
+      process.exit(2);
+    }
+    if (!w.address) {
+      console.error(`${w.name} does not resolve to an address`);
+      process.exit(2);
+    }
+  }
+  const tokens = await loadTokenConfig(tokensPath);
+  const symbolsOf = (rows) => rows.flatMap((r) => (r.error ? [] : [r.symbol, ...Object.values(r.tokens || {}).map((t) => t.priceSymbol)])).filter(Boolean);
+  if (from) {
+    const fromRows = await readRows(from, { networks: selected, tokens });
+    const toRows = await readRows(to, { networks: selected, tokens });
+    printChanges(diffRows(fromRows, toRows), await getPricesMicro(symbolsOf([...fromRows, ...toRows])));
+    if (!asCsv) console.log(`Checked ${wallets.length} wallet(s), ${fromRows.length} network(s) in ${Date.now() - start}ms`);
+    return;
+  }
+  const rows = await readRows(at, { networks: selected, tokens });
+  const prices = await getPricesMicro(symbolsOf(rows));
+  for (const r of rows) r.usdMicro = rowUsdMicro(r, prices);
 
   if (asCsv) {
-  console.log('network,chainId,symbol,balance,wei,USDT,USDC,rpc,status');
+    // one column per token seen on any of the rows, in first-seen order
+    const tokenCols = [...new Set(rows.flatMap((r) => Object.keys(r.tokens || {})))];
+    // with --at, the block each network was read at
+    const blockCol = (r) => (at ? [r.block] : []);
+    console.log(csvRow(['address', 'chain', 'network', 'chainId', ...(at ? ['block'] : []), 'symbol', 'balance', 'wei', ...tokenCols, 'usd', 'rpc', 'status']));
     for (const r of rows) {
       if (r.error) {
-        console.log(`${r.name},${r.chainId},${r.symbol},,,,${r.rpc},ERROR: ${r.error.replaceAll(',', ';')}`);
+        console.log(csvRow([r.address, r.chain, r.name, r.chainId, ...blockCol(r), r.symbol, '', '', ...tokenCols.map(() => ''), '', r.rpc, `ERROR: ${r.error}`]));
       } else {
-        const ether = formatEther(r.balance);
-    const usdt = r.tokens?.USDT && !r.tokens.USDT.error ? r.tokens.USDT.formatted : '';
-    const usdc = r.tokens?.USDC && !r.tokens.USDC.error ? r.tokens.USDC.formatted : '';
-        console.log(`${r.name},${r.chainId},${r.symbol},${ether},${r.balance.toString()},${usdt},${usdc},${r.rpc},OK`);
+        const tokenVals = tokenCols.map((sym) => (r.tokens?.[sym] && !r.tokens[sym].error ? r.tokens[sym].formatted : ''));
+        const usd = r.usdMicro != null ? fmtMicroUSD(r.usdMicro) : '';
+        console.log(csvRow([r.address, r.chain, r.name, r.chainId, ...blockCol(r), r.symbol, formatUnits(r.balance, r.decimals), r.balance.toString(), ...tokenVals, usd, r.rpc, 'OK']));
       }
     }
     return;
   }
 
-  console.log(`Address: ${address}`);
-  for (const r of rows) {
-    if (r.error) {
-      console.log(`- ${r.name} [${r.chainId}] ${r.symbol}: ERROR -> ${r.error}`);
-    } else {
-      const ether = formatEther(r.balance);
-      console.log(`- ${r.name} [${r.chainId}] ${r.symbol}: ${ether}`);
-      if (r.tokens && Object.keys(r.tokens).length) {
-        const usdtStr = r.tokens.USDT ? (r.tokens.USDT.error ? `USDT ERROR: ${r.tokens.USDT.error}` : `USDT: ${r.tokens.USDT.formatted}`) : null;
-        const usdcStr = r.tokens.USDC ? (r.tokens.USDC.error ? `USDC ERROR: ${r.tokens.USDC.error}` : `USDC: ${r.tokens.USDC.formatted}`) : null;
-        const parts = [usdtStr, usdcStr].filter(Boolean);
-        if (parts.length) console.log(`  • ${parts.join(' | ')}`);
+  for (const w of wallets) {
+    const own = rows.filter((r) => r.chain === w.chain && r.address === w.address);
+    console.log(`Address: ${walletName(w)}`);
+    if (at) console.log(`At ${at.label} (USD at current prices):`);
+    for (const r of own) {
+      const id = `${r.chainId !== '' ? ` [${r.chainId}]` : ''}${at && r.block !== '' ? ` @ block ${r.block}` : ''}`;
+      if (r.error) {
+        console.log(`- ${r.name}${id} ${r.symbol}: ERROR -> ${r.error}`);
+      } else {
+        const usd = r.usdMicro != null ? ` (~$${fmtMicroUSD(r.usdMicro)})` : '';
+        const pending = r.pending ? ` (unconfirmed ${r.pending > 0n ? '+' : ''}${formatUnits(r.pending, r.decimals)})` : '';
+        console.log(`- ${r.name}${id} ${r.symbol}: ${formatUnits(r.balance, r.decimals)}${pending}${usd}`);
+        if (Object.keys(r.tokens).length) {
+          const parts = Object.entries(r.tokens).map(([sym, t]) => (t.error ? `${sym} ERROR: ${t.error}` : `${sym}: ${t.formatted}`));
+          console.log(`  • ${parts.join(' | ')}`);
+        }
       }
     }
+    const totalMicro = own.reduce((acc, r) => acc + (r.usdMicro ?? 0n), 0n);
+    const unpriced = [...new Set(own.filter((r) => !r.error && r.balance > 0n && priceOf(r.symbol, prices) == null).map((r) => r.symbol))];
+    console.log(`Total: ~$${fmtMicroUSD(totalMicro)}${unpriced.length ? ` (no price for ${unpriced.join(', ')})` : ''}`);
+    if (wallets.length > 1) console.log('');
   }
+  if (wallets.length > 1) console.log(`All wallets: ~$${fmtMicroUSD(rows.reduce((acc, r) => acc + (r.usdMicro ?? 0n), 0n))}`);
   const dur = Date.now() - start;
-  console.log(`Checked ${rows.length} networks in ${dur}ms`);
+  console.log(`Checked ${wallets.length} wallet(s), ${rows.length} network(s) in ${dur}ms`);
 })();
@@ -0,0 +1,10 @@
+// RFC 4180 CSV: a field with a comma, double quote or line break is quoted and its quotes doubled; records end in CRLF.
+export function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+export const csvRow = (fields) => fields.map(csvField).join(',');
+
+// [[field, ...], ...] -> CSV text
+export const toCsv = (rows) => rows.map((r) => `${csvRow(r)}\r\n`).join('');
@@ -0,0 +1,23 @@
+// Scheduled digest emails: a recipient opts in with "digest": "hourly" | "daily" | "weekly" on a user or wallet object
+// in wallets.json (a wallet's value wins over its user's). Periods follow the watcher's local clock: hourly digests go
+// out after the top of each hour, daily ones after midnight, weekly ones after midnight on Monday.
+
+export const DIGEST_PERIODS = ['hourly', 'daily', 'weekly'];
+
+export function normalizeDigest(value, where = 'digest') {
+  if (value == null || value === false || value === 'off') return undefined;
+  const v = String(value).toLowerCase();
+  if (DIGEST_PERIODS.includes(v)) return v;
+  console.warn(`Ignoring ${where}: expected one of ${DIGEST_PERIODS.join(', ')}`);
+  return undefined;
+}
+
+// Start of the period containing `date`
+export function periodStart(period, date = new Date()) {
+  const d = new Date(date);
+  d.setMinutes(0, 0, 0);
+  if (period === 'hourly') return d;
+  d.setHours(0);
+  if (period === 'weekly') d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // back to Monday
+  return d;
+}
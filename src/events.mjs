@@ -0,0 +1,32 @@
+// Structured watcher events, next to the human-readable log lines. Every event is one JSON object
+//   { "type": "cycle.start" | "cycle.end" | "wallet.snapshot" | "wallet.error" | "alert.sent" | "alert.failed" | "alert.suppressed" | "rpc.failure" |
+//             "config.reloaded" | "wallet.name_changed",
+//     "t": "<ISO>", ... }
+// Sinks:
+//  - the parent process over the IPC channel, when the watcher was spawned with one (the server does this)
+//  - an NDJSON file given with --events=path or env EVENTS_FILE (appended, one event per line)
+// Without a sink emitting is a no-op, so shared modules (rpc-pool, ...) can emit from the CLI too.
+
+import { appendFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+let eventsFile = null;
+
+export function setEventsFile(path) {
+  eventsFile = path || null;
+  if (eventsFile) mkdirSync(dirname(eventsFile), { recursive: true });
+}
+
+// BigInts (raw amounts) become decimal strings
+const replacer = (_, v) => (typeof v === 'bigint' ? v.toString() : v);
+
+export function emitEvent(type, data = {}) {
+  if (!process.send && !eventsFile) return;
+  const event = { type, t: new Date().toISOString(), ...data };
+  try {
+    if (process.send && process.connected) process.send(JSON.parse(JSON.stringify(event, replacer)));
+    if (eventsFile) appendFileSync(eventsFile, JSON.stringify(event, replacer) + '\n');
+  } catch (e) {
+    console.error('Event emit failed:', e?.message || e);
+  }
+}
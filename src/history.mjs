@@ -0,0 +1,95 @@
+// Balance history: one NDJSON file per wallet (data/history/<address>.ndjson), one line per watcher cycle.
+// Line shape: { t: epochMs, chain, totalUsd: "12.345678", networks: { [netKey]: { symbol, native, tokens: { [SYM]: amount }, usd } | { error } } }
+// Amounts are decimal strings (already scaled by decimals) so readers need no token metadata; usd is the network's
+// priced holdings (symbol and usd are missing from lines written by older versions).
+
+import { appendFile, mkdir, open } from 'node:fs/promises';
+import { createReadStream, existsSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { resolve as resolvePath } from 'node:path';
+
+// EVM addresses are case-insensitive; base58 (Solana/Tron) addresses are not
+export function historyKey(address) {
+  const a = String(address || '').trim();
+  return /^0x[0-9a-fA-F]{40}$/.test(a) ? a.toLowerCase() : a;
+}
+
+function historyFile(dir, address) {
+  const key = historyKey(address);
+  if (!/^[0-9A-Za-z]+$/.test(key)) throw new Error(`invalid address: ${address}`);
+  return resolvePath(dir, `${key}.ndjson`);
+}
+
+export async function appendHistory(dir, address, record) {
+  await mkdir(dir, { recursive: true });
+  await appendFile(historyFile(dir, address), JSON.stringify(record) + '\n');
+}
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// "raw" (every sample) or <n><s|m|h|d|w>, e.g. 5m, 1h, 1d
+export function parseResolution(res) {
+  if (!res || res === 'raw') return 0;
+  const m = String(res).match(/^(\d+)([smhdw])$/);
+  if (!m || Number(m[1]) <= 0) throw new Error(`invalid resolution: ${res}`);
+  return Number(m[1]) * UNIT_MS[m[2]];
+}
+
+// accepts epoch milliseconds or anything Date can parse (ISO dates)
+export function parseTime(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  const t = Number.isFinite(n) ? n : Date.parse(String(value));
+  if (!Number.isFinite(t)) throw new Error(`invalid time: ${value}`);
+  return t;
+}
+
+// Reads samples in [from, to]; with a resolution, keeps the last sample of each bucket
+// (balances are levels, so the closing value of a bucket is what a chart should show).
+export async function readHistory(dir, address, { from = 0, to = Infinity, resolution = 0 } = {}) {
+  const file = historyFile(dir, address);
+  if (!existsSync(file)) return [];
+  const out = [];
+  let lastBucket = null;
+  const rl = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch { continue; } // tolerate a torn last line
+    if (rec.t < from || rec.t > to) continue;
+    if (resolution) {
+      const bucket = Math.floor(rec.t / resolution);
+      if (bucket === lastBucket) { out[out.length - 1] = rec; continue; }
+      lastBucket = bucket;
+    }
+    out.push(rec);
+  }
+  return out;
+}
+
+// Last sample of a wallet, or null; reads the file backwards in chunks instead of from the start
+export async function readLatestHistory(dir, address) {
+  const file = historyFile(dir, address);
+  if (!existsSync(file)) return null;
+  const fh = await open(file, 'r');
+  try {
+    let end = (await fh.stat()).size;
+    let tail = Buffer.alloc(0);
+    while (end > 0) {
+      const start = Math.max(0, end - 65536);
+      const chunk = Buffer.alloc(end - start);
+      await fh.read(chunk, 0, chunk.length, start);
+      tail = Buffer.concat([chunk, tail]);
+      end = start;
+      const lines = tail.toString('utf8').split('\n');
+      // the first line is only whole once the start of the file is reached
+      for (let i = lines.length - 1; i >= (end > 0 ? 1 : 0); i--) {
+        if (!lines[i]) continue;
+        try { return JSON.parse(lines[i]); } catch { /* torn line */ }
+      }
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
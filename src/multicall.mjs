@@ -0,0 +1,143 @@
+// Batched EVM reads: native and ERC-20 balances of many wallets per network in a handful of requests.
+// Uses Multicall3 (aggregate3 over getEthBalance / balanceOf) pinned to a single block; on chains where
+// Multicall3 isn't deployed the same reads go out as plain eth_getBalance / eth_call requests, which
+// ethers' JsonRpcProvider packs into JSON-RPC batch requests. Reads pinned to a past block (historical lookups) use
+// Multicall3 only if it was already deployed at that block.
+
+import { Contract, Interface } from 'ethers';
+import { withTimeout } from './util.mjs';
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+const MC = new Interface(MULTICALL3_ABI);
+const ERC20 = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+]);
+
+const CALLS_PER_BATCH = Math.max(1, Number(process.env.MULTICALL_BATCH_SIZE || 500)); // sub-calls per aggregate3 / per burst of batched requests
+
+// chainId -> boolean, probed once per process
+const multicallSupport = new Map();
+// chainId -> lowest past block the contract was seen at (historical reads may predate its deployment)
+const multicallSeenAt = new Map();
+// cache: { [chainId]: { [tokenAddressLower]: { decimals, symbol } } }
+const tokenMetaCache = new Map();
+
+// pastBlock: a block the caller pinned, which may predate the deployment
+async function hasMulticall(provider, net, timeoutMs, pastBlock) {
+  if (pastBlock != null && multicallSupport.get(net.chainId) !== false) {
+    const blockTag = Number(pastBlock);
+    if (blockTag >= (multicallSeenAt.get(net.chainId) ?? Infinity)) return true;
+    const code = await withTimeout(provider.getCode(MULTICALL3_ADDRESS, blockTag), timeoutMs, `${net.name}:multicall3@${blockTag}`);
+    if (!code || code === '0x') return false;
+    multicallSeenAt.set(net.chainId, blockTag);
+    return true;
+  }
+  if (!multicallSupport.has(net.chainId)) {
+    const code = await withTimeout(provider.getCode(MULTICALL3_ADDRESS), timeoutMs, `${net.name}:multicall3`);
+    multicallSupport.set(net.chainId, !!code && code !== '0x');
+  }
+  return multicallSupport.get(net.chainId);
+}
+
+// calls: [{ target, data, decode(returnData) }] -> [value | Error]
+async function runCalls(provider, net, calls, { blockTag, pinned = false, timeoutMs }) {
+  const out = [];
+  const viaMulticall = await hasMulticall(provider, net, timeoutMs, pinned ? blockTag : null);
+  const mc = viaMulticall ? new Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider) : null;
+  for (let i = 0; i < calls.length; i += CALLS_PER_BATCH) {
+    const chunk = calls.slice(i, i + CALLS_PER_BATCH);
+    if (viaMulticall) {
+      const res = await withTimeout(
+        mc.aggregate3.staticCall(chunk.map((c) => ({ target: c.target, allowFailure: true, callData: c.data })), { blockTag }),
+        timeoutMs, `${net.name}:aggregate3`
+      );
+      res.forEach(([success, returnData], j) => {
+        if (!success) { out.push(new Error('call reverted')); return; }
+        try { out.push(chunk[j].decode(returnData)); } catch (e) { out.push(new Error(`bad return data: ${e?.shortMessage || e?.message || e}`)); }
+      });
+    } else {
+      const res = await Promise.all(chunk.map(async (c) => {
+        try {
+          if (c.native) return await withTimeout(provider.getBalance(c.native, blockTag), timeoutMs, `${net.name}:balance`);
+          return c.decode(await withTimeout(provider.call({ to: c.target, data: c.data, blockTag }), timeoutMs, `${net.name}:call`));
+        } catch (e) { return e instanceof Error ? e : new Error(String(e)); }
+      }));
+      out.push(...res);
+    }
+  }
+  return out;
+}
+
+function nativeCall(address) {
+  return {
+    target: MULTICALL3_ADDRESS,
+    data: MC.encodeFunctionData('getEthBalance', [address]),
+    decode: (ret) => MC.decodeFunctionResult('getEthBalance', ret)[0],
+    native: address // used by the non-multicall path
+  };
+}
+
+function erc20Call(token, fn, args = []) {
+  return { target: token, data: ERC20.encodeFunctionData(fn, args), decode: (ret) => ERC20.decodeFunctionResult(fn, ret)[0] };
+}
+
+// tokens: [{ address, symbol?, decimals? }] (hints from the token config skip the on-chain read)
+// -> Map<tokenAddressLower, { decimals, symbol } | Error>
+export async function getTokenMetas(provider, net, tokens, { timeoutMs = 8000 } = {}) {
+  let chainCache = tokenMetaCache.get(net.chainId);
+  if (!chainCache) { chainCache = {}; tokenMetaCache.set(net.chainId, chainCache); }
+  const missing = [];
+  for (const t of tokens) {
+    const key = t.address.toLowerCase();
+    if (chainCache[key] || missing.some((m) => m.address.toLowerCase() === key)) continue;
+    if (t.decimals != null && t.symbol) chainCache[key] = { decimals: Number(t.decimals), symbol: String(t.symbol) };
+    else missing.push(t);
+  }
+  const out = new Map();
+  if (missing.length) {
+    const calls = missing.flatMap((t) => [erc20Call(t.address, 'decimals'), erc20Call(t.address, 'symbol')]);
+    const res = await runCalls(provider, net, calls, { blockTag: 'latest', timeoutMs });
+    missing.forEach((t, i) => {
+      const dec = t.decimals ?? res[2 * i];
+      const sym = res[2 * i + 1] instanceof Error ? (t.symbol || t.address) : (t.symbol || res[2 * i + 1]);
+      if (dec instanceof Error) { out.set(t.address.toLowerCase(), dec); return; } // only decimals are required
+      chainCache[t.address.toLowerCase()] = { decimals: Number(dec), symbol: String(sym) };
+    });
+  }
+  for (const t of tokens) {
+    const key = t.address.toLowerCase();
+    if (!out.has(key)) out.set(key, chainCache[key]);
+  }
+  return out;
+}
+
+// requests: [{ address, tokens: [{ address }] }]; all reads are taken at one block (default: latest at call time)
+// -> { blockNumber, balances: Map<walletAddress, { native: bigint | Error, tokens: Map<tokenAddressLower, bigint | Error> }> }
+export async function readBalances(provider, net, requests, { blockTag, timeoutMs = 8000 } = {}) {
+  const blockNumber = blockTag ?? await withTimeout(provider.getBlockNumber(), timeoutMs, `${net.name}:blockNumber`);
+  const calls = [];
+  const slots = []; // parallel to calls: [walletAddress, tokenAddressLower | null]
+  for (const r of requests) {
+    calls.push(nativeCall(r.address));
+    slots.push([r.address, null]);
+    for (const t of r.tokens || []) {
+      calls.push(erc20Call(t.address, 'balanceOf', [r.address]));
+      slots.push([r.address, t.address.toLowerCase()]);
+    }
+  }
+  const res = await runCalls(provider, net, calls, { blockTag: blockNumber, pinned: blockTag != null, timeoutMs });
+  const balances = new Map();
+  slots.forEach(([wallet, token], i) => {
+    if (!balances.has(wallet)) balances.set(wallet, { native: null, tokens: new Map() });
+    const b = balances.get(wallet);
+    if (token === null) b.native = res[i];
+    else b.tokens.set(token, res[i]);
+  });
+  return { blockNumber, balances };
+}
@@ -0,0 +1,84 @@
+// ENS and SNS names in wallets.json ("treasury.eth", "toly.sol"; see wallet-config.mjs), resolved through the chain
+// adapters. Results are cached: the watcher looks every name up again on a timer (refresh) and reports names that moved.
+// The cache is kept in the watcher state, so a name that moved while the watcher was down is reported on the next start.
+// Reverse lookups (an address's primary ENS name or favourite SNS domain) label wallets that have no label of their own.
+
+import { getAdapter } from './adapters/index.mjs';
+
+const resolved = new Map(); // "<chain>:<name>" -> address
+const reverse = new Map(); // "<chain>:<address>" -> name | null
+let fixed = null; // Map name -> address used instead of lookups (a replayed scenario)
+
+export function restoreNames(saved) {
+  for (const [key, address] of Object.entries(saved || {})) resolved.set(key, address);
+}
+
+export function savedNames() {
+  return Object.fromEntries(resolved);
+}
+
+export function setFixedNames(names) {
+  fixed = names;
+}
+
+async function lookup(chain, name) {
+  if (fixed) return fixed.get(name) ?? null;
+  return getAdapter(chain).resolveName(name);
+}
+
+// Fills in the address of name entries; refresh looks every name up again instead of using the cached address.
+// A name that fails to resolve keeps its last address; one that never resolved is left out until it does.
+// -> { entries, changes: [{ chain, name, from, to }] }
+export async function resolveWalletNames(entries, { refresh = false } = {}) {
+  const keys = new Set(entries.filter((e) => e.name).map((e) => `${e.chain}:${e.name}`));
+  const changes = [];
+  await Promise.all([...keys].map(async (key) => {
+    const prev = resolved.get(key);
+    if (prev && !refresh) return;
+    const chain = key.slice(0, key.indexOf(':'));
+    const name = key.slice(chain.length + 1);
+    const keep = prev ? `; still watching ${prev}` : '; not watched until it resolves';
+    let address;
+    try {
+      address = await lookup(chain, name);
+    } catch (e) {
+      console.warn(`[name] ${name}: lookup failed: ${e?.message || e}${keep}`);
+      return;
+    }
+    if (!address) {
+      console.warn(`[name] ${name} does not resolve to an address${keep}`);
+      return;
+    }
+    address = getAdapter(chain).normalize(address);
+    if (prev && prev !== address) changes.push({ chain, name, from: prev, to: address });
+    resolved.set(key, address);
+  }));
+  const out = [];
+  for (const e of entries) {
+    if (!e.name) out.push(e);
+    else if (resolved.has(`${e.chain}:${e.name}`)) out.push({ ...e, address: resolved.get(`${e.chain}:${e.name}`) });
+  }
+  return { entries: out, changes };
+}
+
+// Entries without a label get their name, or with reverse set the name their address reverse-resolves to.
+// Reverse results (including "none") are cached until the next refresh.
+export async function labelWithNames(entries, { reverse: useReverse = false, refresh = false } = {}) {
+  if (useReverse) {
+    const wanted = entries.filter((e) => !e.label && !e.name && getAdapter(e.chain)?.lookupName);
+    await Promise.all(wanted.map(async (e) => {
+      const key = `${e.chain}:${e.address}`;
+      if (reverse.has(key) && !refresh) return;
+      try {
+        reverse.set(key, await getAdapter(e.chain).lookupName(e.address));
+      } catch (err) {
+        console.warn(`[name] reverse lookup of ${e.address} failed: ${err?.message || err}`);
+      }
+    }));
+  }
+  return entries.map((e) => {
+    if (e.label) return e;
+    const label = e.name ?? (useReverse ? reverse.get(`${e.chain}:${e.address}`) : null);
+    return label ? { ...e, label } : e;
+  });
+}
@@ -1,29 +1,154 @@
-// Curated list of public RPC endpoints for popular EVM networks.
+// Curated list of public RPC endpoints for popular EVM networks, plus testnets and networks from a config file.
 // Prefer using your own RPC endpoints via env (e.g., ALCHEMY/INFURA etc.) for reliability and rate limits.
+// networks.json (NETWORKS_FILE, optional) adds networks or overrides fields of built-in ones by key, and names profiles:
+//   { "networks": [{ "key": "anvil", "name": "Local anvil", "chainId": 31337, "symbol": "ETH", "rpcs": ["http://127.0.0.1:8545"],
+//                    "tokens": { "USDC": "0x..." }, "explorer": "https://...", "testnet": true, "rpcEnv": "RPC_ANVIL" }],
+//     "profiles": { "dev": ["anvil", "sepolia"] } }
+// selectNetworks() picks what a run reads: "mainnets" (default), "testnets", "all", a profile, network keys, or a
+// comma-separated mix of these.
 
-export const networks = [
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+
+const NON_EVM_KEYS = ['sol', 'tron', 'btc']; // taken by the other adapters
+
+const mainnets = [
   // Ethereum family
-  { key: 'eth', name: 'Ethereum Mainnet', chainId: 1, symbol: 'ETH', rpcEnv: 'RPC_ETH', rpcs: ['https://eth.llamarpc.com', 'https://cloudflare-eth.com', 'https://rpc.ankr.com/eth', 'https://mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7', USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' } },
-  { key: 'polygon', name: 'Polygon', chainId: 137, symbol: 'MATIC', rpcEnv: 'RPC_POLYGON', rpcs: ['https://polygon-rpc.com', 'https://rpc.ankr.com/polygon', 'https://polygon-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', USDC: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359' } },
-  { key: 'bsc', name: 'BNB Smart Chain', chainId: 56, symbol: 'BNB', rpcEnv: 'RPC_BSC', rpcs: ['https://bsc-dataseed.binance.org', 'https://rpc.ankr.com/bsc', 'https://bsc-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0x55d398326f99059ff775485246999027b3197955', USDC: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d' } },
-  { key: 'arbitrum', name: 'Arbitrum One', chainId: 42161, symbol: 'ETH', rpcEnv: 'RPC_ARBITRUM', rpcs: ['https://arb1.arbitrum.io/rpc', 'https://rpc.ankr.com/arbitrum', 'https://arbitrum-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9', USDC: '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8' } },
-  { key: 'optimism', name: 'Optimism', chainId: 10, symbol: 'ETH', rpcEnv: 'RPC_OPTIMISM', rpcs: ['https://mainnet.optimism.io', 'https://optimism.meowrpc.com', 'https://rpc.ankr.com/optimism', 'https://optimism-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', USDC: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85' } },
-  { key: 'base', name: 'Base', chainId: 8453, symbol: 'ETH', rpcEnv: 'RPC_BASE', rpcs: ['https://mainnet.base.org', 'https://rpc.ankr.com/base', 'https://base-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' } },
-  { key: 'avalanche', name: 'Avalanche C-Chain', chainId: 43114, symbol: 'AVAX', rpcEnv: 'RPC_AVAX', rpcs: ['https://api.avax.network/ext/bc/C/rpc', 'https://avalanche.public-rpc.com', 'https://rpc.ankr.com/avalanche', 'https://avalanche-mainnet.infura.io/v3/e37245be6d6f4cde9fdfcdb0ad372d58'], tokens: { USDT: '0xde3A24028580884448a5397872046a019649b084', USDC: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E' } },
-  { key: 'fantom', name: 'Fantom Opera', chainId: 250, symbol: 'FTM', rpcEnv: 'RPC_FANTOM', rpcs: ['https://rpc.ftm.tools', 'https://rpc.ankr.com/fantom'] },
-  { key: 'gnosis', name: 'Gnosis', chainId: 100, symbol: 'xDAI', rpcEnv: 'RPC_GNOSIS', rpcs: ['https://rpc.gnosischain.com', 'https://rpc.ankr.com/gnosis'] },
-  { key: 'linea', name: 'Linea', chainId: 59144, symbol: 'ETH', rpcEnv: 'RPC_LINEA', rpcs: ['https://rpc.linea.build'] },
-  { key: 'zksync', name: 'zkSync Era', chainId: 324, symbol: 'ETH', rpcEnv: 'RPC_ZKSYNC', rpcs: ['https://mainnet.era.zksync.io'] },
-  { key: 'scroll', name: 'Scroll', chainId: 534352, symbol: 'ETH', rpcEnv: 'RPC_SCROLL', rpcs: ['https://rpc.scroll.io'] },
-  { key: 'mantle', name: 'Mantle', chainId: 5000, symbol: 'MNT', rpcEnv: 'RPC_MANTLE', rpcs: ['https://rpc.mantle.xyz'] },
-  { key: 'celo', name: 'Celo', chainId: 42220, symbol: 'CELO', rpcEnv: 'RPC_CELO', rpcs: ['https://forno.celo.org'] },
-  { key: 'opbnb', name: 'opBNB', chainId: 204, symbol: 'BNB', rpcEnv: 'RPC_OPBNB', rpcs: ['https://opbnb-mainnet-rpc.bnbchain.org'] },
-  { key: 'zkevm', name: 'Polygon zkEVM', chainId: 1101, symbol: 'ETH', rpcEnv: 'RPC_ZKEVM', rpcs: ['https://zkevm-rpc.com'] },
-  { key: 'moonbeam', name: 'Moonbeam', chainId: 1284, symbol: 'GLMR', rpcEnv: 'RPC_MOONBEAM', rpcs: ['https://rpc.api.moonbeam.network'] }
+  { key: 'eth', name: 'Ethereum Mainnet', chainId: 1, symbol: 'ETH', explorer: 'https://etherscan.io', rpcEnv: 'RPC_ETH', rpcs: ['https://eth.llamarpc.com', 'https://cloudflare-eth.com', 'https://rpc.ankr.com/eth'], tokens: { USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7', USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' } },
+  { key: 'polygon', name: 'Polygon', chainId: 137, symbol: 'MATIC', explorer: 'https://polygonscan.com', rpcEnv: 'RPC_POLYGON', rpcs: ['https://polygon-rpc.com', 'https://rpc.ankr.com/polygon'], tokens: { USDT: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', USDC: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359' } },
+  { key: 'bsc', name: 'BNB Smart Chain', chainId: 56, symbol: 'BNB', explorer: 'https://bscscan.com', rpcEnv: 'RPC_BSC', rpcs: ['https://bsc-dataseed.binance.org', 'https://rpc.ankr.com/bsc'], tokens: { USDT: '0x55d398326f99059ff775485246999027b3197955', USDC: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d' } },
+  { key: 'arbitrum', name: 'Arbitrum One', chainId: 42161, symbol: 'ETH', explorer: 'https://arbiscan.io', rpcEnv: 'RPC_ARBITRUM', rpcs: ['https://arb1.arbitrum.io/rpc', 'https://rpc.ankr.com/arbitrum'], tokens: { USDT: '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9', USDC: '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8' } },
+  { key: 'optimism', name: 'Optimism', chainId: 10, symbol: 'ETH', explorer: 'https://optimistic.etherscan.io', rpcEnv: 'RPC_OPTIMISM', rpcs: ['https://mainnet.optimism.io', 'https://optimism.meowrpc.com', 'https://rpc.ankr.com/optimism'], tokens: { USDT: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', USDC: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85' } },
+  { key: 'base', name: 'Base', chainId: 8453, symbol: 'ETH', explorer: 'https://basescan.org', rpcEnv: 'RPC_BASE', rpcs: ['https://mainnet.base.org', 'https://rpc.ankr.com/base'], tokens: { USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' } },
+  { key: 'avalanche', name: 'Avalanche C-Chain', chainId: 43114, symbol: 'AVAX', explorer: 'https://snowtrace.io', rpcEnv: 'RPC_AVAX', rpcs: ['https://api.avax.network/ext/bc/C/rpc', 'https://avalanche.public-rpc.com', 'https://rpc.ankr.com/avalanche'], tokens: { USDT: '0xde3A24028580884448a5397872046a019649b084', USDC: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E' } },
+  { key: 'fantom', name: 'Fantom Opera', chainId: 250, symbol: 'FTM', explorer: 'https://ftmscan.com', rpcEnv: 'RPC_FANTOM', rpcs: ['https://rpc.ftm.tools', 'https://rpc.ankr.com/fantom'] },
+  { key: 'gnosis', name: 'Gnosis', chainId: 100, symbol: 'xDAI', explorer: 'https://gnosisscan.io', rpcEnv: 'RPC_GNOSIS', rpcs: ['https://rpc.gnosischain.com', 'https://rpc.ankr.com/gnosis'] },
+  { key: 'linea', name: 'Linea', chainId: 59144, symbol: 'ETH', explorer: 'https://lineascan.build', rpcEnv: 'RPC_LINEA', rpcs: ['https://rpc.linea.build'] },
+  { key: 'zksync', name: 'zkSync Era', chainId: 324, symbol: 'ETH', explorer: 'https://explorer.zksync.io', rpcEnv: 'RPC_ZKSYNC', rpcs: ['https://mainnet.era.zksync.io'] },
+  { key: 'scroll', name: 'Scroll', chainId: 534352, symbol: 'ETH', explorer: 'https://scrollscan.com', rpcEnv: 'RPC_SCROLL', rpcs: ['https://rpc.scroll.io'] },
+  { key: 'mantle', name: 'Mantle', chainId: 5000, symbol: 'MNT', explorer: 'https://explorer.mantle.xyz', rpcEnv: 'RPC_MANTLE', rpcs: ['https://rpc.mantle.xyz'] },
+  { key: 'celo', name: 'Celo', chainId: 42220, symbol: 'CELO', explorer: 'https://celoscan.io', rpcEnv: 'RPC_CELO', rpcs: ['https://forno.celo.org'] },
+  { key: 'opbnb', name: 'opBNB', chainId: 204, symbol: 'BNB', explorer: 'https://opbnb.bscscan.com', rpcEnv: 'RPC_OPBNB', rpcs: ['https://opbnb-mainnet-rpc.bnbchain.org'] },
+  { key: 'zkevm', name: 'Polygon zkEVM', chainId: 1101, symbol: 'ETH', explorer: 'https://zkevm.polygonscan.com', rpcEnv: 'RPC_ZKEVM', rpcs: ['https://zkevm-rpc.com'] },
+  { key: 'moonbeam', name: 'Moonbeam', chainId: 1284, symbol: 'GLMR', explorer: 'https://moonbeam.moonscan.io', rpcEnv: 'RPC_MOONBEAM', rpcs: ['https://rpc.api.moonbeam.network'] }
 ];
 
+const testnets = [
+  { key: 'sepolia', name: 'Sepolia', chainId: 11155111, symbol: 'ETH', explorer: 'https://sepolia.etherscan.io', rpcs: ['https://ethereum-sepolia-rpc.publicnode.com', 'https://rpc.sepolia.org'], tokens: { USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238' } },
+  { key: 'holesky', name: 'Holesky', chainId: 17000, symbol: 'ETH', explorer: 'https://holesky.etherscan.io', rpcs: ['https://ethereum-holesky-rpc.publicnode.com'] },
+  { key: 'base-sepolia', name: 'Base Sepolia', chainId: 84532, symbol: 'ETH', explorer: 'https://sepolia.basescan.org', rpcs: ['https://sepolia.base.org'], tokens: { USDC: '0x036CbD53842c5426634e7929541eC2318f3dCF7e' } },
+  { key: 'arbitrum-sepolia', name: 'Arbitrum Sepolia', chainId: 421614, symbol: 'ETH', explorer: 'https://sepolia.arbiscan.io', rpcs: ['https://sepolia-rollup.arbitrum.io/rpc'], tokens: { USDC: '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d' } },
+  { key: 'optimism-sepolia', name: 'OP Sepolia', chainId: 11155420, symbol: 'ETH', explorer: 'https://sepolia-optimism.etherscan.io', rpcs: ['https://sepolia.optimism.io'], tokens: { USDC: '0x5fd84259d66Cd46123540766Be93DFE6D43130D7' } },
+  { key: 'polygon-amoy', name: 'Polygon Amoy', chainId: 80002, symbol: 'POL', explorer: 'https://amoy.polygonscan.com', rpcs: ['https://rpc-amoy.polygon.technology'] },
+  { key: 'bsc-testnet', name: 'BNB Smart Chain Testnet', chainId: 97, symbol: 'BNB', explorer: 'https://testnet.bscscan.com', rpcs: ['https://data-seed-prebsc-1-s1.binance.org:8545'] }
+].map((n) => ({ ...n, testnet: true }));
+
+// Every known network: built-ins, then networks.json; loadNetworks() updates it in place
+export const networks = [...mainnets, ...testnets];
+const profiles = new Map(); // name -> [network keys], from networks.json
+
+// RPC_<KEY> unless the network names its own variable (RPC_AVAX, ...)
+const rpcEnvOf = (key) => `RPC_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+// One networks.json entry -> network, merged over the built-in with the same key; null (with a warning) when invalid
+function normalizeNetwork(raw, base, where) {
+  const bad = (msg) => {
+    console.warn(`Ignoring ${where}: ${msg}`);
+    return null;
+  };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return bad('expected an object');
+  const key = String(raw.key || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(key)) return bad('"key" must be lowercase letters, digits, "-" or "_"');
+  if (NON_EVM_KEYS.includes(key)) return bad(`"${key}" is reserved for the ${key} adapter`);
+  const net = { ...base, ...raw, key };
+  net.chainId = Number(net.chainId);
+  if (!Number.isInteger(net.chainId) || net.chainId <= 0) return bad('"chainId" must be a positive integer');
+  net.name = String(net.name || key);
+  net.symbol = String(net.symbol || 'ETH');
+  net.rpcEnv = net.rpcEnv || rpcEnvOf(key);
+  if (!Array.isArray(net.rpcs) || net.rpcs.some((u) => !/^https?:\/\//.test(String(u)))) return bad('"rpcs" must be a list of http(s) URLs');
+  if (!net.rpcs.length && !process.env[net.rpcEnv]) return bad(`no "rpcs" and ${net.rpcEnv} is not set`);
+  if (net.tokens != null && (typeof net.tokens !== 'object' || Array.isArray(net.tokens))) return bad('"tokens" must be an object of symbol -> address');
+  if (net.explorer != null) net.explorer = String(net.explorer).replace(/\/+$/, '');
+  if (net.decimals != null) net.decimals = Number(net.decimals);
+  net.testnet = !!net.testnet;
+  return net;
+}
+
+// Adds / overrides networks from a networks.json file (missing file: built-ins only)
+export async function loadNetworks(path) {
+  if (!path || !existsSync(path)) return networks;
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8'));
+  } catch (e) {
+    console.error(`Failed to parse ${path}:`, e?.message || e);
+    return networks;
+  }
+  const list = Array.isArray(data) ? data : data?.networks || [];
+  list.forEach((raw, i) => {
+    const at = networks.findIndex((n) => n.key === String(raw?.key || '').trim().toLowerCase());
+    const net = normalizeNetwork(raw, at >= 0 ? networks[at] : { rpcs: [] }, `${path} networks[${i}]`);
+    if (!net) return;
+    const clash = networks.find((n) => n.chainId === net.chainId && n.key !== net.key);
+    if (clash) {
+      console.warn(`Ignoring ${path} networks[${i}]: chainId ${net.chainId} is already used by ${clash.key}`);
+      return;
+    }
+    if (at >= 0) networks[at] = net;
+    else networks.push(net);
+  });
+  for (const [name, keys] of Object.entries(Array.isArray(data) ? {} : data?.profiles || {})) {
+    if (!Array.isArray(keys)) {
+      console.warn(`Ignoring ${path} profiles.${name}: expected a list of network keys`);
+      continue;
+    }
+    profiles.set(name.toLowerCase(), keys.map((k) => String(k).trim().toLowerCase()));
+  }
+  return networks;
+}
+
+// "mainnets" | "testnets" | "all" | <profile> | <key>, or several of them comma-separated -> networks in catalogue order
+export function selectNetworks(spec = 'mainnets') {
+  const keys = new Set();
+  const expand = (name, seen = new Set()) => {
+    if (name === 'all') networks.forEach((n) => keys.add(n.key));
+    else if (name === 'mainnets') networks.filter((n) => !n.testnet).forEach((n) => keys.add(n.key));
+    else if (name === 'testnets') networks.filter((n) => n.testnet).forEach((n) => keys.add(n.key));
+    else if (profiles.has(name)) {
+      if (!seen.has(name)) profiles.get(name).forEach((k) => expand(k, new Set([...seen, name]))); // a profile may list another
+    } else if (networks.some((n) => n.key === name)) keys.add(name);
+    else throw new Error(`unknown network or profile "${name}" (known: mainnets, testnets, all${profiles.size ? `, ${[...profiles.keys()].join(', ')}` : ''}, or a network key)`);
+  };
+  for (const name of String(spec).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)) expand(name);
+  return networks.filter((n) => keys.has(n.key));
+}
+
+// Explorers of the non-EVM chains handled by the adapters: URL prefixes for an address and a transaction
+const otherExplorers = {
+  sol: { address: 'https://solscan.io/account/', tx: 'https://solscan.io/tx/' },
+  tron: { address: 'https://tronscan.org/#/address/', tx: 'https://tronscan.org/#/transaction/' },
+  btc: { address: 'https://mempool.space/address/', tx: 'https://mempool.space/tx/' }
+};
+
+// kind: 'address' | 'tx'; undefined when the network has no known explorer
+export function explorerUrl(netKey, kind, value) {
+  const evm = networks.find((n) => n.key === netKey);
+  if (evm?.explorer) return `${evm.explorer}/${kind}/${value}`;
+  const other = otherExplorers[netKey];
+  return other ? `${other[kind]}${value}` : undefined;
+}
+
+// The EVM networks a CLI run reads: networks.json loaded, then `spec` (--networks; default mainnets, or all when --only
+// names keys), narrowed to `only`. Throws on an unknown profile or key.
+export async function networksFor({ file, spec, only }) {
+  await loadNetworks(file);
+  const picked = selectNetworks(spec || (only ? 'all' : 'mainnets'));
+  return only ? picked.filter((n) => only.includes(n.key)) : picked;
+}
+
 export function getRpcUrl(spec) {
-  const fromEnv = process.env[spec.rpcEnv];
+  const fromEnv = process.env[spec.rpcEnv || rpcEnvOf(spec.key)];
   if (fromEnv && fromEnv.trim()) return fromEnv.trim();
-  return spec.rpcs[0];
+  return spec.rpcs?.[0];
 }
@@ -0,0 +1,56 @@
+// Helpers shared by the HTTP-based notifiers
+// Env overrides:
+//  - NOTIFY_RETRIES: extra attempts after a failed delivery (default 3)
+//  - NOTIFY_RETRY_BASE_MS: first retry delay, doubled on each attempt (default 1000)
+//  - NOTIFY_TIMEOUT_MS: per-request timeout (default 10000)
+
+const RETRIES = Math.max(0, Number(process.env.NOTIFY_RETRIES || 3))
+const RETRY_BASE_MS = Math.max(100, Number(process.env.NOTIFY_RETRY_BASE_MS || 1000))
+const TIMEOUT_MS = Math.max(1000, Number(process.env.NOTIFY_TIMEOUT_MS || 10000))
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+// POST a JSON body, retrying network errors, 429 and 5xx with exponential backoff (Retry-After wins when present).
+// body may be a pre-serialized string so that a signature over it stays valid.
+export async function postJson(url, body, { headers = {}, label = url } = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body)
+  let lastErr = null
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    let delay = RETRY_BASE_MS * 2 ** attempt
+    let res = null
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: payload,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      })
+    } catch (e) {
+      lastErr = new Error(`${label}: ${e?.message || e}`)
+    }
+    if (res) {
+      if (res.ok) return res
+      const detail = (await res.text().catch(() => '')).slice(0, 200)
+      lastErr = new Error(`${label}: HTTP ${res.status}${detail ? ` ${detail}` : ''}`)
+      if (res.status !== 429 && res.status < 500) throw lastErr // other 4xx won't get better by retrying
+      const retryAfter = Number(res.headers.get('retry-after'))
+      if (Number.isFinite(retryAfter) && retryAfter > 0) delay = retryAfter * 1000
+    }
+    if (attempt < RETRIES) await sleep(delay)
+  }
+  throw lastErr
+}
+
+// Split text into pieces of at most max characters, preferring line breaks
+export function chunkText(text, max) {
+  const out = []
+  let rest = text
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf('\n', max)
+    if (cut <= 0) cut = max
+    out.push(rest.slice(0, cut))
+    rest = rest.slice(cut).replace(/^\n/, '')
+  }
+  if (rest) out.push(rest)
+  return out
+}
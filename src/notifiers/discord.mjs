@@ -0,0 +1,24 @@
+import 'dotenv/config'
+import { postJson, chunkText } from './common.mjs'
+
+// Discord webhook
+// Channel options: { "type": "discord", "webhookUrl": "https://discord.com/api/webhooks/..." }
+// Env overrides:
+//  - DISCORD_WEBHOOK_URL: default webhook
+
+const MAX_TEXT = 1900 // content limit is 2000 characters, minus the code fence
+
+export function createDiscordNotifier(channel) {
+  const url = channel.webhookUrl || process.env.DISCORD_WEBHOOK_URL
+  if (!url) throw new Error('discord webhookUrl missing')
+  return {
+    id: `discord:${url}`,
+    async send({ subject, text }) {
+      const parts = chunkText(text, MAX_TEXT)
+      for (let i = 0; i < parts.length; i++) {
+        const title = i === 0 ? `**${subject}**\n` : ''
+        await postJson(url, { content: `${title}\`\`\`\n${parts[i]}\n\`\`\``, allowed_mentions: { parse: [] } }, { label: 'discord' })
+      }
+    }
+  }
+}
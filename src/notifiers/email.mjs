@@ -0,0 +1,39 @@
+import 'dotenv/config'
+import nodemailer from 'nodemailer'
+import { renderChangesHtml } from './templates.mjs'
+
+// Email channel (nodemailer over SMTP): HTML body from templates.mjs with the plain text as fallback
+// Channel options: { "type": "email", "to": "ops@example.com" } (default: the wallet's email, else EMAIL_TO / --emailTo)
+// Env:
+//  - SMTP_USER / SMTP_PASS: required; without them the channel is disabled
+//  - SMTP_HOST / SMTP_PORT / SMTP_SECURE: transport
+//  - EMAIL_FROM: sender address
+
+// Names of the required SMTP variables that are not set
+export const missingSmtpEnv = () => ['SMTP_USER', 'SMTP_PASS'].filter((key) => !process.env[key])
+
+const transporter = missingSmtpEnv().length ? null : nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'smtp.gmail.com',
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: (process.env.SMTP_SECURE || 'false') === 'true' ? true : false,
+  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+})
+
+// dryRun: messages go to the outbox, so no transport is needed
+export function createEmailNotifier(channel, { email, dryRun = false } = {}) {
+  if (!transporter && !dryRun) throw new Error(`email disabled: ${missingSmtpEnv().join(' and ')} not set`)
+  const to = channel.to || email
+  if (!to || !String(to).includes('@')) throw new Error('no recipient email configured')
+  return {
+    id: `email:${to}`,
+    async send({ subject, text, html, changes = [] }) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+        to,
+        subject,
+        text,
+        html: html ?? renderChangesHtml({ subject, changes })
+      })
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { appendFileSync, mkdirSync, writeFileSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { createEmailNotifier } from './email.mjs'
+import { createWebhookNotifier } from './webhook.mjs'
+import { createSlackNotifier } from './slack.mjs'
+import { createTelegramNotifier } from './telegram.mjs'
+import { createDiscordNotifier } from './discord.mjs'
+import { renderChangesHtml } from './templates.mjs'
+
+// Alert channels. A user or a wallet object in wallets.json picks them with "channels" (a wallet's list replaces its user's);
+// without one, alerts go out by email as before. Entries are a type name or an object with that channel's options:
+//   "channels": ["email", { "type": "slack", "webhookUrl": "https://hooks.slack.com/..." }, { "type": "webhook", "url": "https://...", "secret": "..." }]
+// Every notifier has the same shape: { id, send({ subject, text, changes, html?, event?, names? }) }, where id identifies the destination
+// (changes for the same Slack webhook or mailbox are sent together) and changes are the JSON change events of the cycle.
+// Alerts that aren't balance changes set event (default "wallet.changes") and their own details, e.g. names for
+// "wallet.name_changed"; text channels only use subject and text.
+
+const FACTORIES = {
+  email: createEmailNotifier,
+  webhook: createWebhookNotifier,
+  slack: createSlackNotifier,
+  telegram: createTelegramNotifier,
+  discord: createDiscordNotifier
+}
+
+export const CHANNEL_TYPES = Object.keys(FACTORIES)
+
+export const DEFAULT_CHANNELS = [{ type: 'email' }]
+
+// -> [{ type, ...options }] or undefined when not set
+export function normalizeChannels(spec, where = 'channels') {
+  if (spec == null) return undefined
+  if (!Array.isArray(spec)) {
+    console.warn(`Ignoring ${where}: expected an array`)
+    return undefined
+  }
+  const out = []
+  for (const item of spec) {
+    const ch = typeof item === 'string' ? { type: item } : item
+    const type = typeof ch?.type === 'string' ? ch.type.toLowerCase() : ''
+    if (!FACTORIES[type]) {
+      console.warn(`Ignoring unknown channel in ${where}: ${JSON.stringify(item)}`)
+      continue
+    }
+    out.push({ ...ch, type })
+  }
+  return out
+}
+
+const instances = new Map() // id -> notifier
+
+// Outbox: with useOutbox(path) every message is appended to that NDJSON file instead of being sent, one line per message:
+//   { "seq", "cycle", "channel": "<notifier id>", "type", "event", "subject", "text", "html"?, "changes", "names"? }
+let outbox = null // { path, seq, cycle }
+
+export function useOutbox(path, { truncate = false } = {}) {
+  mkdirSync(dirname(path), { recursive: true })
+  if (truncate) writeFileSync(path, '')
+  outbox = { path, seq: 0, cycle: null }
+  instances.clear()
+}
+
+// Cycle number written with the next outbox messages
+export function setOutboxCycle(cycle) {
+  if (outbox) outbox.cycle = cycle
+}
+
+const bigintReplacer = (_, v) => (typeof v === 'bigint' ? v.toString() : v)
+
+function outboxNotifier(notifier, type) {
+  return {
+    id: notifier.id,
+    async send({ subject, text, html, changes = [], event = 'wallet.changes', names }) {
+      // email bodies as they would have been rendered
+      const body = type === 'email' ? html ?? renderChangesHtml({ subject, changes }) : html
+      const entry = { seq: ++outbox.seq, cycle: outbox.cycle, channel: notifier.id, type, event, subject, text, ...(body ? { html: body } : {}), changes, ...(names ? { names } : {}) }
+      appendFileSync(outbox.path, JSON.stringify(entry, bigintReplacer) + '\n')
+    }
+  }
+}
+
+// ctx.email: recipient for email channels without their own "to"
+export function createNotifier(channel, ctx = {}) {
+  const notifier = FACTORIES[channel.type](channel, { ...ctx, dryRun: !!outbox })
+  if (!instances.has(notifier.id)) instances.set(notifier.id, outbox ? outboxNotifier(notifier, channel.type) : notifier)
+  return instances.get(notifier.id)
+}
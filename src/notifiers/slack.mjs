@@ -0,0 +1,24 @@
+import 'dotenv/config'
+import { postJson, chunkText } from './common.mjs'
+
+// Slack incoming webhook
+// Channel options: { "type": "slack", "webhookUrl": "https://hooks.slack.com/services/..." }
+// Env overrides:
+//  - SLACK_WEBHOOK_URL: default webhook
+
+const MAX_TEXT = 3500 // keep each message well inside Slack's per-message limits
+
+export function createSlackNotifier(channel) {
+  const url = channel.webhookUrl || process.env.SLACK_WEBHOOK_URL
+  if (!url) throw new Error('slack webhookUrl missing')
+  return {
+    id: `slack:${url}`,
+    async send({ subject, text }) {
+      const parts = chunkText(text, MAX_TEXT)
+      for (let i = 0; i < parts.length; i++) {
+        const title = i === 0 ? `*${subject}*\n` : ''
+        await postJson(url, { text: `${title}\`\`\`${parts[i]}\`\`\`` }, { label: 'slack' })
+      }
+    }
+  }
+}
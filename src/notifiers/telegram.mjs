@@ -0,0 +1,30 @@
+import 'dotenv/config'
+import { postJson, chunkText } from './common.mjs'
+
+// Telegram bot messages
+// Channel options: { "type": "telegram", "chatId": "-100123...", "botToken": "123:abc" }
+// Env overrides:
+//  - TELEGRAM_BOT_TOKEN: default bot token
+//  - TELEGRAM_CHAT_ID: default chat
+//  - TELEGRAM_API_URL: Bot API base (default https://api.telegram.org)
+
+const API = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '')
+const MAX_TEXT = 4000 // Bot API limit is 4096 characters per message
+
+export function createTelegramNotifier(channel) {
+  const token = channel.botToken || process.env.TELEGRAM_BOT_TOKEN
+  const chatId = channel.chatId ?? process.env.TELEGRAM_CHAT_ID
+  if (!token) throw new Error('telegram botToken missing')
+  if (chatId == null || chatId === '') throw new Error('telegram chatId missing')
+  // the bot is part of the destination: two bots posting to one chat are two channels. Only the bot id (the token's
+  // part before the colon) goes in, never the secret
+  const botId = String(token).split(':')[0]
+  return {
+    id: `telegram:${botId}:${chatId}`,
+    async send({ subject, text }) {
+      for (const part of chunkText(`${subject}\n\n${text}`, MAX_TEXT)) {
+        await postJson(`${API}/bot${token}/sendMessage`, { chat_id: chatId, text: part, disable_web_page_preview: true }, { label: 'telegram' })
+      }
+    }
+  }
+}
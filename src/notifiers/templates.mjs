@@ -0,0 +1,145 @@
+// HTML (and plain-text) email bodies for change alerts and digests, built from the watcher's change events:
+//   { address, chain, user, label, explorerUrl, changeUsd, previousTotalUsd, totalUsd, triggers?, transfers?,
+//     networks: { [key]: { name, symbol, explorerUrl, native, tokens: { SYM: value | { error } }, before: { native, tokens } } | { name, error, before } } }
+// Styles are inline because most mail clients drop <style> blocks.
+
+const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+
+const link = (href, text) => (href ? `<a href="${esc(href)}" style="color:#2563eb;text-decoration:none">${esc(text)}</a>` : esc(text))
+
+// after - before on decimal strings, exactly
+function decimalDiff(after, before) {
+  const scale = Math.max(...[after, before].map((v) => (v.split('.')[1] || '').length))
+  const toInt = (v) => {
+    const [i, f = ''] = v.split('.')
+    return BigInt(i + f.padEnd(scale, '0'))
+  }
+  const d = toInt(after) - toInt(before)
+  const abs = d < 0n ? -d : d
+  const base = 10n ** BigInt(scale)
+  const frac = scale ? (abs % base).toString().padStart(scale, '0').replace(/0+$/, '') : ''
+  return `${d < 0n ? '-' : d > 0n ? '+' : ''}${abs / base}${frac ? `.${frac}` : ''}`
+}
+
+const isZero = (v) => v == null || /^-?0(\.0*)?$/.test(v)
+
+// [{ asset, before, after, change }] for one network of an event, skipping assets that are zero on both sides
+function assetRows(n) {
+  const rows = []
+  const add = (asset, before, after) => {
+    const failed = after != null && typeof after === 'object' // { error }
+    if (!failed && isZero(before) && isZero(after)) return
+    rows.push({
+      asset,
+      before: before ?? '-',
+      after: failed ? 'ERROR' : (after ?? '-'),
+      change: !failed && after != null ? decimalDiff(after, before ?? '0') : ''
+    })
+  }
+  add(n.symbol, n.before?.native, n.native)
+  const syms = new Set([...Object.keys(n.before?.tokens || {}), ...Object.keys(n.tokens || {})])
+  for (const sym of syms) add(sym, n.before?.tokens?.[sym], n.tokens?.[sym])
+  return rows
+}
+
+const usd = (v) => `~$${v}`
+const signedUsd = (v) => (String(v).startsWith('-') ? `-$${String(v).slice(1)}` : `+$${v}`)
+const changeColor = (v) => (String(v).startsWith('-') ? '#b91c1c' : '#15803d')
+
+function walletTitle(ev) {
+  return [ev.user, ev.label].filter(Boolean).join(' / ') || ev.address
+}
+
+function networkTable(n) {
+  const head = `<div style="margin:12px 0 4px;font-weight:600">${link(n.explorerUrl, n.name)}</div>`
+  if (n.error) return `${head}<div style="color:#b91c1c">ERROR ${esc(n.error)}</div>`
+  const rows = assetRows(n)
+  if (!rows.length) return ''
+  const td = 'padding:4px 10px;border-bottom:1px solid #eee;text-align:right;font-family:ui-monospace,Menlo,monospace'
+  const th = 'padding:4px 10px;border-bottom:1px solid #ccc;text-align:right;color:#555;font-weight:500'
+  return `${head}<table cellspacing="0" style="border-collapse:collapse;font-size:13px">
+<tr><th style="${th};text-align:left">Asset</th><th style="${th}">Before</th><th style="${th}">After</th><th style="${th}">Change</th></tr>
+${rows.map((r) => `<tr><td style="${td};text-align:left">${esc(r.asset)}</td><td style="${td}">${esc(r.before)}</td><td style="${td}">${esc(r.after)}</td><td style="${td};color:${changeColor(r.change)}">${esc(r.change)}</td></tr>`).join('\n')}
+</table>`
+}
+
+function transferList(transfers = []) {
+  if (!transfers.length) return ''
+  const items = transfers.map((t) => {
+    const dir = t.direction === 'in' ? `+${t.formatted} ${t.token} from` : `-${t.formatted} ${t.token} to`
+    return `<li>${esc(t.netName)}: ${esc(dir)} <code>${esc(t.counterparty)}</code> (block ${esc(t.block)}, ${link(t.explorerUrl, 'tx')})</li>`
+  })
+  return `<div style="margin:12px 0 4px;font-weight:600">Transfers</div><ul style="margin:0;padding-left:18px;font-size:13px">${items.join('')}</ul>`
+}
+
+function walletCard(ev) {
+  const nets = Object.values(ev.networks || {}).map(networkTable).join('\n')
+  return `<div style="border:1px solid #ddd;border-radius:8px;padding:12px 16px;margin:0 0 16px">
+<div style="font-size:16px;font-weight:600">${esc(walletTitle(ev))}</div>
+<div style="font-size:12px;color:#555;margin:2px 0 8px">${link(ev.explorerUrl, ev.address)}</div>
+<div>Change <b style="color:${changeColor(ev.changeUsd)}">${esc(signedUsd(ev.changeUsd))}</b> &middot; before ${esc(usd(ev.previousTotalUsd))} &middot; now <b>${esc(usd(ev.totalUsd))}</b></div>
+${ev.triggers?.length ? `<div style="font-size:12px;color:#555;margin-top:2px">Triggered: ${esc(ev.triggers.join('; '))}</div>` : ''}
+${nets}
+${transferList(ev.transfers)}
+</div>`
+}
+
+const PRICE_NOTE = "USD values use current prices for both before and after, so price moves alone don't show up as changes."
+
+function page(title, intro, body, note = PRICE_NOTE) {
+  return `<!doctype html>
+<html><body style="margin:0;padding:16px;background:#f6f7f9">
+<div style="max-width:720px;margin:0 auto;background:#fff;padding:20px;border-radius:8px;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#111">
+<h2 style="margin:0 0 4px;font-size:18px">${esc(title)}</h2>
+<div style="color:#555;font-size:13px;margin-bottom:16px">${esc(intro)}</div>
+${body}
+${note ? `<div style="color:#888;font-size:11px;margin-top:16px">${esc(note)}</div>` : ''}
+</div>
+</body></html>`
+}
+
+export function renderChangesHtml({ subject, changes }) {
+  return page(subject, `${changes.length} wallet(s) changed by at least the alert threshold.`, changes.map(walletCard).join('\n'))
+}
+
+// digest: { period, from, to, wallets: [event] } -> { subject, html, text }
+export function renderDigest({ period, from, to, wallets }) {
+  const range = `${new Date(from).toLocaleString()} – ${new Date(to).toLocaleString()}`
+  const subject = `Wallet ${period} digest: ${wallets.length} wallet(s)`
+  const html = page(subject, range, wallets.map(walletCard).join('\n'))
+  const text = [
+    `${subject}`,
+    range,
+    '',
+    ...wallets.flatMap((ev) => [
+      `${walletTitle(ev)} (${ev.address})`,
+      `Change: ${signedUsd(ev.changeUsd)}  Before: ${usd(ev.previousTotalUsd)}  Now: ${usd(ev.totalUsd)}`,
+      ...Object.values(ev.networks || {}).flatMap((n) => {
+        if (n.error) return [`- ${n.name}: ERROR ${n.error}`]
+        const rows = assetRows(n)
+        return rows.length ? [`- ${n.name}: ${rows.map((r) => `${r.asset} ${r.before} -> ${r.after}`).join(', ')}`] : []
+      }),
+      ''
+    ])
+  ].join('\n')
+  return { subject, html, text }
+}
+
+// ENS/SNS names that now resolve to another address: [{ name, chain, user, label, from, to, fromUrl, toUrl }] -> { subject, html, text }
+export function renderNameChanges(changes) {
+  const subject = `Wallet name changed: ${changes.map((c) => c.name).join(', ')}`
+  const intro = 'These names now point at a different address. The new address is watched from a fresh baseline; the old one is no longer watched.'
+  const html = page(subject, intro, changes.map((c) => `<div style="border:1px solid #ddd;border-radius:8px;padding:12px 16px;margin:0 0 16px">
+<div style="font-size:16px;font-weight:600">${esc(c.name)}</div>
+${c.user || c.label ? `<div style="font-size:12px;color:#555;margin:2px 0 8px">${esc(walletTitle(c))}</div>` : ''}
+<div style="font-size:13px">Was: ${link(c.fromUrl, c.from)}</div>
+<div style="font-size:13px">Now: <b>${link(c.toUrl, c.to)}</b></div>
+</div>`).join('\n'), '')
+  const text = [
+    subject,
+    intro,
+    '',
+    ...changes.flatMap((c) => [`${c.name}${c.user || c.label ? ` (${walletTitle(c)})` : ''}`, `Was: ${c.from}`, `Now: ${c.to}`, ''])
+  ].join('\n')
+  return { subject, html, text }
+}
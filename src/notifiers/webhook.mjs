@@ -0,0 +1,39 @@
+import 'dotenv/config'
+import { createHmac, randomUUID } from 'node:crypto'
+import { postJson } from './common.mjs'
+
+// Generic HTTP webhook: POSTs the cycle's changes as JSON
+//   { "event": "wallet.changes", "sentAt": "<ISO>", "subject": "...", "changes": [ { address, chain, user, label, changeUsd, totalUsd, triggers, networks, transfers } ] }
+// or, when an ENS/SNS name of a wallet starts resolving to another address,
+//   { "event": "wallet.name_changed", "sentAt": "<ISO>", "subject": "...", "changes": [], "names": [ { name, chain, user, label, from, to } ] }
+// Channel options: { "type": "webhook", "url": "https://...", "secret": "..." }
+// Env overrides:
+//  - WEBHOOK_URL: default url
+//  - WEBHOOK_SECRET: default signing secret
+// With a secret every request carries
+//   X-Wallet-Watcher-Timestamp: <unix seconds>
+//   X-Wallet-Watcher-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed by the secret>
+// and X-Wallet-Watcher-Delivery, a unique id that stays the same across retries of one delivery.
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+export function createWebhookNotifier(channel) {
+  const url = channel.url || process.env.WEBHOOK_URL
+  if (!url) throw new Error('webhook url missing')
+  const secret = channel.secret || process.env.WEBHOOK_SECRET || ''
+  return {
+    id: `webhook:${url}`,
+    async send({ subject, changes = [], event = 'wallet.changes', names }) {
+      const body = JSON.stringify({ event, sentAt: new Date().toISOString(), subject, changes, ...(names ? { names } : {}) })
+      const timestamp = Math.floor(Date.now() / 1000)
+      const headers = { 'x-wallet-watcher-event': event, 'x-wallet-watcher-delivery': randomUUID() }
+      if (secret) {
+        headers['x-wallet-watcher-timestamp'] = String(timestamp)
+        headers['x-wallet-watcher-signature'] = signPayload(secret, timestamp, body)
+      }
+      await postJson(url, body, { headers, label: 'webhook' })
+    }
+  }
+}
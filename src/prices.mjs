@@ -0,0 +1,213 @@
+// USD prices for native coins and non-stable tokens, as integer micro-USD per whole unit.
+// Sources are tried in order (PRICE_SOURCES, default: file,http,chainlink) until every symbol has a price:
+//  - file: static JSON (PRICE_FILE, default ./prices.json) for offline use:
+//      { "ETH": 3150.25, "SOL": { "usd": 145.1, "updatedAt": "2024-06-01T12:00:00Z" } }
+//    entries without updatedAt are as old as the file's mtime
+//  - http: CoinGecko-compatible /simple/price API (PRICE_HTTP_URL); symbol -> coin id map extendable via PRICE_HTTP_IDS (JSON)
+//  - chainlink: <SYM>/USD aggregator feeds on Ethereum mainnet read through the shared RPC pool; extend via CHAINLINK_FEEDS (JSON)
+// Prices are cached for PRICE_TTL_MS (default 60s) and ignored once older than PRICE_MAX_AGE_MS (default 1h).
+// USDT/USDC always count at $1.
+// Tokens are priced by contract, not by the symbol they report: the built-in USDT/USDC and the contracts in
+// PRICED_TOKENS (extendable via PRICE_TOKENS, JSON "<net>:<contract>" -> symbol) take that symbol's price; any other
+// token is unpriced, so a custom token calling itself ETH or USDT is never valued as one.
+
+import 'dotenv/config';
+import { Contract } from 'ethers';
+import { readFile, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { resolve as resolvePath } from 'node:path';
+import { withTimeout, addrKey } from './util.mjs';
+import { withRpc } from './rpc-pool.mjs';
+import { networks } from './networks.mjs';
+
+export const STABLECOINS = new Set(['USDT', 'USDC']);
+const MICRO = 1000000n;
+
+const SOURCES = String(process.env.PRICE_SOURCES || 'file,http,chainlink').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+const TTL_MS = Number(process.env.PRICE_TTL_MS || 60000);
+const MAX_AGE_MS = Number(process.env.PRICE_MAX_AGE_MS || 3600000);
+const PRICE_FILE = resolvePath(process.cwd(), process.env.PRICE_FILE || 'prices.json');
+const HTTP_URL = process.env.PRICE_HTTP_URL || 'https://api.coingecko.com/api/v3/simple/price';
+
+function jsonEnv(name) {
+  if (!process.env[name]) return {};
+  try { return JSON.parse(process.env[name]); } catch (e) {
+    console.warn(`Ignoring invalid ${name}:`, e?.message || e);
+    return {};
+  }
+}
+
+const HTTP_IDS = {
+  ETH: 'ethereum', BTC: 'bitcoin', BNB: 'binancecoin', MATIC: 'polygon-ecosystem-token', POL: 'polygon-ecosystem-token',
+  AVAX: 'avalanche-2', FTM: 'fantom', XDAI: 'xdai', MNT: 'mantle', CELO: 'celo', GLMR: 'moonbeam', SOL: 'solana',
+  TRX: 'tron', DAI: 'dai', WETH: 'weth', WBTC: 'wrapped-bitcoin', LINK: 'chainlink',
+  ...jsonEnv('PRICE_HTTP_IDS')
+};
+
+// Ethereum mainnet <SYM>/USD aggregators
+const CHAINLINK_FEEDS = {
+  ETH: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+  BTC: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c',
+  BNB: '0x14e613AC84a31f709eadbdF89C6CC390fDc9540A',
+  MATIC: '0x7bAC85A8a13A4BcD8abb3eB7d6b4d632c5a57676',
+  AVAX: '0xFF3EEb22B5E3dE6e705b44749C2559d704923FD7',
+  SOL: '0x4ffC43a60e009B551865A93d232E33Fce9f01507',
+  LINK: '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c',
+  DAI: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9',
+  ...jsonEnv('CHAINLINK_FEEDS')
+};
+// Well-known token contracts priced as a symbol above
+const PRICED_TOKENS = new Map(Object.entries({
+  'eth:0x6B175474E89094C44Da98b954EedeAC495271d0F': 'DAI',
+  'eth:0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2': 'WETH',
+  'eth:0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599': 'WBTC',
+  'eth:0x514910771AF9Ca656af840dff83E8264EcF986CA': 'LINK',
+  ...jsonEnv('PRICE_TOKENS')
+}).map(([key, sym]) => [tokenPriceKey(key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)), String(sym).toUpperCase()]));
+
+function tokenPriceKey(netKey, address) {
+  return `${String(netKey).toLowerCase()}:${addrKey(address)}`;
+}
+
+// Symbol a token on `netKey` is priced as: `builtin` (a built-in USDT/USDC) or its PRICED_TOKENS entry, else null
+export function tokenPriceSymbol(netKey, address, builtin) {
+  return builtin || PRICED_TOKENS.get(tokenPriceKey(netKey, address)) || null;
+}
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+const usdToMicro = (usd) => BigInt(Math.round(Number(usd) * 1e6));
+
+// Each source: async (symbols[]) => Map<SYM, { micro: bigint, updatedAt: epochMs }>
+
+async function fromFile(symbols) {
+  const out = new Map();
+  if (!existsSync(PRICE_FILE)) return out;
+  const [raw, st] = await Promise.all([readFile(PRICE_FILE, 'utf8'), stat(PRICE_FILE)]);
+  const data = JSON.parse(raw);
+  for (const sym of symbols) {
+    const v = data[sym] ?? data[sym.toLowerCase()];
+    const usd = typeof v === 'object' && v ? v.usd : v;
+    if (usd == null || !Number.isFinite(Number(usd))) continue;
+    const updatedAt = typeof v === 'object' && v?.updatedAt ? Date.parse(v.updatedAt) : st.mtimeMs;
+    out.set(sym, { micro: usdToMicro(usd), updatedAt });
+  }
+  return out;
+}
+
+async function fromHttp(symbols) {
+  const out = new Map();
+  const ids = [...new Set(symbols.map((s) => HTTP_IDS[s]).filter(Boolean))];
+  if (!ids.length) return out;
+  const url = `${HTTP_URL}?ids=${encodeURIComponent(ids.join(','))}&vs_currencies=usd&include_last_updated_at=true`;
+  const res = await withTimeout(fetch(url, { headers: { accept: 'application/json' } }), 10000, 'price api');
+  if (!res.ok) throw new Error(`price api ${res.status} ${res.statusText}`);
+  const data = await res.json();
+  for (const sym of symbols) {
+    const row = data[HTTP_IDS[sym]];
+    if (!row || row.usd == null) continue;
+    out.set(sym, { micro: usdToMicro(row.usd), updatedAt: row.last_updated_at ? row.last_updated_at * 1000 : Date.now() });
+  }
+  return out;
+}
+
+async function fromChainlink(symbols) {
+  const out = new Map();
+  const wanted = symbols.filter((s) => CHAINLINK_FEEDS[s]);
+  if (!wanted.length) return out;
+  const eth = networks.find((n) => n.key === 'eth');
+  await Promise.all(wanted.map(async (sym) => {
+    try {
+      const [dec, round] = await withRpc(eth, (provider) => {
+        const feed = new Contract(CHAINLINK_FEEDS[sym], AGGREGATOR_ABI, provider);
+        return Promise.all([
+          withTimeout(feed.decimals(), 8000, `chainlink ${sym}:decimals`),
+          withTimeout(feed.latestRoundData(), 8000, `chainlink ${sym}`)
+        ]);
+      });
+      if (round.answer <= 0n) return;
+      out.set(sym, { micro: (round.answer * MICRO) / 10n ** BigInt(dec), updatedAt: Number(round.updatedAt) * 1000 });
+    } catch (e) {
+      console.warn(`[price] chainlink ${sym} failed: ${e?.message || e}`);
+    }
+  }));
+  return out;
+}
+
+const SOURCE_FNS = { file: fromFile, http: fromHttp, chainlink: fromChainlink };
+
+const cache = new Map(); // SYM -> { micro, updatedAt, fetchedAt }
+let inflight = null; // one refresh at a time; concurrent callers share it
+
+async function refresh(symbols) {
+  let missing = symbols;
+  for (const name of SOURCES) {
+    if (!missing.length) break;
+    const fn = SOURCE_FNS[name];
+    if (!fn) continue;
+    try {
+      const got = await fn(missing);
+      const now = Date.now();
+      const accepted = new Set();
+      for (const [sym, p] of got) {
+        if (now - p.updatedAt > MAX_AGE_MS) continue; // stale at the source; let the next source try
+        cache.set(sym, { ...p, fetchedAt: now });
+        accepted.add(sym);
+      }
+      missing = missing.filter((s) => !accepted.has(s));
+    } catch (e) {
+      console.warn(`[price] ${name} source failed: ${e?.message || e}`);
+    }
+  }
+  // misses wait a TTL before the next attempt; a previous price stays usable until it is too old
+  for (const sym of missing) cache.set(sym, { micro: null, updatedAt: 0, ...cache.get(sym), fetchedAt: Date.now() });
+}
+
+// Fixed prices (Map<SYM, micro-USD>) that replace every source, e.g. for a replayed scenario; null goes back to the sources
+let fixedPrices = null;
+export function setFixedPrices(prices) {
+  fixedPrices = prices;
+}
+
+// Returns Map<SYM, micro-USD per whole unit> for the symbols that have a fresh price
+export async function getPricesMicro(symbols) {
+  const wanted = [...new Set(symbols.map((s) => String(s).toUpperCase()).filter((s) => s && !STABLECOINS.has(s)))];
+  if (fixedPrices) return new Map(wanted.filter((s) => fixedPrices.has(s)).map((s) => [s, fixedPrices.get(s)]));
+  let due = wanted.filter((s) => !cache.has(s) || Date.now() - cache.get(s).fetchedAt > TTL_MS);
+  while (due.length) {
+    if (!inflight) inflight = refresh(due).finally(() => { inflight = null; });
+    await inflight;
+    due = due.filter((s) => !cache.has(s) || Date.now() - cache.get(s).fetchedAt > TTL_MS);
+  }
+  const out = new Map();
+  const now = Date.now();
+  for (const sym of wanted) {
+    const p = cache.get(sym);
+    if (p?.micro != null && now - p.updatedAt <= MAX_AGE_MS) out.set(sym, p.micro);
+  }
+  return out;
+}
+
+// micro-USD per whole unit, or null when unpriced
+export function priceOf(symbol, prices) {
+  const sym = String(symbol || '').toUpperCase();
+  if (STABLECOINS.has(sym)) return MICRO;
+  return prices.get(sym) ?? null;
+}
+
+// value of a raw on-chain amount in micro-USD
+export function valueMicro(raw, decimals, priceMicro) {
+  return (BigInt(raw) * priceMicro) / 10n ** BigInt(decimals);
+}
+
+export function fmtMicroUSD(m) {
+  const neg = m < 0n;
+  const n = neg ? -m : m;
+  const int = n / 1000000n;
+  const frac = n % 1000000n;
+  const fracStr = frac.toString().padStart(6, '0');
+  return `${neg ? '-' : ''}${int.toString()}.${fracStr}`;
+}
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Holdings report of every wallet in wallets.json, grouped by user, wallet, network and token, with a USD subtotal per
+// network, wallet and user and a grand total (at current prices). Formats:
+//   markdown  one table per user (default)
+//   json      the same tree as one document
+//   ndjson    one record per line: "holding" and "error" records, then a "subtotal" after each network/wallet/user and
+//             a final "total"
+//   csv       RFC 4180, one row per wallet network (level "network") plus subtotal rows (levels "wallet", "user",
+//             "total"); after the native coin, one column per configured token
+// Amounts and USD values are decimal strings, so nothing loses precision on the way.
+import 'dotenv/config';
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve as resolvePath } from 'node:path';
+import { formatUnits } from 'ethers';
+import { networksFor } from './networks.mjs';
+import { loadTokenConfig, mergeTokenSpecs } from './tokens.mjs';
+import { getPricesMicro, priceOf, valueMicro, fmtMicroUSD } from './prices.mjs';
+import { adapters, getAdapter, fetchBalancesMany } from './adapters/index.mjs';
+import { parseWalletsConfig } from './wallet-config.mjs';
+import { resolveWalletNames, labelWithNames } from './names.mjs';
+import { toCsv } from './csv.mjs';
+
+const FORMATS = ['markdown', 'json', 'ndjson', 'csv'];
+
+function usageAndExit() {
+  console.error(`Usage: npm run report -- [--config=wallets.json] [--format=${FORMATS.join('|')}] [--out=report.md] [--user=alex] [--zeros=true] [--networks=mainnets|testnets|<profile>] [--only=eth,polygon,...] [--timeout=8000] [--tokens=tokens.json]`);
+  console.error('Reads every wallet in wallets.json; --zeros keeps networks and tokens with a zero balance.');
+  process.exit(1);
+}
+
+const opts = {};
+for (const a of process.argv.slice(2)) {
+  if (!a.startsWith('--')) usageAndExit();
+  const [k, v = 'true'] = a.slice(2).split('=');
+  opts[k] = v;
+}
+if (opts.help) usageAndExit();
+
+const format = String(opts.format || 'markdown').toLowerCase().replace(/^md$/, 'markdown');
+if (!FORMATS.includes(format)) {
+  console.error(`--format: expected one of ${FORMATS.join(', ')}`);
+  process.exit(2);
+}
+const timeoutMs = Number(opts.timeout || 8000);
+const only = opts.only ? String(opts.only).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean) : null;
+const zeros = opts.zeros === 'true';
+const userFilter = opts.user ? String(opts.user) : null;
+const configPath = resolvePath(process.cwd(), String(opts.config || 'wallets.json'));
+const networksPath = resolvePath(process.cwd(), String(opts.networksFile || process.env.NETWORKS_FILE || 'networks.json'));
+const tokensPath = resolvePath(process.cwd(), String(opts.tokens || process.env.TOKENS_FILE || 'tokens.json'));
+const outPath = opts.out ? resolvePath(process.cwd(), String(opts.out)) : null;
+
+const walletKey = (w) => `${w.chain}:${w.address}`;
+const usd = (micro) => (micro == null ? null : fmtMicroUSD(micro));
+const sum = (list) => list.reduce((acc, x) => acc + (x.usdMicro ?? 0n), 0n);
+
+// Snapshot item -> report network: { key, name, symbol, chainId, block, error?, assets: [{ asset, raw, decimals, usdMicro } | { asset, error }] }
+function toNetwork(it, prices) {
+  const base = { key: it.net.key, name: it.net.name, symbol: it.net.symbol, chainId: it.net.chainId ?? null, block: it.block ?? null };
+  if (it.error) return { ...base, error: it.error, assets: [], usdMicro: null };
+  const assets = [];
+  const add = (asset, raw, decimals, priceSymbol) => {
+    if (raw === 0n && !zeros) return;
+    const price = priceOf(priceSymbol, prices);
+    assets.push({ asset, raw, decimals, usdMicro: price != null ? valueMicro(raw, decimals, price) : null });
+  };
+  add(it.net.symbol, BigInt(it.native), it.net.decimals ?? 18, it.net.symbol);
+  for (const [sym, t] of Object.entries(it.tokens || {})) {
+    if (t.error) assets.push({ asset: sym, error: t.error });
+    else add(sym, BigInt(t.raw), Number(t.decimals), t.priceSymbol);
+  }
+  return { ...base, assets, usdMicro: sum(assets) };
+}
+
+// Entries + snapshots -> { users: [{ user, wallets: [{ ..., networks }], usdMicro }], usdMicro, unpriced }
+function buildReport(entries, snaps, prices) {
+  const users = new Map();
+  for (const e of entries) {
+    if (!users.has(e.user ?? null)) users.set(e.user ?? null, { user: e.user ?? null, wallets: [] });
+    const networks = snaps.get(walletKey(e)).map((it) => toNetwork(it, prices)).filter((n) => zeros || n.error || n.assets.length);
+    users.get(e.user ?? null).wallets.push({ chain: e.chain, address: e.address, name: e.name ?? null, label: e.label ?? null, networks, usdMicro: sum(networks) });
+  }
+  for (const u of users.values()) u.usdMicro = sum(u.wallets);
+  // a wallet listed under two users counts once
+  const unique = new Map(entries.map((e) => [walletKey(e), e]));
+  const all = [...users.values()].flatMap((u) => u.wallets);
+  const total = [...unique.keys()].reduce((acc, key) => acc + all.find((w) => walletKey(w) === key).usdMicro, 0n);
+  const unpriced = [...new Set(all.flatMap((w) => w.networks.flatMap((n) => n.assets)).filter((a) => !a.error && a.raw > 0n && a.usdMicro == null).map((a) => a.asset))];
+  return { users: [...users.values()], usdMicro: total, unpriced };
+}
+
+const walletName = (w) => w.label || w.name || w.address;
+const amountOf = (a) => formatUnits(a.raw, a.decimals);
+
+function renderJson(report, generatedAt) {
+  return `${JSON.stringify({
+    generatedAt,
+    usd: usd(report.usdMicro),
+    unpriced: report.unpriced,
+    users: report.users.map((u) => ({
+      user: u.user,
+      usd: usd(u.usdMicro),
+      wallets: u.wallets.map((w) => ({
+        chain: w.chain, address: w.address, name: w.name, label: w.label, usd: usd(w.usdMicro),
+        networks: w.networks.map((n) => ({
+          network: n.key, name: n.name, chainId: n.chainId, block: n.block, ...(n.error ? { error: n.error } : { usd: usd(n.usdMicro) }),
+          assets: n.assets.map((a) => (a.error ? { asset: a.asset, error: a.error } : { asset: a.asset, amount: amountOf(a), raw: a.raw.toString(), decimals: a.decimals, usd: usd(a.usdMicro) }))
+        }))
+      }))
+    }))
+  }, null, 2)}\n`;
+}
+
+function renderNdjson(report, generatedAt) {
+  const lines = [];
+  const out = (record) => lines.push(JSON.stringify(record));
+  for (const u of report.users) {
+    for (const w of u.wallets) {
+      const wallet = { user: u.user, chain: w.chain, address: w.address, label: w.label };
+      for (const n of w.networks) {
+        const where = { ...wallet, network: n.key, chainId: n.chainId, block: n.block };
+        if (n.error) { out({ type: 'error', ...where, error: n.error }); continue; }
+        for (const a of n.assets) {
+          if (a.error) out({ type: 'error', ...where, asset: a.asset, error: a.error });
+          else out({ type: 'holding', ...where, asset: a.asset, amount: amountOf(a), raw: a.raw.toString(), decimals: a.decimals, usd: usd(a.usdMicro) });
+        }
+        out({ type: 'subtotal', level: 'network', ...wallet, network: n.key, usd: usd(n.usdMicro) });
+      }
+      out({ type: 'subtotal', level: 'wallet', ...wallet, usd: usd(w.usdMicro) });
+    }
+    out({ type: 'subtotal', level: 'user', user: u.user, usd: usd(u.usdMicro) });
+  }
+  out({ type: 'total', generatedAt, usd: usd(report.usdMicro), unpriced: report.unpriced });
+  return `${lines.join('\n')}\n`;
+}
+
+// Markdown table cells: pipes escaped, line breaks flattened
+const cell = (v) => String(v ?? '').replaceAll('|', '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+const mdRow = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+
+function renderMarkdown(report, generatedAt) {
+  const lines = ['# Portfolio report', '', `Generated ${generatedAt}, USD at current prices.`];
+  for (const u of report.users) {
+    lines.push('', `## ${cell(u.user ?? '(no user)')}: $${usd(u.usdMicro)}`, '');
+    lines.push(mdRow(['Wallet', 'Network', 'Asset', 'Amount', 'USD']), mdRow(['---', '---', '---', '---:', '---:']));
+    for (const w of u.wallets) {
+      const wname = w.label || w.name ? `${walletName(w)} (${w.address})` : w.address;
+      if (!w.networks.length) lines.push(mdRow([wname, '', '', 'no balance', '']));
+      for (const n of w.networks) {
+        if (n.error) { lines.push(mdRow([wname, n.name, '', `ERROR: ${n.error}`, ''])); continue; }
+        for (const a of n.assets) lines.push(mdRow([wname, n.name, a.asset, a.error ? `ERROR: ${a.error}` : amountOf(a), usd(a.usdMicro) ?? '']));
+        if (n.assets.length > 1) lines.push(mdRow([wname, `*${n.name} subtotal*`, '', '', `*${usd(n.usdMicro)}*`]));
+      }
+      lines.push(mdRow([`**${walletName(w)} total**`, '', '', '', `**${usd(w.usdMicro)}**`]));
+    }
+  }
+  lines.push('', `**Grand total: $${usd(report.usdMicro)}**`);
+  if (report.unpriced.length) lines.push('', `No price for ${report.unpriced.join(', ')}; not included in the totals.`);
+  return `${lines.join('\n')}\n`;
+}
+
+function renderCsv(report, tokenCols) {
+  const rows = [['level', 'user', 'wallet', 'address', 'chain', 'network', 'chainId', 'block', 'symbol', 'native', ...tokenCols, 'usd', 'status']];
+  const blank = tokenCols.map(() => '');
+  for (const u of report.users) {
+    for (const w of u.wallets) {
+      const wallet = [u.user, w.label ?? w.name, w.address, w.chain];
+      for (const n of w.networks) {
+        const where = ['network', ...wallet, n.name, n.chainId, n.block];
+        if (n.error) { rows.push([...where, '', '', ...blank, '', `ERROR: ${n.error}`]); continue; }
+        const native = n.assets.find((a) => a.asset === n.symbol);
+        const byAsset = new Map(n.assets.map((a) => [a.asset, a]));
+        const tokenVals = tokenCols.map((sym) => (byAsset.get(sym) && !byAsset.get(sym).error ? amountOf(byAsset.get(sym)) : ''));
+        const errors = n.assets.filter((a) => a.error).map((a) => `${a.asset}: ${a.error}`);
+        rows.push([...where, n.symbol, native ? amountOf(native) : '', ...tokenVals, usd(n.usdMicro), errors.length ? `ERROR: ${errors.join('; ')}` : 'OK']);
+      }
+      rows.push(['wallet', ...wallet, '', '', '', '', '', ...blank, usd(w.usdMicro), '']);
+    }
+    rows.push(['user', u.user, '', '', '', '', '', '', '', '', ...blank, usd(u.usdMicro), '']);
+  }
+  rows.push(['total', '', '', '', '', '', '', '', '', '', ...blank, usd(report.usdMicro), report.unpriced.length ? `no price for ${report.unpriced.join(' ')}` : '']);
+  return toCsv(rows);
+}
+
+// CSV token columns: the configured tokens of the selected networks (built-in, tokens.json, users' and wallets' own)
+// in that order, then any other token a wallet turned out to hold
+function tokenColumns(networks, specs, report) {
+  const cols = new Set();
+  const keys = new Set([...networks.map((n) => n.key), ...Object.values(adapters).map((a) => a.net?.key).filter(Boolean)]);
+  for (const net of networks) for (const sym of Object.keys(net.tokens || {})) cols.add(sym);
+  for (const spec of specs) for (const [key, list] of Object.entries(spec || {})) if (keys.has(key)) for (const t of list) if (t.symbol) cols.add(t.symbol);
+  for (const u of report.users) for (const w of u.wallets) for (const n of w.networks) for (const a of n.assets) if (a.asset !== n.symbol) cols.add(a.asset);
+  return [...cols];
+}
+
+(async () => {
+  let parsed;
+  try {
+    parsed = parseWalletsConfig(JSON.parse(await readFile(configPath, 'utf8')));
+  } catch (e) {
+    console.error(`Cannot read ${configPath}: ${e?.message || e}`);
+    process.exit(2);
+  }
+  if (userFilter) parsed = parsed.filter((e) => e.user === userFilter);
+  if (!parsed.length) {
+    console.error(userFilter ? `No wallets for user "${userFilter}" in ${configPath}` : `No wallets in ${configPath}`);
+    process.exit(2);
+  }
+  let selected;
+  try {
+    selected = await networksFor({ file: networksPath, spec: opts.networks || process.env.NETWORKS, only });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  // names, balances, prices and the output file: a failure is reported, not thrown as a stack trace
+  try {
+    const { entries: resolved } = await resolveWalletNames(parsed);
+    const labelled = await labelWithNames(resolved);
+    // one entry per user and wallet, EVM addresses checksummed
+    const entries = [];
+    for (const e of labelled) {
+      const address = getAdapter(e.chain).normalize(e.address);
+      if (!entries.some((x) => x.user === e.user && x.chain === e.chain && x.address === address)) entries.push({ ...e, address });
+    }
+    const globalTokens = await loadTokenConfig(tokensPath);
+    const wallets = new Map();
+    for (const e of entries) {
+      const prev = wallets.get(walletKey(e));
+      wallets.set(walletKey(e), { chain: e.chain, address: e.address, tokens: mergeTokenSpecs(prev?.tokens ?? globalTokens, e.tokens) });
+    }
+    const snaps = await fetchBalancesMany([...wallets.values()], { networks: selected, timeoutMs });
+    const symbols = [...snaps.values()].flatMap((snap) => snap.flatMap((it) => (it.error ? [] : [it.net.symbol, ...Object.values(it.tokens || {}).map((t) => t.priceSymbol)]))).filter(Boolean);
+    const report = buildReport(entries, snaps, await getPricesMicro(symbols));
+
+    const generatedAt = new Date().toISOString();
+    let text;
+    if (format === 'json') text = renderJson(report, generatedAt);
+    else if (format === 'ndjson') text = renderNdjson(report, generatedAt);
+    else if (format === 'csv') text = renderCsv(report, tokenColumns(selected, [globalTokens, ...entries.map((e) => e.tokens)], report));
+    else text = renderMarkdown(report, generatedAt);
+    if (outPath) {
+      await writeFile(outPath, text);
+      console.error(`Wrote ${format} report of ${wallets.size} wallet(s) to ${outPath}`);
+    } else {
+      process.stdout.write(text);
+    }
+  } catch (e) {
+    console.error(`Report failed: ${e?.message || e}`);
+    process.exit(1);
+  }
+})();
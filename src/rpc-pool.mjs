@@ -0,0 +1,173 @@
+// Shared pool of RPC endpoints per EVM network: the env override (RPC_ETH, ...) plus the public list in networks.mjs.
+// - every endpoint must answer eth_chainId with the network's chainId before it is used; a wrong chain excludes it for good
+// - endpoints are ranked by a moving average of call latency, penalised by their recent error rate
+// - after RPC_BREAKER_THRESHOLD consecutive failures an endpoint's circuit opens for RPC_BREAKER_BASE_MS, doubling on each
+//   re-open up to RPC_BREAKER_MAX_MS; when it expires the endpoint gets one trial call (success closes it, failure re-opens)
+// - the pool re-probes latency of every closed endpoint each RPC_PROBE_INTERVAL_MS
+// - latency, errors and circuit state per endpoint, and the endpoint each network last used, are exported as metrics
+
+import { JsonRpcProvider } from 'ethers';
+import { getRpcUrl } from './networks.mjs';
+import { withTimeout } from './util.mjs';
+import { emitEvent } from './events.mjs';
+import { metrics, redactUrl } from './metrics.mjs';
+
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.RPC_BREAKER_THRESHOLD || 3));
+const BREAKER_BASE_MS = Math.max(1000, Number(process.env.RPC_BREAKER_BASE_MS || 5000));
+const BREAKER_MAX_MS = Math.max(BREAKER_BASE_MS, Number(process.env.RPC_BREAKER_MAX_MS || 300000));
+const PROBE_INTERVAL_MS = Math.max(10000, Number(process.env.RPC_PROBE_INTERVAL_MS || 300000));
+const PROBE_TIMEOUT_MS = 6000;
+const EWMA_WEIGHT = 0.3; // weight of the newest latency / error sample
+
+const pools = new Map(); // chainId -> { endpoints: [...], probedAt, probing }
+
+// Candidate URLs for a network, env override first
+export function rpcUrls(net) {
+  return Array.from(new Set([getRpcUrl(net), ...(net.rpcs || [])].filter(Boolean)));
+}
+
+function poolFor(net) {
+  let pool = pools.get(net.chainId);
+  if (!pool) {
+    const endpoints = rpcUrls(net).map((url, order) => ({
+      url,
+      endpoint: redactUrl(url), // metrics label
+      order,
+      // staticNetwork: skip ethers' own network detection, which retries forever on a dead endpoint
+      provider: new JsonRpcProvider(url, net.chainId, { staticNetwork: true }),
+      verified: false,
+      wrongChain: null,
+      latencyMs: null,
+      errorRate: 0,
+      failures: 0, // consecutive
+      opens: 0, // consecutive circuit openings, drives the backoff
+      openUntil: 0,
+      calls: 0,
+      errors: 0,
+      lastError: null
+    }));
+    pool = { endpoints, probedAt: 0, probing: null, selected: null };
+    pools.set(net.chainId, pool);
+  }
+  return pool;
+}
+
+function recordSuccess(net, ep, ms) {
+  ep.latencyMs = ep.latencyMs == null ? ms : ep.latencyMs * (1 - EWMA_WEIGHT) + ms * EWMA_WEIGHT;
+  ep.errorRate *= 1 - EWMA_WEIGHT;
+  ep.failures = 0;
+  ep.opens = 0;
+  ep.openUntil = 0;
+  ep.calls++;
+  metrics.rpcLatency.observe({ network: net.key, endpoint: ep.endpoint }, ms / 1000);
+  metrics.rpcCircuitOpen.set({ network: net.key, endpoint: ep.endpoint }, 0);
+}
+
+function recordFailure(net, ep, err) {
+  ep.errorRate = ep.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+  ep.failures++;
+  ep.calls++;
+  ep.errors++;
+  ep.lastError = err?.shortMessage || err?.message || String(err);
+  metrics.rpcErrors.inc({ network: net.key, endpoint: ep.endpoint });
+  // a failed trial call after a backoff re-opens immediately
+  if (ep.opens > 0 || ep.failures >= BREAKER_THRESHOLD) {
+    const backoff = Math.min(BREAKER_MAX_MS, BREAKER_BASE_MS * 2 ** ep.opens);
+    ep.opens++;
+    ep.failures = 0;
+    ep.openUntil = Date.now() + backoff;
+    console.warn(`[rpc] ${net.name}: circuit open for ${ep.url} (${Math.round(backoff / 1000)}s): ${ep.lastError}`);
+    metrics.rpcCircuitOpen.set({ network: net.key, endpoint: ep.endpoint }, 1);
+  }
+  emitEvent('rpc.failure', { net: net.key, url: ep.url, error: ep.lastError, openUntil: ep.openUntil > Date.now() ? new Date(ep.openUntil).toISOString() : null });
+}
+
+async function verifyChain(net, ep) {
+  const id = Number(BigInt(await withTimeout(ep.provider.send('eth_chainId', []), PROBE_TIMEOUT_MS, `${net.name}@${ep.url}:chainId`)));
+  if (id !== net.chainId) {
+    ep.wrongChain = id;
+    console.warn(`[rpc] ${net.name}: ${ep.url} reports chainId ${id}, expected ${net.chainId}; not using it`);
+    throw new Error(`wrong chainId ${id}`);
+  }
+  ep.verified = true;
+}
+
+// chainId check plus a latency sample for every endpoint that isn't backing off
+async function probe(net, pool) {
+  if (!pool.probing) {
+    pool.probing = Promise.all(pool.endpoints.map(async (ep) => {
+      if (ep.wrongChain != null || ep.openUntil > Date.now()) return;
+      const t0 = Date.now();
+      try {
+        await verifyChain(net, ep);
+        recordSuccess(net, ep, Date.now() - t0);
+      } catch (e) {
+        if (ep.wrongChain == null) recordFailure(net, ep, e);
+      }
+    })).finally(() => {
+      pool.probedAt = Date.now();
+      pool.probing = null;
+    });
+  }
+  return pool.probing;
+}
+
+// Startup check: every endpoint of the given networks is asked for its chainId. Endpoints on another chain are dropped
+// (as they would be on first use); a network none of whose endpoints is on the right chain is left out.
+// -> networks that still have an endpoint to try
+export async function verifyChainIds(nets) {
+  const out = [];
+  await Promise.all(nets.map(async (net) => {
+    const pool = poolFor(net);
+    await probe(net, pool);
+    const ok = pool.endpoints.filter((ep) => ep.verified).length;
+    const wrong = pool.endpoints.filter((ep) => ep.wrongChain != null).length;
+    if (pool.endpoints.length && wrong === pool.endpoints.length) {
+      console.error(`[rpc] ${net.name}: no endpoint reports chainId ${net.chainId}; leaving the network out`);
+      return;
+    }
+    if (!ok) console.warn(`[rpc] ${net.name}: no endpoint answered eth_chainId yet; it will be checked again before use`);
+    out.push(net);
+  }));
+  return nets.filter((n) => out.includes(n));
+}
+
+function score(ep) {
+  return (ep.latencyMs ?? PROBE_TIMEOUT_MS) * (1 + 4 * ep.errorRate);
+}
+
+function ranked(pool) {
+  const now = Date.now();
+  return pool.endpoints
+    .filter((ep) => ep.wrongChain == null && ep.openUntil <= now)
+    .sort((a, b) => score(a) - score(b) || a.order - b.order);
+}
+
+// Run fn(provider, url) against the best endpoint, falling through the ranking on failure.
+// exclude: URLs to leave out (e.g. the endpoint whose answer is being cross-checked)
+export async function withRpc(net, fn, { timeoutMs, exclude = [] } = {}) {
+  const pool = poolFor(net);
+  if (Date.now() - pool.probedAt > PROBE_INTERVAL_MS) await probe(net, pool);
+  const candidates = ranked(pool).filter((ep) => !exclude.includes(ep.url));
+  if (!candidates.length) throw new Error(`No RPC available for ${net.name}`);
+  let lastErr = null;
+  for (const ep of candidates) {
+    const t0 = Date.now();
+    try {
+      if (!ep.verified) await verifyChain(net, ep);
+      const pending = fn(ep.provider, ep.url);
+      const result = await (timeoutMs ? withTimeout(pending, timeoutMs, `${net.name}@${ep.url}`) : pending);
+      recordSuccess(net, ep, Date.now() - t0);
+      if (pool.selected !== ep.endpoint) {
+        metrics.rpcSelected.remove({ network: net.key });
+        metrics.rpcSelected.set({ network: net.key, endpoint: ep.endpoint }, 1);
+        pool.selected = ep.endpoint;
+      }
+      return result;
+    } catch (e) {
+      lastErr = e;
+      if (ep.wrongChain == null) recordFailure(net, ep, e);
+    }
+  }
+  throw new Error(`No RPC available for ${net.name}: ${lastErr?.shortMessage || lastErr?.message || lastErr}`);
+}
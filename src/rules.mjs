@@ -0,0 +1,188 @@
+// Per-wallet alert rules: a user or wallet object in wallets.json sets "rules" (a wallet's keys override its user's):
+//   "rules": {
+//     "direction": "in" | "out" | "any",   only alert on incoming (balance up) or outgoing (balance down) changes
+//     "usdDelta": 100,                     USD change of the whole wallet
+//     "percent": 5,                        change as a percentage of the previous USD total
+//     "tokens": { "USDT": 1000, "eth:ETH": 0.5 },  change in token units, per symbol summed over networks or per "<net>:<symbol>"
+//                                                  (the native coin goes by its symbol too: "eth:ETH", "polygon:MATIC")
+//     "below": 1000, "above": 50000,       the USD total crossed a floor / ceiling
+//     "cooldown": "15m",                   minimum time between two alerts (seconds or 30s / 15m / 2h / 1d)
+//     "quietHours": { "from": "22:00", "to": "07:00", "timezone": "Europe/Berlin" }
+//   }
+// Any matching trigger alerts. Without usdDelta, percent, tokens, below or above, the global --usdDelta applies.
+// Alerts held back by a cooldown or quiet hours are not lost: the baseline stays put until an alert goes out. A change the
+// direction filter rejects is passed over instead (see rejectedByDirection).
+
+import { parseUnits } from 'ethers';
+import { fmtMicroUSD } from './prices.mjs';
+
+const TRIGGERS = ['usdDelta', 'percent', 'tokens', 'below', 'above'];
+const DIRECTIONS = ['in', 'out', 'any'];
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const SCALE = 18; // token amounts are compared at 18 decimals
+
+// "15m" | "2h" | 90 (seconds) -> ms, or null when invalid
+function parseDuration(v) {
+  if (typeof v === 'number') return v >= 0 ? v * 1000 : null;
+  const m = String(v).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  return m ? Number(m[1]) * UNIT_MS[(m[2] || 's').toLowerCase()] : null;
+}
+
+// "22:00" -> minutes after midnight, or null
+function parseClock(v) {
+  const m = String(v ?? '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function toMicro(v) {
+  return BigInt(Math.round(Number(v) * 1e6));
+}
+
+// -> normalized rules or undefined when not set; invalid fields are dropped with a warning
+export function normalizeRules(spec, where = 'rules') {
+  if (spec == null) return undefined;
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    console.warn(`Ignoring ${where}: expected an object`);
+    return undefined;
+  }
+  const out = {};
+  const bad = (key, expected) => console.warn(`Ignoring ${where}.${key}: expected ${expected}`);
+  for (const [key, v] of Object.entries(spec)) {
+    if (v == null) continue;
+    if (key === 'direction') {
+      if (DIRECTIONS.includes(String(v).toLowerCase())) out.direction = String(v).toLowerCase();
+      else bad(key, DIRECTIONS.join(', '));
+    } else if (key === 'usdDelta' || key === 'percent' || key === 'below' || key === 'above') {
+      if (Number.isFinite(Number(v)) && Number(v) >= 0) out[key] = Number(v);
+      else bad(key, 'a non-negative number');
+    } else if (key === 'tokens') {
+      if (typeof v !== 'object' || Array.isArray(v)) { bad(key, 'an object of symbol -> amount'); continue; }
+      const tokens = {};
+      for (const [sym, amount] of Object.entries(v)) {
+        try {
+          tokens[sym] = parseUnits(String(amount), SCALE);
+        } catch {
+          bad(`${key}.${sym}`, 'a token amount');
+        }
+      }
+      out.tokens = tokens;
+    } else if (key === 'cooldown') {
+      const ms = parseDuration(v);
+      if (ms != null) out.cooldownMs = ms;
+      else bad(key, 'seconds or a duration like 15m');
+    } else if (key === 'quietHours') {
+      const from = parseClock(v?.from);
+      const to = parseClock(v?.to);
+      const timezone = v?.timezone || v?.timeZone || undefined;
+      if (from == null || to == null) { bad(key, '{ "from": "HH:MM", "to": "HH:MM" }'); continue; }
+      try {
+        if (timezone) new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        bad(`${key}.timezone`, 'an IANA time zone like Europe/Berlin');
+        continue;
+      }
+      out.quietHours = { from, to, timezone };
+    } else {
+      console.warn(`Ignoring unknown key ${where}.${key}`);
+    }
+  }
+  return out;
+}
+
+// User rules overridden key by key by the wallet's
+export function mergeRules(base, override) {
+  if (!base) return override;
+  if (!override) return base;
+  return { ...base, ...override };
+}
+
+// Sum of the change per rule key ("USDT" over every network, or "<net>:<symbol>" on one), scaled to 18 decimals.
+// Holdings are keyed "<net>:native" / "<net>:<token>", so the symbol is compared rather than the key.
+function tokenChange(key, prev, cur, erroredNets) {
+  const at = key.indexOf(':');
+  const keyNet = at < 0 ? null : key.slice(0, at);
+  const symbol = at < 0 ? key : key.slice(at + 1);
+  let sum = 0n;
+  for (const hk of new Set([...Object.keys(prev), ...Object.keys(cur)])) {
+    const net = hk.slice(0, hk.indexOf(':'));
+    if (erroredNets.has(net)) continue;
+    const h = cur[hk] || prev[hk];
+    if ((keyNet != null && net !== keyNet) || h.symbol !== symbol) continue;
+    const diff = (cur[hk]?.raw ?? 0n) - (prev[hk]?.raw ?? 0n);
+    sum += h.decimals <= SCALE ? diff * 10n ** BigInt(SCALE - h.decimals) : diff / 10n ** BigInt(h.decimals - SCALE);
+  }
+  return sum;
+}
+
+const fmtScaled = (v) => {
+  const neg = v < 0n;
+  const abs = neg ? -v : v;
+  const frac = (abs % 10n ** BigInt(SCALE)).toString().padStart(SCALE, '0').replace(/0+$/, '');
+  return `${neg ? '-' : '+'}${abs / 10n ** BigInt(SCALE)}${frac ? `.${frac}` : ''}`;
+};
+
+// Which triggers fire for a change. ctx: { prevHoldings, holdings, erroredNets, deltaMicro, totalUsdMicro, defaultUsdDelta }
+// -> list of human-readable reasons (empty when nothing fires)
+export function evaluateRules(rules = {}, ctx) {
+  const { prevHoldings, holdings, erroredNets, deltaMicro, totalUsdMicro, defaultUsdDelta } = ctx;
+  const direction = rules.direction || 'any';
+  const allowed = (sign) => sign !== 0n && (direction === 'any' || (direction === 'in') === (sign > 0n));
+  const sign = (v) => (v > 0n ? 1n : v < 0n ? -1n : 0n);
+  const abs = (v) => (v < 0n ? -v : v);
+  const usdDelta = TRIGGERS.some((k) => rules[k] != null) ? rules.usdDelta : defaultUsdDelta;
+  const prevTotal = totalUsdMicro - deltaMicro;
+  const reasons = [];
+
+  if (usdDelta != null && allowed(sign(deltaMicro)) && abs(deltaMicro) >= toMicro(usdDelta)) {
+    reasons.push(`USD change ${fmtMicroUSD(deltaMicro)} ≥ ${usdDelta}`);
+  }
+  if (rules.percent != null && allowed(sign(deltaMicro))) {
+    // from zero any change is an infinite percentage
+    if (prevTotal <= 0n || abs(deltaMicro) * 100_000000n >= toMicro(rules.percent) * prevTotal) {
+      const pct = prevTotal > 0n ? `${(Number(deltaMicro) / Number(prevTotal) * 100).toFixed(2)}%` : 'from $0';
+      reasons.push(`change ${pct} ≥ ${rules.percent}%`);
+    }
+  }
+  for (const [key, threshold] of Object.entries(rules.tokens || {})) {
+    const change = tokenChange(key, prevHoldings, holdings, erroredNets);
+    if (allowed(sign(change)) && abs(change) >= threshold) reasons.push(`${key} ${fmtScaled(change)} ≥ ${fmtScaled(threshold).slice(1)}`);
+  }
+  if (rules.below != null && allowed(-1n) && prevTotal >= toMicro(rules.below) && totalUsdMicro < toMicro(rules.below)) {
+    reasons.push(`balance dropped below $${rules.below}`);
+  }
+  if (rules.above != null && allowed(1n) && prevTotal <= toMicro(rules.above) && totalUsdMicro > toMicro(rules.above)) {
+    reasons.push(`balance rose above $${rules.above}`);
+  }
+  return reasons;
+}
+
+// Whether a change fires no trigger only because of the direction filter ("in" and it went out, or the reverse). The
+// watcher moves the baseline past such a change; kept in it, a later change the other way would net against it.
+export function rejectedByDirection(rules = {}, ctx) {
+  if ((rules.direction || 'any') === 'any') return false;
+  return evaluateRules(rules, ctx).length === 0 && evaluateRules({ ...rules, direction: 'any' }, ctx).length > 0;
+}
+
+// Minutes after midnight of `date` in a time zone (default: the watcher's)
+function minutesOfDay(date, timezone) {
+  if (!timezone) return date.getHours() * 60 + date.getMinutes();
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return get('hour') * 60 + get('minute');
+}
+
+// Why an alert that fired must wait, as { reason: 'cooldown' | 'quiet-hours', message }, or null when it can go out now
+export function holdReason(rules = {}, { lastAlertAt, now = new Date() } = {}) {
+  if (rules.cooldownMs && lastAlertAt) {
+    const until = Date.parse(lastAlertAt) + rules.cooldownMs;
+    if (until > now.getTime()) return { reason: 'cooldown', message: `cooldown until ${new Date(until).toISOString()}` };
+  }
+  if (rules.quietHours) {
+    const { from, to, timezone } = rules.quietHours;
+    const m = minutesOfDay(now, timezone);
+    const quiet = from <= to ? m >= from && m < to : m >= from || m < to; // a window may wrap past midnight
+    if (quiet) return { reason: 'quiet-hours', message: `quiet hours${timezone ? ` (${timezone})` : ''}` };
+  }
+  return null;
+}
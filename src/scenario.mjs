@@ -0,0 +1,205 @@
+// Scenario files: the watcher's readings, cycle by cycle, so the alert logic can run offline (--replay) and real cycles
+// can be captured to build one (--record).
+//   {
+//     "prices": { "ETH": 3000, "SOL": 150 },          fixed USD prices from the first cycle on (USDT/USDC are always $1)
+//     "names": { "treasury.eth": "0xabc..." },        what ENS/SNS names in wallets.json resolve to (nothing is looked up)
+//     "cycles": [
+//       { "prices": { "ETH": 2900 },                  optional: prices that change from this cycle on
+//         "wallets": { "0xabc...": { "eth": { "native": "1.5", "tokens": { "USDT": "250", "WBTC": { "amount": "0.1", "decimals": 8 } } },
+//                                    "polygon": { "error": "timeout" } } },
+//         "recheck": { "0xabc...": { "eth": { "native": "1.5" } } },
+//         "transfers": { "0xabc...": [{ "net": "eth", "token": "USDT", "direction": "in", "amount": "250", "decimals": 6,
+//                                       "counterparty": "0x...", "txHash": "0x...", "block": 19000000 }] } }
+//     ]
+//   }
+// - amounts are decimal strings in whole units; token decimals default to 18, the native coin's to the network's
+// - a token is priced as its own symbol unless it sets "price": another symbol, or null for an unpriced contract
+// - a wallet or network left out of a cycle keeps its previous reading; set a network to null to drop it; prices carry
+//   over the same way
+// - "recheck" is what the confirmation re-read sees (default: the cycle's own reading)
+// - network keys resolve through networks.mjs (and networks.json) or the non-EVM adapters (sol, tron, btc)
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { formatUnits, parseUnits } from 'ethers';
+import { networks } from './networks.mjs';
+import { adapters } from './adapters/index.mjs';
+import { addrKey } from './util.mjs';
+
+function netFor(key) {
+  return networks.find((n) => n.key === key)
+    || Object.values(adapters).find((a) => a.net?.key === key)?.net
+    || { key, name: key, symbol: key.toUpperCase() };
+}
+
+// Scenario network reading -> snapshot item
+function toItem(key, spec, where) {
+  const net = netFor(key);
+  if (spec.error) return { net, error: String(spec.error) };
+  const tokens = {};
+  for (const [sym, v] of Object.entries(spec.tokens || {})) {
+    if (v && typeof v === 'object' && v.error) { tokens[sym] = { error: String(v.error) }; continue; }
+    const amount = typeof v === 'object' ? v.amount : v;
+    const decimals = Number(typeof v === 'object' && v.decimals != null ? v.decimals : 18);
+    try {
+      const raw = parseUnits(String(amount), decimals);
+      const priceSymbol = typeof v === 'object' && 'price' in v ? (v.price == null ? null : String(v.price).toUpperCase()) : sym;
+      tokens[sym] = { raw, decimals, symbol: sym, formatted: formatUnits(raw, decimals), priceSymbol };
+    } catch {
+      throw new Error(`${where}.tokens.${sym}: invalid amount ${JSON.stringify(amount)}`);
+    }
+  }
+  try {
+    return { net, native: parseUnits(String(spec.native ?? '0'), net.decimals ?? 18), tokens };
+  } catch {
+    throw new Error(`${where}.native: invalid amount ${JSON.stringify(spec.native)}`);
+  }
+}
+
+function toTransfer(address, t, where) {
+  const net = netFor(String(t.net));
+  const decimals = Number(t.decimals ?? 18);
+  let raw;
+  try { raw = parseUnits(String(t.amount), decimals); } catch { throw new Error(`${where}.amount: invalid amount ${JSON.stringify(t.amount)}`); }
+  if (t.direction !== 'in' && t.direction !== 'out') throw new Error(`${where}.direction: expected "in" or "out"`);
+  return {
+    net: net.key, netName: net.name, token: String(t.token), txHash: t.txHash ?? '', logIndex: t.logIndex ?? 0, block: t.block ?? 0,
+    raw, decimals, formatted: formatUnits(raw, decimals), address, direction: t.direction, counterparty: t.counterparty ?? ''
+  };
+}
+
+// { SYM: usd } -> prices on top of `base` (Map<SYM, micro-USD>)
+function readPrices(spec, base, where) {
+  const out = new Map(base);
+  for (const [sym, usd] of Object.entries(spec || {})) {
+    if (!Number.isFinite(Number(usd))) throw new Error(`${where}.${sym} must be a number`);
+    out.set(sym.toUpperCase(), BigInt(Math.round(Number(usd) * 1e6)));
+  }
+  return out;
+}
+
+// -> { names: Map<name, address>, cycles: [{ prices, readings, rechecks, transfers }] } with every cycle's readings and
+// prices resolved
+export async function loadScenario(path) {
+  const data = JSON.parse(await readFile(path, 'utf8'));
+  if (!Array.isArray(data?.cycles) || !data.cycles.length) throw new Error(`${path}: expected { "cycles": [ ... ] } with at least one cycle`);
+  let prices = readPrices(data.prices, new Map(), `${path}: prices`);
+  const names = new Map(Object.entries(data.names || {}).map(([name, address]) => [name.toLowerCase(), String(address)]));
+  const current = new Map(); // address key -> { netKey: spec }
+  const cycles = data.cycles.map((c, i) => {
+    const resolve = (wallets, base) => {
+      const out = new Map();
+      for (const [address, nets] of Object.entries(wallets || {})) {
+        const merged = { ...(base?.get(addrKey(address)) || {}) };
+        for (const [key, spec] of Object.entries(nets || {})) {
+          if (spec === null) delete merged[key];
+          else merged[key] = spec;
+        }
+        out.set(addrKey(address), merged);
+      }
+      return out;
+    };
+    prices = readPrices(c.prices, prices, `${path}: cycles[${i}].prices`);
+    for (const [key, nets] of resolve(c.wallets, current)) current.set(key, nets);
+    const readings = new Map();
+    for (const [key, nets] of current) readings.set(key, Object.entries(nets).map(([net, spec]) => toItem(net, spec, `cycles[${i}].wallets.${key}.${net}`)));
+    const rechecks = new Map();
+    for (const [key, nets] of resolve(c.recheck, current)) {
+      rechecks.set(key, Object.entries(nets).map(([net, spec]) => toItem(net, spec, `cycles[${i}].recheck.${key}.${net}`)));
+    }
+    const transfers = new Map();
+    for (const [address, list] of Object.entries(c.transfers || {})) {
+      transfers.set(addrKey(address), (list || []).map((t, j) => toTransfer(address, t, `cycles[${i}].transfers.${address}[${j}]`)));
+    }
+    return { prices, readings, rechecks, transfers };
+  });
+  return { names, cycles };
+}
+
+// Steps through a loaded scenario, one cycle per next()
+export function createReplay(scenario) {
+  let index = -1;
+  const warned = new Set();
+  const cycle = () => scenario.cycles[index];
+  const reading = (map, address) => {
+    const snap = map.get(addrKey(address));
+    if (!snap && !warned.has(addrKey(address))) {
+      warned.add(addrKey(address));
+      console.warn(`[replay] ${address} is not in the scenario; it reads as empty`);
+    }
+    return snap || [];
+  };
+  return {
+    get cycle() { return index + 1; },
+    get total() { return scenario.cycles.length; },
+    get done() { return index >= scenario.cycles.length - 1; },
+    next() { index++; },
+    // fixed prices of the current cycle
+    get prices() { return cycle().prices; },
+    // the cycle's reading of each wallet -> Map address -> snapshot
+    snapshots(entries) { return new Map(entries.map((e) => [e.address, reading(cycle().readings, e.address)])); },
+    recheck(address) { return cycle().rechecks.get(addrKey(address)) || reading(cycle().readings, address); },
+    // -> Map address -> transfers, keyed by the watched addresses
+    transfers(entries) {
+      const out = new Map();
+      for (const e of entries) if (cycle().transfers.has(addrKey(e.address))) out.set(e.address, cycle().transfers.get(addrKey(e.address)));
+      return out;
+    }
+  };
+}
+
+// Snapshot item -> scenario reading
+function fromItem(it) {
+  if (it.error) return { error: it.error };
+  const tokens = {};
+  for (const [sym, t] of Object.entries(it.tokens || {})) {
+    tokens[sym] = t.error ? { error: t.error } : {
+      amount: formatUnits(t.raw, t.decimals), decimals: Number(t.decimals), ...(t.priceSymbol !== sym ? { price: t.priceSymbol ?? null } : {})
+    };
+  }
+  return { native: formatUnits(it.native, it.net.decimals ?? 18), ...(Object.keys(tokens).length ? { tokens } : {}) };
+}
+
+const fromSnap = (snap) => Object.fromEntries(snap.map((it) => [it.net.key, fromItem(it)]));
+
+// Captures real cycles as a scenario; the file is rewritten after every cycle, so a stopped watcher leaves a usable one.
+// A price is written when first seen and again in each cycle it moved, so alerts caused by price moves replay too.
+// Names are written with the address they first resolved to: a name that moves during the recording is replayed at it.
+export function createRecorder(path) {
+  const scenario = { prices: {}, names: {}, cycles: [] };
+  const lastPrices = new Map(); // SYM -> usd as last written
+  let cur = null;
+  return {
+    startCycle(entries = []) {
+      cur = { wallets: {} };
+      scenario.cycles.push(cur);
+      for (const e of entries) if (e.name && e.address && !(e.name in scenario.names)) scenario.names[e.name] = e.address;
+    },
+    reading(address, snap) { cur.wallets[address] = fromSnap(snap); },
+    recheck(address, snap) { (cur.recheck ||= {})[address] = fromSnap(snap); },
+    transfers(byAddress) {
+      for (const [address, list] of byAddress) {
+        if (!list.length) continue;
+        (cur.transfers ||= {})[address] = list.map((t) => ({
+          net: t.net, token: t.token, direction: t.direction, amount: t.formatted, decimals: t.decimals,
+          counterparty: t.counterparty, txHash: t.txHash, logIndex: t.logIndex, block: t.block
+        }));
+      }
+    },
+    prices(map) {
+      for (const [sym, micro] of map) {
+        const usd = Number(micro) / 1e6;
+        if (lastPrices.get(sym) === usd) continue;
+        if (lastPrices.has(sym)) (cur.prices ||= {})[sym] = usd;
+        else scenario.prices[sym] = usd;
+        lastPrices.set(sym, usd);
+      }
+    },
+    async save() {
+      await mkdir(dirname(path), { recursive: true });
+      const tmp = `${path}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(scenario, null, 2));
+      await rename(tmp, path);
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// Durable watcher state kept in a small JSON file so restarts resume from the last baseline.
+// Shape: { version, savedAt, wallets: { [address]: { lastUsdMicro, lastHoldings, lastSeenAt, lastAlertAt, transfers, digest, ... } },
+//          scan: { [chainId]: lastScannedBlock }, digests: { [`${email}|${period}`]: periodStartMs }, names: { [`${chain}:${name}`]: address } }
+// BigInt values are stored as decimal strings; writes go to a temp file first and are renamed into place.
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+  return { version: STATE_VERSION, wallets: {}, scan: {}, digests: {}, names: {} };
+}
+
+function reviveHoldings(holdings) {
+  return holdings ? Object.fromEntries(Object.entries(holdings).map(([k, h]) => [k, { ...h, raw: BigInt(h.raw) }])) : undefined;
+}
+
+export async function loadState(path) {
+  if (!existsSync(path)) return emptyState();
+  try {
+    const data = JSON.parse(await readFile(path, 'utf8'));
+    if (!data || typeof data !== 'object' || data.version !== STATE_VERSION) throw new Error(`unsupported state version ${data?.version}`);
+    const wallets = {};
+    for (const [address, w] of Object.entries(data.wallets || {})) {
+      // digest baselines: { [period]: { since, holdings } }
+      const digest = w.digest
+        ? Object.fromEntries(Object.entries(w.digest).map(([p, d]) => [p, { ...d, holdings: reviveHoldings(d.holdings) }]))
+        : undefined;
+      wallets[address] = { ...w, lastUsdMicro: w.lastUsdMicro != null ? BigInt(w.lastUsdMicro) : null, lastHoldings: reviveHoldings(w.lastHoldings), digest };
+    }
+    return { version: STATE_VERSION, savedAt: data.savedAt, wallets, scan: data.scan || {}, digests: data.digests || {}, names: data.names || {} };
+  } catch (e) {
+    console.warn(`Ignoring unreadable state file ${path}:`, e?.message || e);
+    return emptyState();
+  }
+}
+
+let writeSeq = 0;
+export async function saveState(path, state) {
+  const body = JSON.stringify({ ...state, version: STATE_VERSION, savedAt: new Date().toISOString() }, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.${writeSeq++}.tmp`;
+  await writeFile(tmp, body);
+  await rename(tmp, path);
+}
@@ -0,0 +1,83 @@
+// Custom token configuration: extra ERC-20 / SPL / TRC20 tokens on top of the built-in USDT/USDC.
+// Same shape in tokens.json (all wallets) and in the "tokens" field of a user or wallet in wallets.json,
+// keyed by network key (eth, polygon, ..., sol, tron):
+//   { "eth": { "DAI": "0x6B17...", "WBTC": { "address": "0x2260...", "decimals": 8 } }, "sol": ["<mint>"] }
+// Symbol and decimals are optional; whatever is left out is discovered on chain and cached.
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tokenPriceSymbol } from './prices.mjs';
+import { addrKey } from './util.mjs';
+
+// -> { [netKey]: [{ address, symbol?, decimals? }] }
+export function normalizeTokenSpec(spec, where = 'tokens') {
+  const out = {};
+  if (spec == null) return out;
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    console.warn(`Ignoring ${where}: expected an object keyed by network`);
+    return out;
+  }
+  for (const [netKey, list] of Object.entries(spec)) {
+    const items = Array.isArray(list) ? list.map((v) => [undefined, v]) : Object.entries(list || {});
+    const arr = [];
+    for (const [sym, v] of items) {
+      const t = typeof v === 'string' ? { address: v } : v;
+      if (!t || typeof t.address !== 'string' || !t.address.trim()) {
+        console.warn(`Ignoring token without address in ${where}.${netKey}`);
+        continue;
+      }
+      arr.push({
+        address: t.address.trim(),
+        symbol: typeof t.symbol === 'string' && t.symbol ? t.symbol : sym,
+        decimals: t.decimals != null ? Number(t.decimals) : undefined
+      });
+    }
+    out[netKey.toLowerCase()] = arr;
+  }
+  return out;
+}
+
+export function mergeTokenSpecs(...specs) {
+  const out = {};
+  for (const spec of specs) {
+    for (const [netKey, list] of Object.entries(spec || {})) out[netKey] = [...(out[netKey] || []), ...list];
+  }
+  return out;
+}
+
+export async function loadTokenConfig(path) {
+  if (!existsSync(path)) return {};
+  try {
+    return normalizeTokenSpec(JSON.parse(await readFile(path, 'utf8')), path);
+  } catch (e) {
+    console.error(`Failed to parse ${path}:`, e?.message || e);
+    return {};
+  }
+}
+
+// Token list for one network: built-ins ({ SYM: address }) first, then each spec in order;
+// later entries for the same address fill in or override symbol/decimals. Each token carries the symbol it is priced as
+// (priceSymbol, see prices.mjs): a built-in keeps its own even when a spec renames it.
+export function tokensFor(netKey, builtin, ...specs) {
+  const byAddr = new Map();
+  for (const [symbol, address] of Object.entries(builtin || {})) byAddr.set(addrKey(address), { address, symbol, priceSymbol: symbol });
+  for (const spec of specs) {
+    for (const t of spec?.[netKey] || []) {
+      const prev = byAddr.get(addrKey(t.address)) || {};
+      byAddr.set(addrKey(t.address), {
+        address: t.address,
+        symbol: t.symbol ?? prev.symbol,
+        decimals: t.decimals ?? prev.decimals,
+        priceSymbol: tokenPriceSymbol(netKey, t.address, prev.priceSymbol)
+      });
+    }
+  }
+  return [...byAddr.values()];
+}
+
+// Key a token is reported under in a snapshot: the configured symbol, else the discovered one;
+// a second token with the same symbol gets the start of its address appended.
+export function tokenKey(token, meta, taken) {
+  const base = token.symbol || meta?.symbol || token.address;
+  return taken[base] ? `${base}@${token.address.slice(0, 6)}` : base;
+}
@@ -0,0 +1,10 @@
+// Small helpers shared by the CLI, the watcher and the adapters.
+
+// EVM addresses compare case-insensitively; base58 ones (Solana, Tron, SPL mints, TRC20) don't
+export const addrKey = (a) => (/^0x/i.test(a) ? String(a).toLowerCase() : String(a));
+
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const to = new Promise((_, rej) => { timer = setTimeout(() => rej(new Error(`Timeout after ${ms}ms: ${label}`)), ms); });
+  return Promise.race([promise, to]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,150 @@
+// wallets.json: an array of users, each with wallets given as "[chain:]address [label] [email]" strings or objects.
+//   [{ "user": "alex", "email": "alex@mail", "tokens": {...}, "channels": [...], "digest": "daily", "rules": {...},
+//      "wallets": ["0x... metamask", { "chain": "sol", "address": "...", "label": "phantom", "email": "...", "rules": {...} }] }]
+// An address can also be an ENS or SNS name ("treasury.eth", "toly.sol"); entries then carry { name, address: name } until
+// the watcher resolves them (names.mjs).
+// Shared by the watcher and the server, so both read the same wallets out of the same file.
+
+import { getAdapter, parseChainAddress, parseAddressOn, detectNameChain } from './adapters/index.mjs';
+import { normalizeTokenSpec, mergeTokenSpecs } from './tokens.mjs';
+import { normalizeChannels } from './notifiers/index.mjs';
+import { normalizeDigest } from './digest.mjs';
+import { normalizeRules, mergeRules } from './rules.mjs';
+
+// Parse a line like "[chain:]address [label words ...] [email@domain]"; label and email are optional.
+// Supported chains: evm (default), sol, tron, btc
+export function parseAddrLabelEmail(input) {
+  const line = String(input || '').trim();
+  if (!line) return null;
+  const tokens = line.split(/\s+/).filter(Boolean);
+  // the address is the first token that is "<chain>:<address>" (e.g. sol:..., tron:...) or a valid address on a supported chain;
+  // without one, the first ENS/SNS name ("0x... vault.eth" keeps vault.eth as the label)
+  let addrTokenIdx = -1;
+  let parsed = null;
+  for (const names of [false, true]) {
+    for (let i = 0; i < tokens.length && !parsed; i++) {
+      if (tokens[i].includes('@')) continue;
+      parsed = parseChainAddress(tokens[i], { names });
+      if (parsed) addrTokenIdx = i;
+    }
+  }
+  if (!parsed) return null;
+  const emailIdx = tokens.findIndex((t) => t.includes('@'));
+  const email = emailIdx >= 0 ? tokens[emailIdx] : undefined;
+  const labelParts = tokens.filter((t, i) => i !== addrTokenIdx && i !== emailIdx);
+  const label = labelParts.length ? labelParts.join(' ').trim() : undefined;
+  return { chain: parsed.chain, address: parsed.address, ...(parsed.name ? { name: parsed.name } : {}), label, email };
+}
+
+// Chain of a wallet object: its "chain", else the name service of a bare name ("x.sol"), else evm
+const objectChain = (w) => (typeof w?.chain === 'string' ? w.chain.toLowerCase() : (typeof w?.address === 'string' && detectNameChain(w.address)) || 'evm');
+
+// Parsed config -> one entry per wallet: { user, chain, address, name?, label, email, tokens, channels, digest, rules }.
+// Invalid wallets are skipped with a warning; a root that isn't an array throws.
+export function parseWalletsConfig(data) {
+  if (!Array.isArray(data)) throw new Error('config root must be an array');
+  const out = [];
+  for (const user of data) {
+    const uname = typeof user?.user === 'string' ? user.user : undefined;
+    const uemail = typeof user?.email === 'string' && user.email.includes('@') ? user.email : undefined;
+    const utokens = normalizeTokenSpec(user?.tokens, `${uname ?? 'user'}.tokens`);
+    const uchannels = normalizeChannels(user?.channels, `${uname ?? 'user'}.channels`);
+    const udigest = normalizeDigest(user?.digest, `${uname ?? 'user'}.digest`);
+    const urules = normalizeRules(user?.rules, `${uname ?? 'user'}.rules`);
+    const wallets = Array.isArray(user?.wallets) ? user.wallets : [];
+    for (const w of wallets) {
+      if (typeof w === 'string') {
+        const parsed = parseAddrLabelEmail(w);
+        if (!parsed) { console.warn('Skipping invalid wallet entry:', w); continue; }
+        out.push({ user: uname, chain: parsed.chain, address: parsed.address, name: parsed.name, label: parsed.label, email: parsed.email || uemail, tokens: utokens, channels: uchannels, digest: udigest, rules: urules });
+      } else {
+        const addr = typeof w?.address === 'string' ? w.address : '';
+        const chain = objectChain(w);
+        const adapter = getAdapter(chain);
+        if (!adapter) { console.warn(`Skipping wallet with unsupported chain "${chain}":`, addr); continue; }
+        const parsed = parseAddressOn(chain, addr);
+        if (!parsed) { console.warn(`Skipping invalid ${adapter.name} address in config:`, addr); continue; }
+        out.push({
+          user: uname,
+          label: typeof w?.label === 'string' ? w.label : undefined,
+          chain,
+          address: parsed.address,
+          name: parsed.name,
+          email: (typeof w?.email === 'string' && w.email.includes('@')) ? w.email : uemail,
+          tokens: mergeTokenSpecs(utokens, normalizeTokenSpec(w?.tokens, `${addr}.tokens`)),
+          channels: normalizeChannels(w?.channels, `${addr}.channels`) ?? uchannels,
+          digest: w?.digest !== undefined ? normalizeDigest(w.digest, `${addr}.digest`) : udigest,
+          rules: mergeRules(urules, normalizeRules(w?.rules, `${addr}.rules`))
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Runs one of the lenient normalizers (which warn and drop what they can't use) and returns its warnings instead
+function warningsOf(fn) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try { fn(); } finally { console.warn = warn; }
+  return warnings;
+}
+
+const isEmail = (v) => typeof v === 'string' && /^[^\s@]+@[^\s@]+$/.test(v);
+
+// Address of a wallet entry (string or object) as the watcher would read it, or null when invalid
+export function walletEntryAddress(w) {
+  if (typeof w === 'string') return parseAddrLabelEmail(w);
+  return parseAddressOn(objectChain(w), w?.address);
+}
+
+// Strict check of a whole config, for writes: the watcher's parsing rules, but everything it would skip or ignore is
+// an error. -> [{ path, message }] (empty when valid)
+export function validateWalletsConfig(data) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  if (!Array.isArray(data)) return [{ path: '', message: 'config root must be an array of users' }];
+  const users = new Set();
+  const seen = new Map(); // address -> path of its first entry
+  const settings = (obj, path) => {
+    if (obj.email !== undefined && !isEmail(obj.email)) err(`${path}.email`, 'invalid email');
+    for (const [key, check] of [['tokens', normalizeTokenSpec], ['channels', normalizeChannels], ['digest', normalizeDigest], ['rules', normalizeRules]]) {
+      if (obj[key] === undefined) continue;
+      for (const w of warningsOf(() => check(obj[key], `${path}.${key}`))) err(`${path}.${key}`, w.replace(/^Ignoring /, ''));
+    }
+  };
+  data.forEach((user, i) => {
+    const path = `[${i}]`;
+    if (!user || typeof user !== 'object' || Array.isArray(user)) return err(path, 'user must be an object');
+    if (typeof user.user !== 'string' || !user.user.trim()) err(`${path}.user`, 'user name required');
+    else if (users.has(user.user)) err(`${path}.user`, `duplicate user "${user.user}"`);
+    else users.add(user.user);
+    settings(user, path);
+    if (user.wallets !== undefined && !Array.isArray(user.wallets)) return err(`${path}.wallets`, 'wallets must be an array');
+    (user.wallets || []).forEach((w, j) => {
+      const wpath = `${path}.wallets[${j}]`;
+      if (typeof w !== 'string' && (!w || typeof w !== 'object' || Array.isArray(w))) return err(wpath, 'wallet must be a string or an object');
+      if (typeof w === 'object') {
+        if (w.chain !== undefined && !getAdapter(String(w.chain).toLowerCase())) return err(`${wpath}.chain`, `unsupported chain "${w.chain}"`);
+        if (w.label !== undefined && typeof w.label !== 'string') err(`${wpath}.label`, 'label must be a string');
+        settings(w, wpath);
+      }
+      const parsed = walletEntryAddress(w);
+      if (!parsed) return err(wpath, `invalid address: ${typeof w === 'string' ? w : w.address}`);
+      if (seen.has(parsed.address)) return err(wpath, `duplicate wallet ${parsed.address} (also at ${seen.get(parsed.address)})`);
+      seen.set(parsed.address, wpath);
+    });
+  });
+  return errors;
+}
+
+// A wallet entry in object form ("0x... label email" -> { address, label, email }); chain is left out for evm
+export function walletObject(w) {
+  if (typeof w !== 'string') return w;
+  const p = parseAddrLabelEmail(w);
+  if (!p) return w;
+  // a bare .sol name needs no chain either
+  const withChain = p.chain !== 'evm' && !(p.name && detectNameChain(p.name) === p.chain);
+  return { address: p.address, ...(withChain ? { chain: p.chain } : {}), ...(p.label ? { label: p.label } : {}), ...(p.email ? { email: p.email } : {}) };
+}
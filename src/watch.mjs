@@ -1,28 +1,39 @@
 #!/usr/bin/env node
 import 'dotenv/config';
-import nodemailer from 'nodemailer';
-import { JsonRpcProvider, formatUnits, getAddress, isAddress, Contract } from 'ethers';
+import { formatUnits, getAddress, id, dataSlice, zeroPadValue } from 'ethers';
 import { readFile } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
-import { resolve as resolvePath } from 'node:path';
-import { networks, getRpcUrl } from './networks.mjs';
-import { fetchSolanaBalances } from './adapters/solana.mjs';
-import { fetchTronBalances } from './adapters/tron.mjs';
-
-const ERC20_ABI = [
-  'function balanceOf(address owner) view returns (uint256)',
-  'function decimals() view returns (uint8)',
-  'function symbol() view returns (string)'
-];
-
-// cache: { [chainId]: { [tokenAddressLower]: { decimals, symbol } } }
-const tokenMetaCache = new Map();
+import { existsSync, watch } from 'node:fs';
+import { resolve as resolvePath, dirname, basename } from 'node:path';
+import { networksFor, explorerUrl } from './networks.mjs';
+import { adapters, getAdapter, fetchBalances } from './adapters/index.mjs';
+import { fetchEvmNetwork } from './adapters/evm.mjs';
+import { loadState, saveState } from './state.mjs';
+import { appendHistory } from './history.mjs';
+import { loadTokenConfig, mergeTokenSpecs, tokensFor } from './tokens.mjs';
+import { getPricesMicro, priceOf, valueMicro, fmtMicroUSD, setFixedPrices } from './prices.mjs';
+import { getTokenMetas } from './multicall.mjs';
+import { withTimeout } from './util.mjs';
+import { withRpc, rpcUrls, verifyChainIds } from './rpc-pool.mjs';
+import { createNotifier, DEFAULT_CHANNELS, useOutbox, setOutboxCycle } from './notifiers/index.mjs';
+import { renderDigest, renderNameChanges } from './notifiers/templates.mjs';
+import { missingSmtpEnv } from './notifiers/email.mjs';
+import { periodStart } from './digest.mjs';
+import { evaluateRules, holdReason, rejectedByDirection } from './rules.mjs';
+import { parseWalletsConfig } from './wallet-config.mjs';
+import { emitEvent, setEventsFile } from './events.mjs';
+import { metrics, renderMetrics, serveMetrics } from './metrics.mjs';
+import { loadScenario, createReplay, createRecorder } from './scenario.mjs';
+import { resolveWalletNames, labelWithNames, restoreNames, savedNames, setFixedNames } from './names.mjs';
+
+// Exit code for a bad command line or config: the server's supervisor leaves such a watcher stopped instead of restarting it
+const EXIT_USAGE = 2;
 
 function usageAndExit() {
-  console.error('Usage: npm run watch -- --config=wallets.json [--only=eth,polygon,...] [--interval=30000] [--usdDelta=0.1] [--concurrency=50]');
+  console.error('Usage: npm run watch -- --config=wallets.json [--networks=mainnets|testnets|<profile>] [--only=eth,polygon,...] [--interval=30000] [--usdDelta=0.1] [--concurrency=50] [--state=data/watcher-state.json] [--quorum=true] [--events=events.ndjson] [--metrics=[host:]port] [--replay=scenario.json] [--record=scenario.json] [--outbox=outbox.ndjson] [--namesRefresh=3600000] [--reverseNames=true] [--users=alex,bob] [--wallets=<address|label|name>,...]');
   console.error('Config wallets.json supports objects or strings per wallet:');
-  console.error('  { "user": "alex", "email": "alex@mail", "wallets": [ {"address":"0x...","label":"exodus"}, "0x... metamask alex+alt@mail" ] }');
-  process.exit(1);
+  console.error('  { "user": "alex", "email": "alex@mail", "wallets": [ {"address":"0x...","label":"exodus"}, "0x... metamask alex+alt@mail", "treasury.eth" ] }');
+  console.error('Users and wallet objects can set "rules" (direction, usdDelta, percent, tokens, below, above, cooldown, quietHours); see README.');
+  process.exit(EXIT_USAGE);
 }
 
 const argv = process.argv.slice(2);
@@ -34,94 +45,65 @@ for (const a of argv) {
 }
 
 const only = opts.only ? String(opts.only).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean) : null;
-const selected = only ? networks.filter((n) => only.includes(n.key)) : networks;
+let selected = []; // EVM networks, set in main()
 const intervalMs = Math.max(5000, Number(opts.interval || 30000));
-const usdDelta = Number(opts.usdDelta || 0.1); // threshold in USD
+const usdDelta = Number(opts.usdDelta || 0.1); // threshold in USD for wallets whose rules set no trigger of their own
 const emailTo = opts.emailTo || process.env.EMAIL_TO;
 const allowErrorsForEmail = (opts.allowErrors || process.env.ALLOW_ERRORS_FOR_EMAIL || 'false') === 'true';
 const concurrency = Math.max(1, Number(opts.concurrency || process.env.CONCURRENCY || 50));
+const safeConfirmations = Math.max(0, Number(opts.confirmations || process.env.SAFE_CONFIRMATIONS || 3));
+const requireTransferForEmail = (opts.requireTransfer || process.env.REQUIRE_TRANSFER_FOR_EMAIL || 'false') === 'true';
+const rpcQuorum = (opts.quorum || process.env.RPC_QUORUM || 'false') === 'true'; // two EVM endpoints must agree before an alert
+const logChunkBlocks = Math.max(1, Number(process.env.LOG_CHUNK_BLOCKS || 2000)); // max block span per eth_getLogs call
+const maxScanBlocks = Math.max(logChunkBlocks, Number(process.env.MAX_SCAN_BLOCKS || 20000)); // max catch-up per network per cycle
 
 // Resolve addresses: JSON config (default: ./wallets.json)
 const configPath = resolvePath(process.cwd(), String(opts.config || 'wallets.json'));
-
-// Parse a line like "[chain:]address [label words ...] [email@domain]"; label and email are optional.
-// Supported chains: evm (default), sol, tron, btc (btc reserved)
-function parseAddrLabelEmail(input) {
-  const line = String(input || '').trim();
-  if (!line) return null;
-  const tokens = line.split(/\s+/).filter(Boolean);
-  let chain = 'evm';
-  let addrTokenIdx = -1;
-  // detect explicit chain prefix in the first token (e.g., sol:..., tron:...)
-  const first = tokens[0] || '';
-  const m = first.match(/^(evm|sol|tron|btc):(.+)$/i);
-  if (m) {
-    chain = m[1].toLowerCase();
-    addrTokenIdx = 0; // address is embedded in same token
-  }
-  // helper validators (lightweight)
-  const isEvm = (x) => { try { return isAddress(x); } catch { return false; } };
-  const isSol = (x) => /^([1-9A-HJ-NP-Za-km-z]{32,48})$/.test(x);
-  const isTron = (x) => /^T[1-9A-HJ-NP-Za-km-z]{25,34}$/.test(x);
-
-  let rawAddr = '';
-  if (addrTokenIdx === 0) {
-    rawAddr = m[2];
-  } else {
-    // find address token depending on chain (default evm)
-    const idx = tokens.findIndex((t) => isEvm(t) || isSol(t) || isTron(t));
-    if (idx === -1) return null;
-    rawAddr = tokens[idx];
-    if (isSol(rawAddr)) chain = 'sol';
-    else if (isTron(rawAddr)) chain = 'tron';
-    else chain = 'evm';
-    addrTokenIdx = idx;
-  }
-  const addr = (chain === 'evm') ? getAddress(rawAddr) : rawAddr;
-  const emailIdx = tokens.findIndex((t) => t.includes('@'));
-  const email = emailIdx >= 0 ? tokens[emailIdx] : undefined;
-  const labelParts = tokens.filter((t, i) => i !== addrTokenIdx && i !== emailIdx);
-  const label = labelParts.length ? labelParts.join(' ').trim() : undefined;
-  return { chain, address: addr, label, email };
-}
-
-// legacy file parsing removed for optimization
-
+// EVM networks: built-ins plus networks.json (--networksFile or env NETWORKS_FILE), picked with --networks / env NETWORKS
+const networksPath = resolvePath(process.cwd(), String(opts.networksFile || process.env.NETWORKS_FILE || 'networks.json'));
+// Extra tokens for every wallet (default: ./tokens.json, optional); users/wallets can add more via "tokens"
+const tokensPath = resolvePath(process.cwd(), String(opts.tokens || process.env.TOKENS_FILE || 'tokens.json'));
+let globalTokens = {};
+// Persisted baselines, scan positions and alert times (default: ./data/watcher-state.json)
+const statePath = resolvePath(process.cwd(), String(opts.state || process.env.STATE_FILE || 'data/watcher-state.json'));
+// Per-cycle balance history (default: ./data/history); --history=off disables it
+const historyOpt = String(opts.history || process.env.HISTORY_DIR || 'data/history');
+const historyDir = historyOpt === 'off' ? null : resolvePath(process.cwd(), historyOpt);
+// Structured events as NDJSON (optional); a parent process with an IPC channel gets them either way
+const eventsOpt = opts.events || process.env.EVENTS_FILE;
+if (eventsOpt) setEventsFile(resolvePath(process.cwd(), String(eventsOpt)));
+// Prometheus /metrics on [host:]port (optional)
+const metricsOpt = opts.metrics || process.env.METRICS_PORT;
+// Offline runs (see scenario.mjs): --replay=scenario.json reads balances from a scenario instead of the chains, runs its
+// cycles back to back and exits; --record=scenario.json captures live cycles into one. --outbox=path appends alerts to an
+// NDJSON file instead of sending them (a replay always does, default data/outbox.ndjson, emptied at the start).
+const replayPath = opts.replay ? resolvePath(process.cwd(), String(opts.replay)) : null;
+const recordPath = opts.record ? resolvePath(process.cwd(), String(opts.record)) : null;
+const outboxOpt = opts.outbox || (replayPath ? 'data/outbox.ndjson' : null);
+const outboxPath = outboxOpt ? resolvePath(process.cwd(), String(outboxOpt)) : null;
+let replay = null;
+let recorder = null;
+let cycleCount = 0;
+// ENS/SNS names in wallets.json are looked up again every --namesRefresh ms (env NAMES_REFRESH_MS, default 1h);
+// --reverseNames (env REVERSE_NAMES=true) labels wallets that have no label with their primary ENS name or SNS domain
+const namesRefreshMs = Math.max(60000, Number(opts.namesRefresh || process.env.NAMES_REFRESH_MS || 3600000));
+const reverseNames = (opts.reverseNames || process.env.REVERSE_NAMES || 'false') === 'true';
+// Only part of wallets.json (a server watcher profile): --users=alex,bob (env WATCH_USERS) and/or
+// --wallets=<address|label|name>,... (env WATCH_WALLETS)
+const listOpt = (v) => (v ? String(v).split(',').map((s) => s.trim()).filter(Boolean) : null);
+const userSubset = listOpt(opts.users || process.env.WATCH_USERS);
+const walletSubset = listOpt(opts.wallets || process.env.WATCH_WALLETS)?.map((s) => s.toLowerCase());
+const inSubset = (e) => (!userSubset || userSubset.includes(e.user))
+  && (!walletSubset || [e.address, e.label, e.name].some((v) => v && walletSubset.includes(String(v).toLowerCase())));
+
+// -> parsed entries, or null when the file can't be parsed (a reload then keeps the wallets it has)
 async function readAddressesFromJsonMaybe() {
   if (!existsSync(configPath)) return [];
   try {
-    const raw = await readFile(configPath, 'utf8');
-    const data = JSON.parse(raw);
-    if (!Array.isArray(data)) throw new Error('config root must be an array');
-    const out = [];
-    for (const user of data) {
-      const uname = typeof user?.user === 'string' ? user.user : undefined;
-    const uemail = typeof user?.email === 'string' && user.email.includes('@') ? user.email : undefined;
-      const wallets = Array.isArray(user?.wallets) ? user.wallets : [];
-      for (const w of wallets) {
-        if (typeof w === 'string') {
-          const parsed = parseAddrLabelEmail(w);
-          if (!parsed) { console.warn('Skipping invalid wallet entry:', w); continue; }
-          out.push({ user: uname, chain: parsed.chain, address: parsed.address, label: parsed.label, email: parsed.email || uemail });
-        } else {
-          const chain = typeof w?.chain === 'string' ? String(w.chain).toLowerCase() : 'evm';
-          const addr = typeof w?.address === 'string' ? w.address : '';
-          if (chain === 'evm' && !isAddress(addr)) { console.warn('Skipping invalid EVM address in config:', addr); continue; }
-          // for non-evm we keep the raw address; minimal validation
-          out.push({
-            user: uname,
-            label: typeof w?.label === 'string' ? w.label : undefined,
-            chain,
-            address: chain === 'evm' ? getAddress(addr) : addr,
-            email: (typeof w?.email === 'string' && w.email.includes('@')) ? w.email : uemail
-          });
-        }
-      }
-    }
-    return out;
+    return parseWalletsConfig(JSON.parse(await readFile(configPath, 'utf8'))).filter(inSubset);
   } catch (e) {
     console.error('Failed to parse wallets.json:', e?.message || e);
-    return [];
+    return null;
   }
 }
 
@@ -130,146 +112,280 @@ function normalizeAddresses(arr) {
   for (const raw of arr) {
     if (!raw || !raw.address) { console.warn('Skipping invalid address:', raw?.address || raw); continue; }
     const chain = raw.chain || 'evm';
-    const address = chain === 'evm' ? getAddress(raw.address) : String(raw.address);
+    const address = getAdapter(chain)?.normalize(raw.address) ?? String(raw.address);
     const prev = map.get(address) || {};
     map.set(address, {
       address,
       chain,
+      name: raw.name ?? prev.name,
       label: (raw.label || prev.label || '').trim() || undefined,
       user: raw.user ?? prev.user,
-      email: raw.email ?? prev.email
+      email: raw.email ?? prev.email,
+      tokens: mergeTokenSpecs(prev.tokens, raw.tokens),
+      channels: raw.channels ?? prev.channels,
+      digest: raw.digest ?? prev.digest,
+      rules: raw.rules ?? prev.rules
     });
   }
   return Array.from(map.values());
 }
 
-// nodemailer config (prefer env, else fallback to provided sample)
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: Number(process.env.SMTP_PORT || 587),
-  secure: (process.env.SMTP_SECURE || 'false') === 'true' ? true : false,
-  auth: {
-    user: process.env.SMTP_USER || 'quintonsjenna190@gmail.com',
-    pass: process.env.SMTP_PASS || 'vibq abzm rmal whev'
-  }
-});
+// Parsed config -> watched entries: names resolved, missing labels filled in, duplicates merged
+// -> { entries, nameChanges }; refreshNames looks names (and reverse names) up again instead of using the cached ones
+async function loadWallets(parsed, { refreshNames = false } = {}) {
+  const { entries, changes } = await resolveWalletNames(parsed, { refresh: refreshNames });
+  const labelled = await labelWithNames(entries, { reverse: reverseNames && !replay, refresh: refreshNames });
+  return { entries: normalizeAddresses(labelled), nameChanges: changes };
+}
 
-function withTimeout(promise, ms, label) {
-  const to = new Promise((_, rej) => setTimeout(() => rej(new Error(`Timeout after ${ms}ms: ${label}`)), ms));
-  return Promise.race([promise, to]);
+// Built-in tokens of the network plus tokens.json plus the wallet's own "tokens"
+function evmTokensFor(net, walletTokens) {
+  return tokensFor(net.key, net.tokens, globalTokens, walletTokens);
 }
 
-// Cache providers per chain to avoid repeated handshakes per wallet
-const providerCache = new Map(); // chainId -> { provider, url }
+// Token spec a wallet is read with: tokens.json plus the user's and wallet's own "tokens"
+function walletTokenSpec(entry) {
+  return mergeTokenSpecs(globalTokens, entry.tokens);
+}
 
-async function getProvider(net) {
-  const cached = providerCache.get(net.chainId);
-  if (cached) {
-    try {
-      await withTimeout(cached.provider.getBlockNumber(), 4000, `${net.name}@cached`);
-      return cached;
-    } catch { /* fallthrough to try fresh */ }
+// Chains whose adapter batches many wallets are read for every wallet of the cycle at once.
+// -> Map address -> snapshot
+async function prefetchSnapshots(entries) {
+  if (replay) return replay.snapshots(entries);
+  const out = new Map();
+  for (const [chain, adapter] of Object.entries(adapters)) {
+    if (!adapter.fetchBalancesMany) continue;
+    const list = entries.filter((e) => (e.chain || 'evm') === chain);
+    if (!list.length) continue;
+    const snaps = await adapter.fetchBalancesMany(list.map((e) => ({ address: e.address, tokens: walletTokenSpec(e) })), { networks: selected });
+    for (const [address, snap] of snaps) out.set(address, snap);
   }
-  const preferred = getRpcUrl(net);
-  const candidates = Array.from(new Set([preferred, ...net.rpcs]));
-  for (const url of candidates) {
+  return out;
+}
+
+// Second opinion before an alert: re-read each changed network from a different endpoint at the same block.
+// Networks with a single configured endpoint can't be cross-checked and pass as they are.
+async function quorumAgrees(entry, snap, changedNets) {
+  for (const it of snap) {
+    if (it.error || it.block == null || !changedNets.has(it.net.key) || rpcUrls(it.net).length < 2) continue;
+    let other;
     try {
-      const provider = new JsonRpcProvider(url, net.chainId);
-      await withTimeout(provider.getBlockNumber(), 6000, `${net.name}@${url}`);
-      const good = { provider, url };
-      providerCache.set(net.chainId, good);
-      return good;
-    } catch (_) {
-      continue;
+      other = await fetchEvmNetwork(it.net, entry.address, { tokens: walletTokenSpec(entry), blockTag: it.block, exclude: [it.url] });
+    } catch (e) {
+      console.warn(`[quorum] ${it.net.name}: no second endpoint answered: ${e?.message || e}`);
+      return false;
+    }
+    const a = holdingsOf([it]);
+    const b = holdingsOf([other]);
+    const same = !other.error && Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((k) => b[k]?.raw === a[k].raw);
+    if (!same) {
+      console.warn(`[quorum] ${it.net.name}: ${it.url} and ${other.url || 'second endpoint'} disagree at block ${it.block} for ${entry.address}`);
+      return false;
     }
   }
-  throw new Error(`No RPC available for ${net.name}`);
+  return true;
 }
 
-async function fetchAllBalancesEvm(address) {
-  const out = [];
-  for (const net of selected) {
-    try {
-      const { provider, url } = await getProvider(net);
-      const native = await withTimeout(provider.getBalance(address), 8000, `${net.name}@${url}`);
-      const tokens = {};
-      if (net.tokens) {
-        for (const [sym, tAddr] of Object.entries(net.tokens)) {
-          try {
-            const c = new Contract(tAddr, ERC20_ABI, provider);
-            const bal = await withTimeout(c.balanceOf(address), 8000, `${net.name}:${sym}`);
-            // metadata cache
-            let chainCache = tokenMetaCache.get(net.chainId);
-            if (!chainCache) { chainCache = {}; tokenMetaCache.set(net.chainId, chainCache); }
-            const key = tAddr.toLowerCase();
-            if (!chainCache[key]) {
-              const [dec, rsym] = await Promise.all([
-                withTimeout(c.decimals(), 8000, `${net.name}:${sym}:decimals`),
-                withTimeout(c.symbol(), 8000, `${net.name}:${sym}:symbol`)
-              ]);
-              chainCache[key] = { decimals: Number(dec), symbol: String(rsym) };
-            }
-            const meta = chainCache[key];
-            tokens[sym] = { raw: bal, decimals: meta.decimals, symbol: meta.symbol, formatted: formatUnits(bal, meta.decimals) };
-          } catch (e) {
-            tokens[sym] = { error: e?.message || String(e) };
-          }
-        }
-      }
-      out.push({ net, url, native, tokens, provider });
-    } catch (e) {
-      out.push({ net, error: e?.message || String(e) });
+// prefetched: this wallet's slice of a cycle-wide prefetchSnapshots batch
+async function fetchSnapshot(entry, prefetched) {
+  if (prefetched) return prefetched;
+  if (replay) return replay.recheck(entry.address);
+  return fetchBalances(entry.chain || 'evm', entry.address, { tokens: walletTokenSpec(entry), networks: selected });
+}
+
+// ERC-20 Transfer scanning: each cycle pulls configured-token Transfer logs to/from the watched EVM
+// addresses for blocks that have at least SAFE_CONFIRMATIONS confirmations.
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+const ADDRESS_TOPIC_CHUNK = 100; // addresses OR-ed into one topic filter
+const MAX_PENDING_TRANSFERS = 50; // per wallet, kept while an alert on their network is pending
+
+// Last fully scanned block per network: chainId -> blockNumber
+const scanState = new Map();
+
+async function getLogsChunked(provider, net, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += logChunkBlocks) {
+    const end = Math.min(toBlock, start + logChunkBlocks - 1);
+    const part = await withTimeout(provider.getLogs({ ...filter, fromBlock: start, toBlock: end }), 15000, `${net.name}:logs ${start}-${end}`);
+    logs.push(...part);
+  }
+  return logs;
+}
+
+async function scanNetworkTransfers(net, entries) {
+  // one query over the union of every wallet's tokens; each wallet then only keeps its own tokens
+  const walletTokens = new Map(entries.map((e) => [e.address, new Map(evmTokensFor(net, e.tokens).map((t) => [t.address.toLowerCase(), t]))]));
+  const tokenList = tokensFor(net.key, net.tokens, globalTokens, ...entries.map((e) => e.tokens));
+  const addresses = entries.map((e) => e.address);
+  if (!tokenList.length || !addresses.length) return [];
+  return withRpc(net, (provider, url) => scanRange(net, provider, url, tokenList, walletTokens, addresses));
+}
+
+async function scanRange(net, provider, url, tokenList, walletTokens, addresses) {
+  const head = await withTimeout(provider.getBlockNumber(), 8000, `${net.name}@${url}`);
+  const safeHead = head - safeConfirmations;
+  const last = scanState.get(net.chainId);
+  if (last == null) {
+    // first sight of this network: start at the current safe head, no backfill
+    scanState.set(net.chainId, safeHead);
+    return [];
+  }
+  if (safeHead <= last) return [];
+  const fromBlock = last + 1;
+  const toBlock = Math.min(safeHead, last + maxScanBlocks);
+
+  const tokenAddrs = tokenList.map((t) => t.address);
+  const logsById = new Map(); // txHash:logIndex -> log (a log can match both the from and the to query)
+  for (let i = 0; i < addresses.length; i += ADDRESS_TOPIC_CHUNK) {
+    const topics = addresses.slice(i, i + ADDRESS_TOPIC_CHUNK).map((a) => zeroPadValue(a, 32));
+    for (const filterTopics of [[TRANSFER_TOPIC, topics], [TRANSFER_TOPIC, null, topics]]) {
+      const logs = await getLogsChunked(provider, net, { address: tokenAddrs, topics: filterTopics }, fromBlock, toBlock);
+      for (const log of logs) logsById.set(`${log.transactionHash}:${log.index}`, log);
     }
   }
+
+  const metas = await getTokenMetas(provider, net, tokenList);
+  const out = [];
+  for (const log of logsById.values()) {
+    if (log.topics.length !== 3) continue; // ERC-721 style Transfer indexes tokenId as a 4th topic
+    const from = getAddress(dataSlice(log.topics[1], 12));
+    const to = getAddress(dataSlice(log.topics[2], 12));
+    const raw = BigInt(log.data);
+    const tokenAddr = log.address.toLowerCase();
+    const conf = tokenList.find((t) => t.address.toLowerCase() === tokenAddr) || {};
+    const meta = metas.get(tokenAddr);
+    if (!meta || meta instanceof Error) throw meta || new Error(`no metadata for token ${log.address}`);
+    const base = {
+      net: net.key,
+      netName: net.name,
+      token: conf.symbol || meta.symbol,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      block: log.blockNumber,
+      raw,
+      decimals: meta.decimals,
+      formatted: formatUnits(raw, meta.decimals)
+    };
+    if (walletTokens.get(to)?.has(tokenAddr)) out.push({ ...base, address: to, direction: 'in', counterparty: from });
+    if (walletTokens.get(from)?.has(tokenAddr)) out.push({ ...base, address: from, direction: 'out', counterparty: to });
+  }
+  scanState.set(net.chainId, toBlock);
+  if (out.length) console.log(`[scan] ${net.name}: blocks ${fromBlock}-${toBlock}, ${out.length} transfer(s)`);
   return out;
 }
 
-// transfer scanning and transaction details removed
+async function scanTransfers(entries) {
+  if (replay) return replay.transfers(entries);
+  const byAddress = new Map(); // address -> transfers[]
+  const evmEntries = entries.filter((e) => (e.chain || 'evm') === 'evm');
+  if (!evmEntries.length) return byAddress;
+  const results = await Promise.all(selected.map(async (net) => {
+    try { return await scanNetworkTransfers(net, evmEntries); } catch (e) {
+      console.warn(`[scan] ${net.name} failed: ${e?.message || e}`);
+      return [];
+    }
+  }));
+  for (const t of results.flat()) {
+    if (!byAddress.has(t.address)) byAddress.set(t.address, []);
+    byAddress.get(t.address).push(t);
+  }
+  return byAddress;
+}
 
-function pow10n(d) { let r = 1n; for (let i=0;i<d;i++) r *= 10n; return r; }
-function toMicroUsdBigInt(token) {
-  // token: { raw: BigInt, decimals: number }
-  try {
-    const raw = BigInt(token.raw);
-    const denom = pow10n(Number(token.decimals || 6));
-    return (raw * 1000000n) / denom; // micro-dollar units
-  } catch { return 0n; }
+function fmtTransfer(t) {
+  const dir = t.direction === 'in' ? `+${t.formatted} ${t.token} from` : `-${t.formatted} ${t.token} to`;
+  return `- ${t.netName}: ${dir} ${t.counterparty} (block ${t.block}, tx ${t.txHash})`;
 }
-function calcUsdMicro(balances) {
-  // Sum stablecoins as micro-dollars (int) to avoid float noise
+
+// Holdings: "<netKey>:<asset>" -> { raw: BigInt, decimals, symbol, priceSymbol }, asset being "native" or a token key
+function holdingsOf(snap) {
+  const out = {};
+  for (const it of snap) {
+    if (it.error) continue;
+    out[`${it.net.key}:native`] = { raw: BigInt(it.native), decimals: it.net.decimals ?? 18, symbol: it.net.symbol, priceSymbol: it.net.symbol };
+    for (const [sym, t] of Object.entries(it.tokens || {})) {
+      if (!t || t.error || t.raw == null) continue;
+      out[`${it.net.key}:${sym}`] = { raw: BigInt(t.raw), decimals: Number(t.decimals), symbol: sym, priceSymbol: t.priceSymbol ?? null };
+    }
+  }
+  return out;
+}
+
+// Sum priced holdings as micro-dollars (int) to avoid float noise
+function holdingsUsdMicro(holdings, prices) {
   let total = 0n;
-  const u = balances.tokens?.USDT;
-  const c = balances.tokens?.USDC;
-  if (u && !u.error && u.raw != null) total += toMicroUsdBigInt(u);
-  if (c && !c.error && c.raw != null) total += toMicroUsdBigInt(c);
+  for (const h of Object.values(holdings)) {
+    const price = priceOf(h.priceSymbol, prices);
+    if (price != null) total += valueMicro(h.raw, h.decimals, price);
+  }
   return total;
 }
-function fmtMicroUSD(m) {
-  const neg = m < 0n;
-  const n = neg ? -m : m;
-  const int = n / 1000000n;
-  const frac = n % 1000000n;
-  const fracStr = frac.toString().padStart(6, '0');
-  return `${neg ? '-' : ''}${int.toString()}.${fracStr}`;
+
+// Signed USD change between two holdings, both valued at the current prices so that price moves
+// alone never alert. Networks that errored this time are skipped rather than counted as emptied.
+function holdingsDeltaMicro(prev, cur, prices, erroredNets) {
+  let delta = 0n;
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(cur)])) {
+    if (erroredNets.has(key.slice(0, key.indexOf(':')))) continue;
+    const h = cur[key] || prev[key];
+    const price = priceOf(h.priceSymbol, prices);
+    if (price == null) continue;
+    delta += valueMicro((cur[key]?.raw ?? 0n) - (prev[key]?.raw ?? 0n), h.decimals, price);
+  }
+  return delta;
 }
 
-async function sendEmail(subject, text, toOverride) {
-  const to = toOverride || emailTo;
-  if (!to) return;
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM || (process.env.SMTP_USER || 'watcher@example.com'),
-      to,
-      subject,
-      text
-    });
-  } catch (e) {
-    console.error('Email send failed:', e?.message || e);
+// Baseline taken from a reading: its holdings, with the networks that errored kept at their previous balances.
+// Left out, a network's whole balance would count as a change once it reads again.
+function carryErrored(holdings, prev, erroredNets) {
+  if (!prev || !erroredNets?.size) return holdings;
+  const out = { ...holdings };
+  for (const [key, h] of Object.entries(prev)) if (erroredNets.has(key.slice(0, key.indexOf(':')))) out[key] = h;
+  return out;
+}
+
+// Network keys with any holding that differs between two holdings
+function changedNetworks(prev, cur) {
+  const nets = new Set();
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(cur)])) {
+    if (prev[key]?.raw !== cur[key]?.raw) nets.add(key.slice(0, key.indexOf(':')));
   }
+  return nets;
+}
+
+function snapshotSymbols(snap) {
+  return snap.flatMap((it) => (it.error ? [] : [it.net.symbol, ...Object.values(it.tokens || {}).map((t) => t.priceSymbol)])).filter(Boolean);
 }
 
 // Per-wallet state
-const walletState = new Map(); // address -> { lastUsdMicro: BigInt | null, label?, user?, email? }
+const walletState = new Map(); // address -> { lastUsdMicro: BigInt | null, lastHoldings?, label?, user?, email?, transfers: [], lastSeenAt?, lastAlertAt?, offlineSince? }
+
+async function restoreState() {
+  const saved = await loadState(statePath);
+  for (const [address, w] of Object.entries(saved.wallets)) {
+    // offlineSince marks the first cycle after a restart so changes made while down are called out
+    walletState.set(address, { ...w, transfers: w.transfers || [], offlineSince: w.lastSeenAt || saved.savedAt });
+  }
+  for (const [chainId, block] of Object.entries(saved.scan)) scanState.set(Number(chainId), Number(block));
+  for (const [key, start] of Object.entries(saved.digests)) digestState.set(key, Number(start));
+  restoreNames(saved.names);
+  if (walletState.size) console.log(`[state] restored ${walletState.size} wallet baseline(s) from ${statePath} (saved ${saved.savedAt ?? 'unknown'})`);
+}
+
+async function persistState() {
+  if (replay) return; // a replay starts from and leaves no baselines
+  const wallets = {};
+  for (const [address, st] of walletState) {
+    if (st.lastUsdMicro === null) continue;
+    const { lastUsdMicro, lastHoldings, label, user, transfers, lastSeenAt, lastAlertAt, digest } = st;
+    wallets[address] = { lastUsdMicro, lastHoldings, label, user, transfers, lastSeenAt, lastAlertAt, digest };
+  }
+  try {
+    await saveState(statePath, { wallets, scan: Object.fromEntries(scanState), digests: Object.fromEntries(digestState), names: savedNames() });
+  } catch (e) {
+    console.error('State save failed:', e?.message || e);
+  }
+}
 
 function shortAddr(a) { return a.slice(0, 6) + '...' + a.slice(-4); }
 function labelOf(entry) {
@@ -279,78 +395,164 @@ function labelOf(entry) {
   return shortAddr(entry.address);
 }
 
-async function processWallet(entry) {
+async function processWallet(entry, newTransfers = [], prefetched) {
   const { address, chain = 'evm' } = entry;
-  const state = walletState.get(address) || { lastUsdMicro: null, label: entry.label, user: entry.user, email: entry.email };
+  const state = walletState.get(address) || { lastUsdMicro: null, label: entry.label, user: entry.user, email: entry.email, transfers: [] };
   state.label = entry.label ?? state.label;
   state.user = entry.user ?? state.user;
   state.email = entry.email ?? state.email;
-  let snap = [];
-  if (chain === 'evm') {
-    snap = await fetchAllBalancesEvm(address);
-  } else if (chain === 'sol') {
-    try { const r = await fetchSolanaBalances(address); snap = [r]; } catch (e) { snap = [{ net: { key: 'sol', name: 'Solana' }, error: e?.message || String(e) }]; }
-  } else if (chain === 'tron') {
-    try { const r = await fetchTronBalances(address); snap = [r]; } catch (e) { snap = [{ net: { key: 'tron', name: 'Tron' }, error: e?.message || String(e) }]; }
-  } else {
-    snap = [{ net: { key: chain, name: chain }, error: 'unsupported chain' }];
-  }
-  const totalUsdMicro = snap.reduce((acc, it) => acc + (it.error ? 0n : calcUsdMicro(it)), 0n);
+  // confirmed transfers wait for the alert on their network (see below)
+  state.transfers = [...(state.transfers || []), ...newTransfers].slice(-MAX_PENDING_TRANSFERS);
+  const snap = await fetchSnapshot(entry, prefetched);
+  const prices = await getPricesMicro(snapshotSymbols(snap));
+  recorder?.reading(address, snap);
+  recorder?.prices(prices);
+  const holdings = holdingsOf(snap);
+  const totalUsdMicro = holdingsUsdMicro(holdings, prices);
   const anyErrors = snap.some((it) => !!it.error);
+  await recordHistory(entry, snap, totalUsdMicro, prices);
+  // partial: totalUsd only covers the networks that could be read, and is null when none could
+  const totalUsd = snap.length && snap.every((it) => it.error) ? null : fmtMicroUSD(totalUsdMicro);
+  emitEvent('wallet.snapshot', { address, chain, name: entry.name ?? null, user: entry.user ?? null, label: entry.label ?? null, totalUsd, partial: anyErrors, networks: historyNetworks(snap, prices) });
+  if (!anyErrors) {
+    // a partial total would look like a drop on a dashboard; keep the last complete one
+    metrics.walletUsd.remove({ address });
+    metrics.walletUsd.set({ address, chain, user: entry.user, label: entry.label }, Number(totalUsdMicro) / 1e6);
+  }
+  const offlineSince = state.offlineSince;
+  delete state.offlineSince;
+  if (!anyErrors) state.lastSeenAt = new Date().toISOString();
+  // latest reading, for digests (not persisted)
+  state.current = { snap, holdings, totalUsdMicro, erroredNets: new Set(snap.filter((it) => it.error).map((it) => it.net.key)) };
 
-  if (state.lastUsdMicro === null) {
+  if (state.lastUsdMicro === null || !state.lastHoldings) {
     state.lastUsdMicro = totalUsdMicro;
+    state.lastHoldings = holdings;
     walletState.set(address, state);
     console.log(`[init] ${labelOf({ ...state, address })} (${shortAddr(address)}) ≈ ~$${fmtMicroUSD(totalUsdMicro)}`);
     return null;
   }
 
   const last = state.lastUsdMicro;
-  const deltaMicro = (totalUsdMicro >= last) ? (totalUsdMicro - last) : (last - totalUsdMicro);
-  const thresholdMicro = BigInt(Math.round(usdDelta * 1e6));
-  let shouldEmail = deltaMicro >= thresholdMicro;
-  if (shouldEmail && !allowErrorsForEmail && anyErrors) {
-    console.log(`[skip] ${labelOf({ ...state, address })} change but some networks errored.`);
+  if (offlineSince) console.log(`[resume] ${labelOf({ ...state, address })} baseline ~$${fmtMicroUSD(last)} from ${offlineSince}, now ~$${fmtMicroUSD(totalUsdMicro)}`);
+  const erroredNets = new Set(snap.filter((it) => it.error).map((it) => it.net.key));
+  const deltaMicro = holdingsDeltaMicro(state.lastHoldings, holdings, prices, erroredNets);
+  // a transfer only backs a change on its own network; one whose network is back at the baseline is dropped
+  const changed = changedNetworks(state.lastHoldings, holdings);
+  state.transfers = state.transfers.filter((t) => changed.has(t.net) || erroredNets.has(t.net));
+  const ruleContext = (h, errored, delta, total) => ({
+    prevHoldings: state.lastHoldings, holdings: h, erroredNets: errored, deltaMicro: delta, totalUsdMicro: total, defaultUsdDelta: usdDelta
+  });
+  const triggersFor = (...args) => evaluateRules(entry.rules, ruleContext(...args));
+  let triggers = triggersFor(holdings, erroredNets, deltaMicro, totalUsdMicro);
+  let shouldEmail = triggers.length > 0;
+  const skip = (reason, message) => {
+    console.log(`[skip] ${labelOf({ ...state, address })} ${message}`);
+    emitEvent('alert.suppressed', { address, chain, user: state.user ?? null, label: state.label ?? null, reason, message });
+    metrics.alertsSuppressed.inc({ reason });
     shouldEmail = false;
+  };
+  if (shouldEmail && !allowErrorsForEmail && anyErrors) {
+    skip('errors', 'change but some networks errored.');
+  }
+  // transfers are only scanned on EVM networks; other chains keep alerting on balance changes
+  if (shouldEmail && requireTransferForEmail && chain === 'evm' && state.transfers.length === 0) {
+    skip('no-transfer', 'change but no confirmed transfer yet.');
   }
+  // cooldown and quiet hours only delay: the baseline stays put, so the change alerts once they are over
+  const held = shouldEmail ? holdReason(entry.rules, { lastAlertAt: state.lastAlertAt }) : null;
+  if (held) skip(held.reason, `change held back: ${held.message}.`);
 
   let chosenSnap = snap;
   let chosenTotal = totalUsdMicro;
+  let chosenHoldings = holdings;
+  let chosenDelta = deltaMicro;
   if (shouldEmail) {
     try {
-      const confirmSnap = await fetchAllBalances(address);
-      const confirmMicro = confirmSnap.reduce((acc, it) => acc + (it.error ? 0n : calcUsdMicro(it)), 0n);
-      const confirmDelta = (confirmMicro >= last) ? (confirmMicro - last) : (last - confirmMicro);
-      if (confirmDelta < thresholdMicro) {
-        console.log(`[skip] ${labelOf({ ...state, address })} change did not confirm.`);
-        shouldEmail = false;
+      const confirmSnap = await fetchSnapshot(entry);
+      recorder?.recheck(address, confirmSnap);
+      const confirmHoldings = holdingsOf(confirmSnap);
+      const confirmErrored = new Set(confirmSnap.filter((it) => it.error).map((it) => it.net.key));
+      const confirmDelta = holdingsDeltaMicro(state.lastHoldings, confirmHoldings, prices, confirmErrored);
+      const confirmTotal = holdingsUsdMicro(confirmHoldings, prices);
+      const confirmTriggers = triggersFor(confirmHoldings, confirmErrored, confirmDelta, confirmTotal);
+      if (!confirmTriggers.length) {
+        skip('unconfirmed', 'change did not confirm.');
       } else {
         chosenSnap = confirmSnap;
-        chosenTotal = confirmMicro;
+        chosenTotal = confirmTotal;
+        chosenHoldings = confirmHoldings;
+        chosenDelta = confirmDelta;
+        triggers = confirmTriggers;
       }
     } catch (_) { /* ignore confirm errors */ }
   }
+  if (shouldEmail && rpcQuorum && chain === 'evm' && !replay) {
+    if (!(await quorumAgrees(entry, chosenSnap, changedNetworks(state.lastHoldings, chosenHoldings)))) {
+      skip('quorum', 'change not confirmed by a second RPC endpoint.');
+    }
+  }
 
   if (!shouldEmail) {
-    console.log(`[tick] ${labelOf({ ...state, address })} (${shortAddr(address)}) ~$${fmtMicroUSD(totalUsdMicro)} (Δ ${fmtMicroUSD(deltaMicro)} < ${usdDelta})`);
+    // nothing pending: older transfers must not vouch for a later, unrelated change
+    if (!triggers.length) state.transfers = [];
+    if (!triggers.length && rejectedByDirection(entry.rules, ruleContext(holdings, erroredNets, deltaMicro, totalUsdMicro))) {
+      state.lastHoldings = carryErrored(holdings, state.lastHoldings, erroredNets);
+      state.lastUsdMicro = totalUsdMicro;
+    }
+    console.log(`[tick] ${labelOf({ ...state, address })} (${shortAddr(address)}) ~$${fmtMicroUSD(totalUsdMicro)} (Δ ${fmtMicroUSD(deltaMicro)}${triggers.length ? `: ${triggers.join('; ')}` : ', no rule matched'})`);
     return null;
   }
 
   const lines = [
     `User: ${state.user ?? '-'}  Label: ${state.label ?? '-'}`,
     `Address: ${address}`,
-    `Change: ~$${fmtMicroUSD(deltaMicro)}`,
+    `Change: ~$${fmtMicroUSD(chosenDelta)}`,
     `Now: ~$${fmtMicroUSD(chosenTotal)}`,
+    `Triggered: ${triggers.join('; ')}`,
+    ...(offlineSince ? [`Changed while the watcher was offline (last seen ${offlineSince})`] : []),
     '',
   ...chosenSnap.map((it) => {
       if (it.error) return `- ${it.net.name}: ERROR ${it.error}`;
-      const usdt = it.tokens.USDT && !it.tokens.USDT.error ? it.tokens.USDT.formatted : '0';
-      const usdc = it.tokens.USDC && !it.tokens.USDC.error ? it.tokens.USDC.formatted : '0';
-      return `- ${it.net.name}: USDT=${usdt}, USDC=${usdc}`;
+      const dec = it.net.decimals ?? 18;
+      // unconfirmed delta on chains that report one (e.g. Bitcoin)
+      const pending = it.pending ? ` (unconfirmed ${it.pending > 0n ? '+' : ''}${formatUnits(it.pending, dec)})` : '';
+      const parts = [`${it.net.symbol}=${formatUnits(it.native, dec)}${pending}`];
+      for (const [sym, t] of Object.entries(it.tokens || {})) parts.push(`${sym}=${t.error ? 'ERROR' : t.formatted}`);
+      return `- ${it.net.name}: ${parts.join(', ')}`;
     })
   ];
+  if (state.transfers.length) lines.push('', 'Transfers:', ...state.transfers.map(fmtTransfer));
 
-  return { address, deltaMicro, totalUsdMicro: chosenTotal, lines, email: state.email, user: state.user, label: state.label };
+  return {
+    address, chain, deltaMicro: chosenDelta, totalUsdMicro: chosenTotal, holdings: chosenHoldings, lines,
+    snap: chosenSnap, prevHoldings: state.lastHoldings, erroredNets: new Set(chosenSnap.filter((it) => it.error).map((it) => it.net.key)), transfers: state.transfers, email: state.email, user: state.user, label: state.label, channels: entry.channels,
+    triggers
+  };
+}
+
+// Per-network balances as decimal strings, as stored in the history and sent with wallet.snapshot events
+function historyNetworks(snap, prices) {
+  const networks = {};
+  for (const it of snap) {
+    if (it.error) { networks[it.net.key] = { error: it.error }; continue; }
+    const tokens = {};
+    for (const [sym, t] of Object.entries(it.tokens || {})) {
+      if (t && !t.error && t.formatted != null) tokens[sym] = t.formatted;
+    }
+    const usd = fmtMicroUSD(holdingsUsdMicro(holdingsOf([it]), prices));
+    networks[it.net.key] = { symbol: it.net.symbol, native: formatUnits(it.native, it.net.decimals ?? 18), tokens, usd };
+  }
+  return networks;
+}
+
+async function recordHistory(entry, snap, totalUsdMicro, prices) {
+  if (!historyDir || replay) return;
+  try {
+    await appendHistory(historyDir, entry.address, { t: Date.now(), chain: entry.chain || 'evm', totalUsd: fmtMicroUSD(totalUsdMicro), networks: historyNetworks(snap, prices) });
+  } catch (e) {
+    console.error('History write failed:', e?.message || e);
+  }
 }
 
 async function pMap(items, mapper, limit) {
@@ -367,48 +569,419 @@ async function pMap(items, mapper, limit) {
   return ret;
 }
 
-async function runCycle(entries) {
-  console.log(`Cycle start: ${entries.length} wallet(s), concurrency ${concurrency}`);
-  const results = await pMap(entries, (e) => processWallet(e), concurrency);
-  const changes = results.filter((r) => r && typeof r === 'object');
-  if (changes.length > 0) {
-    // group by recipient email (fallback to global if missing)
-    const groups = new Map(); // email -> array of changes
-    for (const c of changes) {
-      const key = (c.email && c.email.includes('@')) ? c.email : (emailTo || '');
-      if (!groups.has(key)) groups.set(key, []);
-      groups.get(key).push(c);
+// Decimal string of a holding, keyed like holdingsOf: <netKey>:native | <netKey>:<SYM>
+function fmtHolding(holdings, key) {
+  const h = holdings?.[key];
+  return h ? formatUnits(h.raw, h.decimals) : undefined;
+}
+
+// JSON form of a change (alerts, digests, webhooks): amounts as decimal strings, "before" from prevHoldings.
+// USD totals are both valued at current prices, like the alert threshold.
+function changeEvent(c) {
+  const networks = {};
+  for (const it of c.snap) {
+    const key = it.net.key;
+    const before = { native: fmtHolding(c.prevHoldings, `${key}:native`), tokens: {} };
+    for (const hk of Object.keys(c.prevHoldings || {})) {
+      if (hk.startsWith(`${key}:`) && hk !== `${key}:native`) before.tokens[hk.slice(key.length + 1)] = fmtHolding(c.prevHoldings, hk);
     }
-    for (const [to, arr] of groups) {
-      if (!to) { console.warn('No recipient email configured for some wallets; skipping email.'); continue; }
-      const subject = `Wallet changes this cycle: ${arr.length} wallet(s)`;
-      const body = arr.map((c) => {
-        const header = `User: ${c.user ?? '-'}  Label: ${c.label ?? '-'}  (${shortAddr(c.address)})`;
-        return [header, ...c.lines].join('\n');
-      }).join('\n\n---\n\n');
-      await sendEmail(subject, body, to);
-      console.log(`[email] ${subject} -> ${to}`);
+    const common = { name: it.net.name, symbol: it.net.symbol, explorerUrl: explorerUrl(key, 'address', c.address), before };
+    if (it.error) { networks[key] = { ...common, error: it.error }; continue; }
+    const tokens = {};
+    for (const [sym, t] of Object.entries(it.tokens || {})) tokens[sym] = t.error ? { error: t.error } : t.formatted;
+    networks[key] = { ...common, native: formatUnits(it.native, it.net.decimals ?? 18), tokens };
+  }
+  const chainKey = c.chain === 'evm' ? 'eth' : c.chain;
+  return {
+    address: c.address,
+    chain: c.chain,
+    user: c.user ?? null,
+    label: c.label ?? null,
+    explorerUrl: explorerUrl(chainKey, 'address', c.address) ?? null,
+    changeUsd: fmtMicroUSD(c.deltaMicro),
+    previousTotalUsd: fmtMicroUSD(c.totalUsdMicro - c.deltaMicro),
+    totalUsd: fmtMicroUSD(c.totalUsdMicro),
+    ...(c.triggers ? { triggers: c.triggers } : {}),
+    networks,
+    transfers: (c.transfers || []).map((t) => ({ ...t, raw: t.raw.toString(), explorerUrl: explorerUrl(t.net, 'tx', t.txHash) ?? null }))
+  };
+}
+
+// Group changes by destination (a mailbox, a Slack webhook, ...) and send one message per destination
+async function notifyChanges(changes) {
+  const groups = new Map(); // notifier id -> { notifier, changes }
+  for (const c of changes) {
+    const email = (c.email && c.email.includes('@')) ? c.email : emailTo;
+    for (const ch of c.channels || DEFAULT_CHANNELS) {
+      let notifier;
+      try {
+        notifier = createNotifier(ch, { email });
+      } catch (e) {
+        console.warn(`[notify] ${ch.type} channel skipped for ${labelOf(c)}: ${e?.message || e}`);
+        continue;
+      }
+      if (!groups.has(notifier.id)) groups.set(notifier.id, { notifier, changes: [] });
+      groups.get(notifier.id).changes.push(c);
     }
-    // Update state after emails
+  }
+  for (const [id, { notifier, changes: arr }] of groups) {
+    const subject = `Wallet changes this cycle: ${arr.length} wallet(s)`;
+    const text = arr.map((c) => {
+      const header = `User: ${c.user ?? '-'}  Label: ${c.label ?? '-'}  (${shortAddr(c.address)})`;
+      return [header, ...c.lines].join('\n');
+    }).join('\n\n---\n\n');
+    try {
+      await notifier.send({ subject, text, changes: arr.map(changeEvent) });
+      console.log(`[notify] ${subject} -> ${id}`);
+      emitEvent('alert.sent', { kind: 'change', channel: id, subject, wallets: arr.map((c) => c.address) });
+      metrics.alertsSent.inc({ kind: 'change', channel: id.split(':')[0] });
+    } catch (e) {
+      console.error(`[notify] ${id} failed:`, e?.message || e);
+      emitEvent('alert.failed', { kind: 'change', channel: id, subject, wallets: arr.map((c) => c.address), error: e?.message || String(e) });
+      metrics.alertsFailed.inc({ kind: 'change', channel: id.split(':')[0] });
+    }
+  }
+}
+
+// A name that now resolves to another address: whoever gets the wallet's alerts is told, one message per destination
+async function notifyNameChanges(changes, entries) {
+  const groups = new Map(); // notifier id -> { notifier, changes }
+  for (const c of changes) {
+    const entry = entries.find((e) => e.chain === c.chain && e.name === c.name) || {};
+    const chainKey = c.chain === 'evm' ? 'eth' : c.chain;
+    const change = {
+      ...c, user: entry.user ?? null, label: entry.label ?? null,
+      fromUrl: explorerUrl(chainKey, 'address', c.from) ?? null, toUrl: explorerUrl(chainKey, 'address', c.to) ?? null
+    };
+    console.log(`[name] ${c.name} now resolves to ${c.to} (was ${c.from})`);
+    emitEvent('wallet.name_changed', { address: c.to, chain: c.chain, name: c.name, from: c.from, to: c.to, user: change.user, label: change.label });
+    const email = (entry.email && entry.email.includes('@')) ? entry.email : emailTo;
+    for (const ch of entry.channels || DEFAULT_CHANNELS) {
+      let notifier;
+      try {
+        notifier = createNotifier(ch, { email });
+      } catch (e) {
+        console.warn(`[notify] ${ch.type} channel skipped for ${c.name}: ${e?.message || e}`);
+        continue;
+      }
+      if (!groups.has(notifier.id)) groups.set(notifier.id, { notifier, changes: [] });
+      groups.get(notifier.id).changes.push(change);
+    }
+  }
+  for (const [id, { notifier, changes: arr }] of groups) {
+    const { subject, text, html } = renderNameChanges(arr);
+    const names = arr.map(({ name, chain, user, label, from, to }) => ({ name, chain, user, label, from, to }));
+    try {
+      await notifier.send({ subject, text, html, changes: [], event: 'wallet.name_changed', names });
+      console.log(`[notify] ${subject} -> ${id}`);
+      emitEvent('alert.sent', { kind: 'name', channel: id, subject, wallets: arr.map((c) => c.to) });
+      metrics.alertsSent.inc({ kind: 'name', channel: id.split(':')[0] });
+    } catch (e) {
+      console.error(`[notify] ${id} failed:`, e?.message || e);
+      emitEvent('alert.failed', { kind: 'name', channel: id, subject, wallets: arr.map((c) => c.to), error: e?.message || String(e) });
+      metrics.alertsFailed.inc({ kind: 'name', channel: id.split(':')[0] });
+    }
+  }
+}
+
+// Digest schedule: `${email}|${period}` -> start (ms) of the period the last digest was sent in
+const digestState = new Map();
+
+// Opt-in digests: every wallet's balance and net change since its previous digest, whether or not a change crossed
+// the alert threshold. The first time a recipient is seen only starts the clock.
+async function runDigests(entries) {
+  const now = new Date();
+  const groups = new Map(); // `${email}|${period}` -> { email, period, entries }
+  for (const e of entries) {
+    const st = walletState.get(e.address);
+    const email = (e.email && e.email.includes('@')) ? e.email : emailTo;
+    if (!e.digest || !email || !st?.current) continue;
+    st.digest = st.digest || {};
+    if (!st.digest[e.digest]) st.digest[e.digest] = { since: now.toISOString(), holdings: carryErrored(st.current.holdings, st.lastHoldings, st.current.erroredNets) };
+    const key = `${email}|${e.digest}`;
+    if (!groups.has(key)) groups.set(key, { email, period: e.digest, entries: [] });
+    groups.get(key).entries.push(e);
+  }
+  for (const [key, { email, period, entries: list }] of groups) {
+    const start = periodStart(period, now).getTime();
+    const last = digestState.get(key);
+    if (last == null) { digestState.set(key, start); continue; }
+    if (last >= start) continue;
+    const wallets = [];
+    for (const e of list) {
+      const { current, digest } = walletState.get(e.address);
+      const prices = await getPricesMicro(snapshotSymbols(current.snap));
+      wallets.push(changeEvent({
+        address: e.address, chain: e.chain || 'evm', user: e.user, label: e.label, snap: current.snap,
+        prevHoldings: digest[period].holdings,
+        deltaMicro: holdingsDeltaMicro(digest[period].holdings, current.holdings, prices, current.erroredNets),
+        totalUsdMicro: holdingsUsdMicro(current.holdings, prices)
+      }));
+    }
+    const from = Math.min(...list.map((e) => Date.parse(walletState.get(e.address).digest[period].since)));
+    const { subject, html, text } = renderDigest({ period, from, to: now, wallets });
+    try {
+      await createNotifier({ type: 'email' }, { email }).send({ subject, text, html, changes: wallets });
+      console.log(`[digest] ${subject} -> ${email}`);
+      emitEvent('alert.sent', { kind: 'digest', channel: `email:${email}`, subject, wallets: list.map((e) => e.address) });
+      metrics.alertsSent.inc({ kind: 'digest', channel: 'email' });
+    } catch (err) {
+      console.error(`[digest] ${email} failed:`, err?.message || err);
+      emitEvent('alert.failed', { kind: 'digest', channel: `email:${email}`, subject, wallets: list.map((e) => e.address), error: err?.message || String(err) });
+      metrics.alertsFailed.inc({ kind: 'digest', channel: 'email' });
+      continue; // retried next cycle
+    }
+    digestState.set(key, start);
+    for (const e of list) {
+      const st = walletState.get(e.address);
+      st.digest[period] = { since: now.toISOString(), holdings: carryErrored(st.current.holdings, st.digest[period].holdings, st.current.erroredNets) };
+    }
+  }
+}
+
+async function runCycle(entries) {
+  const startedAt = Date.now();
+  cycleCount++;
+  replay?.next();
+  if (replay) setFixedPrices(replay.prices);
+  recorder?.startCycle(entries);
+  setOutboxCycle(cycleCount);
+  console.log(`Cycle start: ${entries.length} wallet(s), concurrency ${concurrency}${replay ? ` (replay ${replay.cycle}/${replay.total})` : ''}`);
+  emitEvent('cycle.start', { wallets: entries.length });
+  const transfers = await scanTransfers(entries);
+  recorder?.transfers(transfers);
+  const prefetched = await prefetchSnapshots(entries);
+  const results = await pMap(entries, (e) => processWallet(e, transfers.get(e.address), prefetched.get(e.address)), concurrency);
+  const failed = [];
+  results.forEach((r, i) => {
+    if (!(r instanceof Error)) return;
+    console.error(`[error] ${labelOf(entries[i])}: ${r.message}`);
+    emitEvent('wallet.error', { address: entries[i].address, chain: entries[i].chain || 'evm', name: entries[i].name ?? null, error: r.message });
+    failed.push(entries[i].address);
+  });
+  const changes = results.filter((r) => r && typeof r === 'object' && !(r instanceof Error));
+  if (changes.length > 0) {
+    await notifyChanges(changes);
+    // Update state after notifying
+    const alertedAt = new Date().toISOString();
     for (const c of changes) {
       const st = walletState.get(c.address) || { lastUsdMicro: null };
       st.lastUsdMicro = c.totalUsdMicro;
+      st.lastHoldings = carryErrored(c.holdings, c.prevHoldings, c.erroredNets);
+      st.transfers = [];
+      st.lastAlertAt = alertedAt;
       walletState.set(c.address, st);
     }
   }
+  await runDigests(entries);
+  await persistState();
+  if (recorder) await recorder.save().catch((e) => console.error('[record] save failed:', e?.message || e));
   console.log(`Cycle end.`);
+  emitEvent('cycle.end', { wallets: entries.length, changes: changes.length, errors: failed.length, durationMs: Date.now() - startedAt });
+  metrics.cycleDuration.observe({}, (Date.now() - startedAt) / 1000);
+  metrics.lastCycle.set({}, Math.floor(Date.now() / 1000));
+  metrics.wallets.set({}, entries.length);
+  metrics.walletsProcessed.inc({}, entries.length - failed.length);
+  metrics.walletErrors.inc({}, failed.length);
+}
+
+// Wallets of the running watcher; replaced by reloadConfig()
+let watched = [];
+const RELOAD_DEBOUNCE_MS = 500; // editors and the server's atomic rename fire several file events per save
+
+// Fields whose change invalidates a wallet's baseline: its holdings would be compared against a different token set
+const BASELINE_FIELDS = ['chain', 'tokens'];
+
+// Re-read wallets.json and swap the watched list. Unchanged and updated wallets keep their baselines, pending transfers
+// and alert times; removed wallets drop theirs; added wallets start with an [init] snapshot on the next cycle.
+// With refreshNames (the names timer) every name is looked up again; a name that moved is alerted on and its wallet is
+// swapped like a removed and an added one.
+async function reloadConfig(reason, { refreshNames = false } = {}) {
+  const parsed = await readAddressesFromJsonMaybe();
+  if (parsed === null) {
+    console.error(`[reload] ${reason}: keeping the ${watched.length} wallet(s) already watched`);
+    return;
+  }
+  const { entries: next, nameChanges } = await loadWallets(parsed, { refreshNames });
+  if (nameChanges.length) await notifyNameChanges(nameChanges, next);
+  const before = new Map(watched.map((e) => [e.address, e]));
+  const after = new Map(next.map((e) => [e.address, e]));
+  const added = next.filter((e) => !before.has(e.address));
+  const removed = watched.filter((e) => !after.has(e.address));
+  const updated = [];
+  for (const e of next) {
+    const prev = before.get(e.address);
+    if (!prev) continue;
+    const fields = Object.keys({ ...prev, ...e }).filter((k) => JSON.stringify(prev[k]) !== JSON.stringify(e[k]));
+    if (fields.length) updated.push({ entry: e, fields });
+  }
+  for (const e of removed) {
+    walletState.delete(e.address);
+    metrics.walletUsd.remove({ address: e.address });
+  }
+  for (const { entry, fields } of updated) {
+    const st = walletState.get(entry.address);
+    if (!st || !fields.some((f) => BASELINE_FIELDS.includes(f))) continue;
+    st.lastUsdMicro = null; // fresh [init] snapshot with the new token set
+    delete st.lastHoldings;
+  }
+  watched = next;
+  if (!added.length && !removed.length && !updated.length) {
+    if (!refreshNames) console.log(`[reload] ${reason}: no changes (${next.length} wallet(s))`);
+    return;
+  }
+  const list = (entries) => entries.map((e) => labelOf(e)).join(', ');
+  console.log(`[reload] ${reason}: +${added.length} added, -${removed.length} removed, ${updated.length} updated, ${next.length - added.length - updated.length} unchanged`);
+  if (added.length) console.log(`[reload]   added: ${list(added)}`);
+  if (removed.length) console.log(`[reload]   removed: ${list(removed)}`);
+  for (const { entry, fields } of updated) {
+    const rebaselined = fields.some((f) => BASELINE_FIELDS.includes(f)) ? ' (new baseline)' : '';
+    console.log(`[reload]   updated: ${labelOf(entry)} ${fields.join(', ')}${rebaselined}`);
+  }
+  emitEvent('config.reloaded', {
+    reason,
+    wallets: next.length,
+    added: added.map((e) => e.address),
+    removed: removed.map((e) => e.address),
+    updated: updated.map(({ entry, fields }) => ({ address: entry.address, fields }))
+  });
+  await persistState();
+}
+
+// Every cycle of the scenario back to back, from fresh baselines, then exit
+async function runReplay(parsed) {
+  let scenario;
+  try {
+    scenario = await loadScenario(replayPath);
+  } catch (e) {
+    console.error(`[replay] ${e?.message || e}`);
+    process.exit(1);
+  }
+  replay = createReplay(scenario);
+  setFixedNames(scenario.names);
+  ({ entries: watched } = await loadWallets(parsed));
+  console.log(`[replay] ${replay.total} cycle(s) from ${replayPath} for ${watched.length} wallet(s)`);
+  while (!replay.done) await runCycle(watched);
+  const sent = existsSync(outboxPath) ? (await readFile(outboxPath, 'utf8')).split('\n').filter(Boolean).length : 0;
+  console.log(`[replay] done: ${replay.total} cycle(s), ${sent} message(s) in ${outboxPath}`);
+  process.exit(0);
 }
 
 async function main() {
-  const fromJson = await readAddressesFromJsonMaybe();
-  const all = normalizeAddresses(fromJson); // [{address,label,user?,email?}]
-  if (all.length === 0) {
+  try {
+    selected = await networksFor({ file: networksPath, spec: opts.networks || process.env.NETWORKS, only });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(EXIT_USAGE);
+  }
+  globalTokens = await loadTokenConfig(tokensPath);
+  const parsed = (await readAddressesFromJsonMaybe()) || []; // [{address,label,user?,email?}]
+  if (parsed.length === 0) {
+    if (userSubset || walletSubset) {
+      console.error(`No wallet in ${configPath} matches --users/--wallets`);
+      process.exit(EXIT_USAGE);
+    }
     usageAndExit();
     return;
   }
-  console.log(`Watching ${all.length} wallet(s) across ${selected.length} EVM networks (+ non-EVM where specified) (interval ${intervalMs}ms, threshold ~$${usdDelta})`);
-  await runCycle(all);
-  setInterval(() => { runCycle(all).catch(() => {}); }, intervalMs);
+  if (outboxPath) {
+    useOutbox(outboxPath, { truncate: !!replayPath });
+    console.log(`[outbox] alerts go to ${outboxPath} instead of being sent`);
+  } else if (missingSmtpEnv().length) {
+    console.warn(`[notify] ${missingSmtpEnv().join(' and ')} not set: the email channel is disabled`);
+  }
+  if (replayPath) {
+    await runReplay(parsed);
+    return;
+  }
+  if (recordPath) {
+    recorder = createRecorder(recordPath);
+    console.log(`[record] capturing cycles to ${recordPath}`);
+  }
+  // a misconfigured RPC must not report balances from another chain
+  selected = await verifyChainIds(selected);
+  // state first: names are compared against the addresses they had when the watcher stopped
+  await restoreState();
+  const loaded = await loadWallets(parsed, { refreshNames: true });
+  watched = loaded.entries;
+  if (loaded.nameChanges.length) await notifyNameChanges(loaded.nameChanges, watched);
+  if (!watched.length) console.warn('No wallet resolved yet; names are looked up again on reload and every namesRefresh');
+  // spawned by the server: stop with it rather than keep running unsupervised
+  if (process.send) process.on('disconnect', () => process.exit(0));
+  console.log(`Watching ${watched.length} wallet(s) across ${selected.length} EVM networks (+ non-EVM where specified) (interval ${intervalMs}ms, threshold ~$${usdDelta})`);
+
+  // Cycles and reloads never overlap: a reload asked for during a cycle runs right after it
+  let busy = false;
+  let reloadReason = null;
+  let reloadTimer = null;
+  let namesDue = false;
+  let stopping = false;
+  const runExclusive = async (fn) => {
+    busy = true;
+    try {
+      await fn();
+      while (reloadReason || namesDue) {
+        const reason = reloadReason || 'names refreshed';
+        const refreshNames = namesDue;
+        reloadReason = null;
+        namesDue = false;
+        await reloadConfig(reason, { refreshNames }).catch((e) => console.error('[reload] failed:', e?.message || e));
+      }
+    } finally {
+      busy = false;
+      if (stopping) process.exit(0);
+    }
+  };
+  const requestReload = (reason) => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      reloadReason = reason;
+      if (!busy) runExclusive(async () => {});
+    }, RELOAD_DEBOUNCE_MS);
+  };
+  // reload triggers: the file changing (the directory is watched, since atomic saves replace the file), SIGHUP,
+  // and { type: 'reload' } from the server over IPC
+  try {
+    watch(dirname(configPath), (_, file) => { if (file === basename(configPath)) requestReload('file changed'); });
+  } catch (e) {
+    console.warn(`[reload] cannot watch ${configPath}: ${e?.message || e}; reload with SIGHUP instead`);
+  }
+  process.on('SIGHUP', () => requestReload('SIGHUP'));
+  // SIGINT/SIGTERM (Ctrl-C, the server's stop) let a running cycle finish and save its state first; a signal more
+  // than 2s after the first one exits right away
+  let stopSignalAt = 0;
+  const shutdown = (signal) => {
+    if (stopping) {
+      if (Date.now() - stopSignalAt > 2000) process.exit(1);
+      return;
+    }
+    stopping = true;
+    stopSignalAt = Date.now();
+    if (!busy) process.exit(0);
+    console.log(`[stop] ${signal}: exiting after the current cycle`);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  // names (and reverse names) are looked up again on their own timer; a name that moved swaps its wallet like a reload
+  setInterval(() => {
+    namesDue = true;
+    if (!busy) runExclusive(async () => {});
+  }, namesRefreshMs);
+  if (process.send) {
+    process.on('message', (msg) => {
+      if (msg?.type === 'reload') requestReload('server');
+      // the server's GET /metrics
+      if (msg?.type === 'metrics' && process.connected) process.send({ type: 'metrics', id: msg.id, text: renderMetrics() });
+    });
+  }
+  if (metricsOpt) serveMetrics(metricsOpt);
+
+  await runExclusive(() => runCycle(watched));
+  // skip a tick while the previous cycle is still running so state updates never interleave
+  setInterval(() => {
+    if (busy) return;
+    runExclusive(() => runCycle(watched)).catch(() => {});
+  }, intervalMs);
 }
 
 await main();
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { normalizeRules, evaluateRules, rejectedByDirection, holdReason } from '../src/rules.mjs';
+
+const ETH = 10n ** 18n;
+const holdings = (eth, usdt = 0n) => ({
+  'eth:native': { raw: eth, decimals: 18, symbol: 'ETH', priceSymbol: 'ETH' },
+  'eth:USDT': { raw: usdt, decimals: 6, symbol: 'USDT', priceSymbol: 'USDT' },
+  'polygon:native': { raw: 0n, decimals: 18, symbol: 'MATIC', priceSymbol: 'MATIC' }
+});
+const context = (prev, cur, deltaMicro = 0n) => ({
+  prevHoldings: prev, holdings: cur, erroredNets: new Set(), deltaMicro, totalUsdMicro: 0n, defaultUsdDelta: 0.1
+});
+
+test('a token rule matches the native coin by symbol, on every network or on one', () => {
+  const ctx = context(holdings(1n * ETH), holdings(2n * ETH));
+  for (const key of ['ETH', 'eth:ETH']) {
+    const reasons = evaluateRules(normalizeRules({ tokens: { [key]: 0.5 } }), ctx);
+    assert.deepEqual(reasons, [`${key} +1 ≥ 0.5`]);
+  }
+  assert.deepEqual(evaluateRules(normalizeRules({ tokens: { 'polygon:ETH': 0.5 } }), ctx), []);
+});
+
+test('a per-network token rule matches a token on that network only', () => {
+  const ctx = context(holdings(ETH, 0n), holdings(ETH, 2000_000000n));
+  assert.deepEqual(evaluateRules(normalizeRules({ tokens: { 'eth:USDT': 1000 } }), ctx), ['eth:USDT +2000 ≥ 1000']);
+  assert.deepEqual(evaluateRules(normalizeRules({ tokens: { 'polygon:USDT': 1000 } }), ctx), []);
+});
+
+test('rejectedByDirection: a change that only fails the direction filter', () => {
+  const rules = normalizeRules({ direction: 'in', tokens: { USDT: 100 } });
+  const out = context(holdings(ETH, 500_000000n), holdings(ETH, 0n));
+  const into = context(holdings(ETH, 0n), holdings(ETH, 500_000000n));
+  const small = context(holdings(ETH, 0n), holdings(ETH, 50_000000n));
+  assert.equal(rejectedByDirection(rules, out), true);
+  assert.equal(rejectedByDirection(rules, into), false); // fires
+  assert.equal(rejectedByDirection(rules, small), false); // below the threshold either way
+  assert.equal(rejectedByDirection(normalizeRules({ tokens: { USDT: 100 } }), out), false);
+});
+
+test('quiet hours that wrap past midnight hold alerts until the window ends', () => {
+  const rules = normalizeRules({ quietHours: { from: '22:00', to: '07:00', timezone: 'UTC' } });
+  const at = (hhmm) => holdReason(rules, { now: new Date(`2024-06-01T${hhmm}:00Z`) })?.reason ?? null;
+  assert.equal(at('22:00'), 'quiet-hours');
+  assert.equal(at('23:30'), 'quiet-hours');
+  assert.equal(at('03:00'), 'quiet-hours');
+  assert.equal(at('06:59'), 'quiet-hours');
+  assert.equal(at('07:00'), null);
+  assert.equal(at('12:00'), null);
+  assert.equal(at('21:59'), null);
+});
+
+test('a change blocked by direction moves the baseline, so a later deposit alerts', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'walletwatcher-'));
+  try {
+    const address = '0x7361E7BA0606496D400769C0A280eEF168E00191';
+    const usdt = (amount) => ({ wallets: { [address]: { eth: { native: '0', tokens: { USDT: { amount, decimals: 6 } } } } } });
+    await writeFile(join(dir, 'wallets.json'), JSON.stringify([{ user: 'alex', email: 'alex@example.com', rules: { direction: 'in', usdDelta: 100 }, wallets: [address] }]));
+    await writeFile(join(dir, 'scenario.json'), JSON.stringify({ cycles: [usdt('500'), usdt('0'), usdt('500')] }));
+    const watcher = new URL('../src/watch.mjs', import.meta.url).pathname;
+    await promisify(execFile)(process.execPath, [watcher, '--config=wallets.json', '--replay=scenario.json', '--outbox=outbox.ndjson'], { cwd: dir, timeout: 60000 });
+    const messages = (await readFile(join(dir, 'outbox.ndjson'), 'utf8')).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    // the withdrawal (cycle 2) is not alerted; the deposit back (cycle 3) is measured from it
+    assert.deepEqual(messages.map((m) => m.cycle), [3]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -1,25 +1,95 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useReducer, useState } from 'react'
 import { createRoot } from 'react-dom/client'
 
 // Small helpers
 const sleep = (ms) => new Promise(r => setTimeout(r, ms))
-const fetchJSON = async (url, opts) => {
+// Errors carry the HTTP status and the server's { error } message; a 401 means the session is gone
+const fetchChecked = async (url, opts) => {
   const res = await fetch(url, opts)
-  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`)
-  return res.json()
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}))
+    if (res.status === 401) window.dispatchEvent(new Event('ww-logout'))
+    const details = Array.isArray(body.details) ? `: ${body.details.map(d => `${d.path} ${d.message}`).join('; ')}` : ''
+    throw Object.assign(new Error((body.error || `${res.status} ${res.statusText}`) + details), { status: res.status })
+  }
+  return res
+}
+const fetchJSON = async (url, opts) => (await fetchChecked(url, opts)).json()
+const postJSON = (url, body, method = 'POST', headers = {}) => fetchJSON(url, { method, headers:{'Content-Type':'application/json', ...headers}, body: JSON.stringify(body ?? {}) })
+// wallets.json revision from an ETag like "rev-12"
+const revOf = (res) => Number((res.headers.get('ETag') || '').match(/rev-(\d+)/)?.[1]) || null
+
+const MAX_LOGS = 200
+const MAX_EVENTS = 100
+
+// Live state from the server's event stream (/api/events): the primary watcher's status, log lines (tagged with the
+// profile for other watcher profiles), typed watcher events and the latest wallet.snapshot per address
+function streamReducer(state, ev) {
+  switch (ev.type) {
+    case '_open': return { ...state, connected: true }
+    case '_error': return { ...state, connected: false }
+    case 'status': return ev.primary === false ? state : { ...state, status: { running: !!ev.running } }
+    case 'log': return { ...state, logs: [...state.logs, (ev.primary === false ? `[${ev.watcher}] ` : '') + (ev.stream === 'stderr' ? '[err] ' : '') + ev.line].slice(-MAX_LOGS) }
+    case 'wallet.snapshot': return { ...state, snapshots: { ...state.snapshots, [ev.address]: ev }, events: [ev, ...state.events].slice(0, MAX_EVENTS) }
+    default: return { ...state, events: [ev, ...state.events].slice(0, MAX_EVENTS) }
+  }
 }
 
-function usePolling(fn, deps, intervalMs = 2000) {
+function useEventStream() {
+  const [state, dispatch] = useReducer(streamReducer, { connected: false, status: { running: false }, logs: [], events: [], snapshots: {} })
   useEffect(() => {
-    let stop = false
-    let t
-    const tick = async () => {
-      try { await fn() } finally { if (!stop) t = setTimeout(tick, intervalMs) }
-    }
-    tick()
-    return () => { stop = true; clearTimeout(t) }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, deps)
+    // EventSource reconnects on its own and resumes from the last event id it saw
+    const es = new EventSource('/api/events')
+    es.onopen = () => dispatch({ type: '_open' })
+    es.onerror = () => dispatch({ type: '_error' })
+    es.onmessage = (m) => { try { dispatch(JSON.parse(m.data)) } catch { /* ignore malformed frame */ } }
+    return () => es.close()
+  }, [])
+  return state
+}
+
+const EVENT_COLORS = { 'wallet.name_changed': '#b45309', 'alert.sent': '#065f46', 'alert.failed': '#b91c1c', 'wallet.error': '#b91c1c', 'rpc.failure': '#b45309', 'alert.suppressed': '#6b7280' }
+
+function describeEvent(ev) {
+  switch (ev.type) {
+    case 'cycle.start': return `${ev.wallets} wallet(s)`
+    case 'cycle.end': return `${ev.wallets} wallet(s), ${ev.changes} change(s), ${ev.errors} error(s) in ${ev.durationMs} ms`
+    case 'wallet.snapshot': return `${[ev.user, ev.label].filter(Boolean).join(' / ') || ev.address} ${ev.totalUsd == null ? 'unread: every network failed' : `≈ $${Number(ev.totalUsd).toFixed(2)}${ev.partial ? ' (some networks failed)' : ''}`}`
+    case 'wallet.error': return `${ev.address}: ${ev.error}`
+    case 'wallet.name_changed': return `${ev.name} now resolves to ${ev.to} (was ${ev.from})`
+    case 'alert.sent': return `${ev.kind} → ${ev.channel} (${ev.wallets.length} wallet(s))`
+    case 'alert.failed': return `${ev.kind} → ${ev.channel}: ${ev.error}`
+    case 'alert.suppressed': return `${[ev.user, ev.label].filter(Boolean).join(' / ') || ev.address}: ${ev.message}`
+    case 'config.changed': return `revision ${ev.rev} by ${ev.author} (${ev.action}, ${ev.changes} change(s))`
+    case 'config.reloaded': return `watcher reloaded (${ev.reason}): +${ev.added.length} / -${ev.removed.length} / ${ev.updated.length} updated, ${ev.wallets} wallet(s)`
+    case 'rpc.failure': return `${ev.net} ${ev.url}: ${ev.error}${ev.openUntil ? ` (circuit open until ${new Date(ev.openUntil).toLocaleTimeString()})` : ''}`
+    default: return JSON.stringify(ev)
+  }
+}
+
+function EventsPanel({ events }) {
+  const [hideSnapshots, setHideSnapshots] = useState(true)
+  const shown = hideSnapshots ? events.filter(ev => ev.type !== 'wallet.snapshot') : events
+  return (
+    <div className="card">
+      <div className="row" style={{justifyContent:'space-between'}}>
+        <h2 style={{margin:0}}>Live events</h2>
+        <label className="row" style={{gap:6}}>
+          <input type="checkbox" checked={hideSnapshots} onChange={e => setHideSnapshots(e.target.checked)} /> hide wallet snapshots
+        </label>
+      </div>
+      {shown.length === 0 && <div className="muted" style={{marginTop:8}}>No events yet.</div>}
+      <div style={{maxHeight:280, overflow:'auto', marginTop:8, fontSize:13}}>
+        {shown.map(ev => (
+          <div key={ev.id} className="row" style={{gap:8, padding:'3px 0', borderBottom:'1px solid #f3f4f6'}}>
+            <span className="muted" style={{fontSize:12, minWidth:70}}>{new Date(ev.t).toLocaleTimeString()}</span>
+            <code style={{minWidth:120, color: EVENT_COLORS[ev.type] || '#374151'}}>{ev.type}</code>
+            <span>{describeEvent(ev)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
 }
 
 function Badge({ ok, children }) {
@@ -31,43 +101,524 @@ function Badge({ ok, children }) {
   )
 }
 
-function App() {
+// Wallet entries from wallets.json: strings "[chain:]address [label] [email]" or { address, label }
+function walletsFromConfig(cfg) {
+  const out = []
+  for (const u of Array.isArray(cfg) ? cfg : []) {
+    for (const w of Array.isArray(u?.wallets) ? u.wallets : []) {
+      if (typeof w === 'string') {
+        const parts = w.trim().split(/\s+/).filter(Boolean)
+        const tok = parts.find(t => /^(evm|sol|tron|btc):/i.test(t) || /^0x[0-9a-fA-F]{40}$/.test(t) || /^[1-9A-HJ-NP-Za-km-z]{25,48}$/.test(t))
+        if (!tok) continue
+        const label = parts.filter(t => t !== tok && !t.includes('@')).join(' ')
+        out.push({ user: u.user, address: tok.replace(/^(evm|sol|tron|btc):/i, ''), label })
+      } else if (w && typeof w.address === 'string') {
+        out.push({ user: u.user, address: w.address, label: w.label })
+      }
+    }
+  }
+  return out
+}
+
+const HISTORY_RANGES = { '24h': { ms: 86400000, resolution: '15m' }, '7d': { ms: 7 * 86400000, resolution: '1h' }, '30d': { ms: 30 * 86400000, resolution: '6h' } }
+
+function HistoryChart({ address, range, live }) {
+  const [points, setPoints] = useState(null)
+  const [error, setError] = useState('')
+  const [picked, setPicked] = useState(null)
+  useEffect(() => {
+    let cancelled = false
+    const { ms, resolution } = HISTORY_RANGES[range]
+    setPoints(null); setPicked(null)
+    fetchJSON(`/api/wallets/${encodeURIComponent(address)}/history?from=${Date.now() - ms}&resolution=${resolution}`)
+      .then(r => { if (!cancelled) { setPoints(r.points || []); setError('') } })
+      .catch(e => { if (!cancelled) setError(String(e.message || e)) })
+    return () => { cancelled = true }
+  }, [address, range])
+  // snapshots streamed since the history was loaded extend the chart
+  useEffect(() => {
+    if (!live || live.totalUsd == null) return
+    const t = Date.parse(live.t)
+    setPoints(ps => (ps && (!ps.length || ps[ps.length - 1].t < t) ? [...ps, { t, totalUsd: live.totalUsd, networks: live.networks }] : ps))
+  }, [live])
+
+  if (error) return <div className="muted">History unavailable: {error}</div>
+  if (!points) return <div className="muted">Loading…</div>
+  if (points.length < 2) return <div className="muted">Not enough history yet.</div>
+
+  const W = 600, H = 120, P = 6
+  const ys = points.map(p => Number(p.totalUsd))
+  const x0 = points[0].t, x1 = points[points.length - 1].t
+  const y0 = Math.min(...ys), y1 = Math.max(...ys)
+  const sx = t => P + (x1 === x0 ? 0 : (t - x0) / (x1 - x0)) * (W - 2 * P)
+  const sy = v => H - P - (y1 === y0 ? 0.5 : (v - y0) / (y1 - y0)) * (H - 2 * P)
+  const path = points.map((p, i) => `${i ? 'L' : 'M'}${sx(p.t).toFixed(1)},${sy(Number(p.totalUsd)).toFixed(1)}`).join(' ')
+  const shown = picked || points[points.length - 1]
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} width="100%" height={H} preserveAspectRatio="none" style={{background:'#f9fafb', borderRadius:8, cursor:'pointer'}}>
+        <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        {points.map(p => (
+          <rect key={p.t} x={sx(p.t) - 4} y={0} width={8} height={H} fill={picked === p ? 'rgba(37,99,235,0.15)' : 'transparent'} onClick={() => setPicked(p)}>
+            <title>{`${new Date(p.t).toLocaleString()} — $${p.totalUsd}`}</title>
+          </rect>
+        ))}
+      </svg>
+      <div className="muted" style={{fontSize:12, margin:'4px 0'}}>
+        min ${y0.toFixed(2)} · max ${y1.toFixed(2)} · {picked ? 'selected' : 'latest'} ${Number(shown.totalUsd).toFixed(2)} at {new Date(shown.t).toLocaleString()}
+      </div>
+      <div style={{fontSize:12}}>
+        {Object.entries(shown.networks || {}).map(([net, n]) => (
+          <div key={net}>
+            <b>{net}</b>: {n.error ? <span style={{color:'#b91c1c'}}>error {n.error}</span> : [`native ${n.native}`, ...Object.entries(n.tokens || {}).map(([sym, v]) => `${sym} ${v}`)].join(' · ')}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function HistoryPanel({ cfg, snapshots }) {
+  const [range, setRange] = useState('7d')
+  const wallets = useMemo(() => walletsFromConfig(cfg), [cfg])
+  return (
+    <div className="card">
+      <div className="row" style={{justifyContent:'space-between'}}>
+        <h2 style={{margin:0}}>Balance history</h2>
+        <div className="row" style={{gap:6}}>
+          {Object.keys(HISTORY_RANGES).map(r => (
+            <button key={r} className={`btn ${r === range ? 'primary' : 'secondary'}`} onClick={() => setRange(r)}>{r}</button>
+          ))}
+        </div>
+      </div>
+      <div className="muted" style={{margin:'6px 0 12px'}}>Total USD per cycle; click the chart to see what the wallet held at that time.</div>
+      {wallets.length === 0 && <div className="muted">No wallets configured.</div>}
+      {wallets.map(w => (
+        <div key={w.address} style={{marginBottom:16}}>
+          <div style={{fontWeight:600, marginBottom:4}}>{[w.user, w.label].filter(Boolean).join(' / ') || 'wallet'} <span className="muted" style={{fontWeight:400}}>{w.address}</span></div>
+          <HistoryChart address={w.address} range={range} live={snapshots[w.address]} />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function Login({ onLogin }) {
+  const [form, setForm] = useState({ username:'', password:'' })
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+  async function submit(e) {
+    e.preventDefault()
+    setBusy(true); setErr('')
+    try { onLogin(await postJSON('/api/auth/login', form)) } catch (e) { setErr(String(e.message || e)) } finally { setBusy(false) }
+  }
+  return (
+    <form onSubmit={submit} style={{ maxWidth:320, margin:'80px auto', fontFamily:'system-ui, -apple-system, Segoe UI, Roboto, sans-serif', display:'flex', flexDirection:'column', gap:10 }}>
+      <h1 style={{margin:'0 0 8px'}}>Wallet Watcher</h1>
+      <input autoFocus autoComplete="username" placeholder="username" value={form.username} onChange={e=>setForm(f=>({ ...f, username: e.target.value }))} style={{padding:'8px 10px', borderRadius:8, border:'1px solid #d1d5db'}} />
+      <input type="password" autoComplete="current-password" placeholder="password" value={form.password} onChange={e=>setForm(f=>({ ...f, password: e.target.value }))} style={{padding:'8px 10px', borderRadius:8, border:'1px solid #d1d5db'}} />
+      <button disabled={busy || !form.username || !form.password} style={{padding:'8px 12px', borderRadius:8, border:'none', background:'#2563eb', color:'#fff', fontWeight:600}}>Log in</button>
+      {err && <div style={{color:'#7f1d1d'}}>{err}</div>}
+    </form>
+  )
+}
+
+// Own API tokens and password; admins also manage accounts
+function AccountPanel({ me }) {
+  const [tokens, setTokens] = useState([])
+  const [users, setUsers] = useState([])
+  const [created, setCreated] = useState(null)
+  const [tokenName, setTokenName] = useState('')
+  const [pw, setPw] = useState({ current:'', next:'' })
+  const [account, setAccount] = useState({ username:'', password:'', role:'viewer' })
+  const [msg, setMsg] = useState('')
+  const isAdmin = me.role === 'admin'
+  async function load() {
+    try {
+      setTokens(await fetchJSON('/api/auth/tokens'))
+      if (isAdmin) setUsers(await fetchJSON('/api/auth/users'))
+    } catch (e) { setMsg(String(e.message || e)) }
+  }
+  useEffect(() => { load() }, [])
+  const run = async (fn, ok) => {
+    setMsg('')
+    try { await fn(); if (ok) setMsg(ok); await load() } catch (e) { setMsg(String(e.message || e)) }
+  }
+  return (
+    <div className="card">
+      <h2 style={{marginTop:0}}>Account</h2>
+      <div className="muted" style={{marginBottom:8}}>API tokens authenticate scripts with <code>Authorization: Bearer &lt;token&gt;</code> and act as {me.username}.</div>
+      {tokens.map(t => (
+        <div key={t.id} className="row" style={{gap:8, fontSize:13}}>
+          <code>{t.id}</code><span>{t.name}</span>
+          <span className="muted">created {new Date(t.createdAt).toLocaleString()}{t.lastUsedAt ? `, used ${new Date(t.lastUsedAt).toLocaleString()}` : ''}</span>
+          <button className="btn secondary" onClick={() => run(() => fetchJSON(`/api/auth/tokens/${t.id}`, { method:'DELETE' }))}>Revoke</button>
+        </div>
+      ))}
+      <div className="row" style={{gap:8, marginTop:8}}>
+        <input placeholder="token name" value={tokenName} onChange={e=>setTokenName(e.target.value)} />
+        <button className="btn secondary" onClick={() => run(async () => { setCreated(await postJSON('/api/auth/tokens', { name: tokenName })); setTokenName('') })}>Create token</button>
+      </div>
+      {created && <div style={{marginTop:8, fontSize:13}}>New token (shown once): <code>{created.token}</code></div>}
+      <div className="row" style={{gap:8, marginTop:12}}>
+        <input type="password" autoComplete="current-password" placeholder="current password" value={pw.current} onChange={e=>setPw(p=>({ ...p, current: e.target.value }))} />
+        <input type="password" autoComplete="new-password" placeholder="new password (8+ chars)" value={pw.next} onChange={e=>setPw(p=>({ ...p, next: e.target.value }))} />
+        <button className="btn secondary" disabled={!pw.current || !pw.next} onClick={() => run(() => postJSON('/api/auth/password', pw), 'Password changed; log in again')}>Change password</button>
+      </div>
+      {isAdmin && (
+        <>
+          <h3>Accounts</h3>
+          <div className="muted" style={{marginBottom:6}}>A viewer sees and edits only the wallets.json user with the same name.</div>
+          {users.map(u => (
+            <div key={u.username} className="row" style={{gap:8, fontSize:13}}>
+              <b>{u.username}</b><span className="muted">{u.role}, {u.tokens} token(s)</span>
+              {u.username !== me.username && <button className="btn secondary" onClick={() => run(() => fetchJSON(`/api/auth/users/${encodeURIComponent(u.username)}`, { method:'DELETE' }))}>Delete</button>}
+            </div>
+          ))}
+          <div className="row" style={{gap:8, marginTop:8}}>
+            <input placeholder="username" value={account.username} onChange={e=>setAccount(a=>({ ...a, username: e.target.value }))} />
+            <input type="password" autoComplete="new-password" placeholder="password" value={account.password} onChange={e=>setAccount(a=>({ ...a, password: e.target.value }))} />
+            <select value={account.role} onChange={e=>setAccount(a=>({ ...a, role: e.target.value }))}>
+              <option value="viewer">viewer</option>
+              <option value="admin">admin</option>
+            </select>
+            <button className="btn secondary" disabled={!account.username} onClick={() => run(async () => { await postJSON('/api/auth/users', account); setAccount({ username:'', password:'', role:'viewer' }) }, 'Account saved')}>Save account</button>
+          </div>
+        </>
+      )}
+      {msg && <div className="muted" style={{marginTop:8}}>{msg}</div>}
+    </div>
+  )
+}
+
+const CHAINS = { evm: 'EVM', sol: 'Solana', tron: 'Tron', btc: 'Bitcoin' }
+const ADDRESS_HINTS = { evm: '0x… or name.eth', sol: 'Solana address or name.sol', tron: 'T…', btc: 'bc1…, 1… or 3…' }
+// A wallet object as wallets.json keeps it: empty label/email and the default evm chain are left out
+const tidyWallet = (w) => Object.fromEntries(Object.entries(w).filter(([k, v]) => !(k === 'chain' && v === 'evm') && !((k === 'label' || k === 'email') && !v)))
+// Validation errors for one user ([i] and its own fields) or one wallet ([i].wallets[j] and its fields)
+const errorsAt = (errors, path, { own = false } = {}) => errors.filter(e => (e.path === path || e.path.startsWith(`${path}.`)) && !(own && e.path.startsWith(`${path}.wallets[`)))
+const Problems = ({ list }) => list.map(e => <div key={e.path + e.message} style={{color:'#b91c1c', fontSize:12}}>{e.message}</div>)
+
+// wallets.json as a form: users with their wallets (chain, address, label, email), checked by the server as you type
+// (POST /api/wallets/validate), EVM addresses checksummed when the field loses focus. Fields the form doesn't show
+// (tokens, channels, digest, rules) are kept as they are; the raw JSON mode edits everything.
+function ConfigEditor({ cfg, isAdmin, me, loading, newerCfg, onSave, onReload }) {
+  const [mode, setMode] = useState('form')
+  const [draft, setDraft] = useState(null)
+  const [text, setText] = useState('[]')
+  const [check, setCheck] = useState({ errors: [], wallets: {} })
+  const [modeErr, setModeErr] = useState('')
+  const textError = useMemo(() => {
+    try { return Array.isArray(JSON.parse(text)) ? '' : 'Root must be an array of users' } catch (e) { return e.message }
+  }, [text])
+
+  // a loaded (or saved) config replaces the draft, with every wallet in object form
+  useEffect(() => {
+    let cancelled = false
+    setText(JSON.stringify(cfg, null, 2))
+    postJSON('/api/wallets/validate', cfg).then(r => { if (!cancelled) { setDraft(r.config); setCheck(r) } }).catch(() => { if (!cancelled) setDraft(cfg) })
+    return () => { cancelled = true }
+  }, [cfg])
+  // every edit is checked once typing pauses
+  useEffect(() => {
+    if (!draft || mode !== 'form') return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      postJSON('/api/wallets/validate', draft).then(r => { if (!cancelled) setCheck(r) }).catch(() => {})
+    }, 400)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [draft, mode])
+
+  const users = draft || []
+  const setUser = (i, patch) => setDraft(d => d.map((u, k) => (k === i ? { ...u, ...patch } : u)))
+  const setWallets = (i, fn) => setDraft(d => d.map((u, k) => (k === i ? { ...u, wallets: fn(u.wallets || []) } : u)))
+  const setWallet = (i, j, patch) => setWallets(i, ws => ws.map((w, l) => (l === j ? tidyWallet({ ...w, ...patch }) : w)))
+  const addUser = () => setDraft(d => [...d, { user: isAdmin ? '' : me.username, wallets: [] }])
+  const removeUser = (i) => {
+    const u = users[i]
+    if (window.confirm(`Delete user "${u.user || '(unnamed)'}" and ${u.wallets?.length || 0} wallet(s)?`)) setDraft(d => d.filter((_, k) => k !== i))
+  }
+  // to the end of another user's wallets
+  const moveWallet = (i, j, to) => setDraft(d => {
+    if (Number.isNaN(to) || to === i) return d
+    const w = d[i].wallets[j]
+    return d.map((u, k) => (k === i ? { ...u, wallets: u.wallets.filter((_, l) => l !== j) } : k === to ? { ...u, wallets: [...(u.wallets || []), w] } : u))
+  })
+  // one place up or down within the same user
+  const swapWallet = (i, j, by) => setWallets(i, ws => {
+    if (j + by < 0 || j + by >= ws.length) return ws
+    const next = [...ws]
+    ;[next[j], next[j + by]] = [next[j + by], next[j]]
+    return next
+  })
+  // the address as the watcher reads it replaces what was typed (EVM checksum); names are kept as typed
+  const applyChecksum = (i, j) => {
+    const info = check.wallets[`[${i}].wallets[${j}]`]
+    const w = users[i]?.wallets?.[j]
+    if (info && !info.name && w && info.address !== w.address && info.address.toLowerCase() === String(w.address).trim().toLowerCase()) setWallet(i, j, { address: info.address })
+  }
+
+  async function switchMode() {
+    setModeErr('')
+    if (mode === 'form') {
+      setText(JSON.stringify(draft, null, 2))
+      setMode('raw')
+      return
+    }
+    if (textError) return setModeErr(`Fix the JSON first: ${textError}`)
+    try {
+      const r = await postJSON('/api/wallets/validate', JSON.parse(text))
+      setDraft(r.config); setCheck(r); setMode('form')
+    } catch (e) { setModeErr(String(e.message || e)) }
+  }
+  const save = () => onSave(mode === 'form' ? draft : JSON.parse(text))
+  const canSave = !loading && draft && (mode === 'form' ? check.errors.length === 0 : !textError)
+
+  return (
+    <div className="card" style={{flex:'1 1 100%'}}>
+      <div className="row" style={{justifyContent:'space-between'}}>
+        <h2 style={{margin:0}}>Config (wallets.json)</h2>
+        <label className="row" style={{gap:6}}>
+          <input type="checkbox" checked={mode === 'raw'} onChange={switchMode} /> raw JSON (advanced)
+        </label>
+      </div>
+      {newerCfg && <div style={{margin:'8px 0',color:'#92400e',background:'#fffbeb',border:'1px solid #fde68a',borderRadius:8,padding:'8px 10px'}}>{newerCfg.author} saved revision {newerCfg.rev} after you loaded this config; saving now would be refused. Reload first.</div>}
+      {modeErr && <div style={{margin:'8px 0',color:'#7f1d1d'}}>{modeErr}</div>}
+      {mode === 'raw' ? (
+        <>
+          <div className="muted" style={{margin:'6px 0'}}>Everything, including tokens, channels, digest and rules. Addresses can be prefixed with <code>sol:</code>, <code>tron:</code> or <code>btc:</code>.</div>
+          <textarea value={text} onChange={e=>setText(e.target.value)} spellCheck={false} style={{width:'100%', boxSizing:'border-box'}} />
+          {textError
+            ? <div style={{marginTop:8,color:'#7f1d1d',background:'#fef2f2',border:'1px solid #fecaca',borderRadius:8,padding:'8px 10px'}}>JSON error: {textError}</div>
+            : <div className="muted" style={{marginTop:6}}>{JSON.parse(text).length} user(s)</div>}
+        </>
+      ) : !draft ? <div className="muted" style={{marginTop:8}}>Loading…</div> : (
+        <div className="col" style={{gap:14, marginTop:10}}>
+          {users.length === 0 && <div className="muted">No users yet.</div>}
+          {users.map((u, i) => (
+            <div key={i} style={{border:'1px solid #e5e7eb', borderRadius:8, padding:10}}>
+              <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+                <input placeholder="user name" value={u.user ?? ''} disabled={!isAdmin} onChange={e=>setUser(i, { user: e.target.value })} style={{fontWeight:600}} />
+                <input placeholder="email for all wallets (optional)" value={u.email ?? ''} onChange={e=>setUser(i, e.target.value ? { email: e.target.value } : { email: undefined })} style={{minWidth:220}} />
+                <span className="muted">{u.wallets?.length || 0} wallet(s)</span>
+                {isAdmin && <button className="btn secondary" onClick={() => removeUser(i)}>Delete user</button>}
+              </div>
+              <Problems list={errorsAt(check.errors, `[${i}]`, { own: true })} />
+              {(u.wallets || []).map((w, j) => {
+                const path = `[${i}].wallets[${j}]`
+                const info = check.wallets[path]
+                const problems = errorsAt(check.errors, path)
+                const chain = w.chain || info?.chain || 'evm'
+                return (
+                  <div key={j} style={{padding:'8px 0 4px', borderTop:'1px solid #f3f4f6', marginTop:8}}>
+                    <div className="row" style={{gap:6, flexWrap:'wrap'}}>
+                      <select value={chain} onChange={e=>setWallet(i, j, { chain: e.target.value })}>
+                        {Object.entries(CHAINS).map(([k, name]) => <option key={k} value={k}>{name}</option>)}
+                      </select>
+                      <input placeholder={ADDRESS_HINTS[chain]} value={w.address ?? ''} onChange={e=>setWallet(i, j, { address: e.target.value.trim() })} onBlur={() => applyChecksum(i, j)}
+                        style={{minWidth:300, fontFamily:'ui-monospace, monospace', fontSize:13, borderColor: problems.length ? '#f87171' : info ? '#34d399' : undefined}} />
+                      <input placeholder="label" value={w.label ?? ''} onChange={e=>setWallet(i, j, { label: e.target.value })} style={{width:130}} />
+                      <input placeholder={u.email ? `email (default ${u.email})` : 'email (optional)'} value={w.email ?? ''} onChange={e=>setWallet(i, j, { email: e.target.value })} style={{width:200}} />
+                      <button className="btn secondary" title="Move up" disabled={j === 0} onClick={() => swapWallet(i, j, -1)}>↑</button>
+                      <button className="btn secondary" title="Move down" disabled={j === u.wallets.length - 1} onClick={() => swapWallet(i, j, 1)}>↓</button>
+                      {users.length > 1 && (
+                        <select value="" title="Move to another user" onChange={e=>moveWallet(i, j, Number(e.target.value))}>
+                          <option value="">move to…</option>
+                          {users.map((o, k) => k !== i && <option key={k} value={k}>{o.user || '(unnamed)'}</option>)}
+                        </select>
+                      )}
+                      <button className="btn secondary" title="Delete wallet" onClick={() => setWallets(i, ws => ws.filter((_, l) => l !== j))}>✕</button>
+                    </div>
+                    {info && !problems.length && (
+                      <div style={{color:'#065f46', fontSize:12, marginTop:2}}>
+                        ✓ {CHAINS[info.chain]} {info.name ? 'name, resolved by the watcher' : 'address'}
+                        {!info.name && info.address !== w.address && <> · checksummed: <code>{info.address}</code></>}
+                      </div>
+                    )}
+                    <Problems list={problems} />
+                  </div>
+                )
+              })}
+              <button className="btn secondary" style={{marginTop:8}} onClick={() => setWallets(i, ws => [...ws, { address: '' }])}>+ Add wallet</button>
+            </div>
+          ))}
+          {(isAdmin || users.length === 0) && <div><button className="btn secondary" onClick={addUser}>+ Add user</button></div>}
+        </div>
+      )}
+      <div className="spacer"/>
+      <div className="row">
+        <button className="btn primary" disabled={!canSave} onClick={save}>Save config</button>
+        {mode === 'raw' && <button className="btn secondary" disabled={loading || !!textError} onClick={()=>setText(JSON.stringify(JSON.parse(text), null, 2))}>Reformat</button>}
+        <button className="btn secondary" disabled={loading} onClick={onReload}>Reload</button>
+        {mode === 'form' && check.errors.length > 0 && <span style={{color:'#b91c1c'}}>{check.errors.length} problem(s) to fix before saving</span>}
+      </div>
+    </div>
+  )
+}
+
+const ago = (iso) => {
+  const s = Math.round((Date.now() - Date.parse(iso)) / 1000)
+  return s < 60 ? `${s}s ago` : s < 3600 ? `${Math.round(s / 60)}m ago` : s < 86400 ? `${Math.round(s / 3600)}h ago` : new Date(iso).toLocaleString()
+}
+const BALANCE_SORTS = {
+  user: w => w.user || '',
+  label: w => w.label || w.name || '',
+  chain: w => w.chain,
+  totalUsd: w => (w.totalUsd == null ? -1 : Number(w.totalUsd)),
+  updatedAt: w => (w.updatedAt ? Date.parse(w.updatedAt) : 0)
+}
+
+// Latest balances per wallet (GET /api/balances), kept current by the watchers' wallet.snapshot events
+function BalancesPanel({ snapshots }) {
+  const [wallets, setWallets] = useState(null)
+  const [error, setError] = useState('')
+  const [filter, setFilter] = useState({ user: '', chain: '', label: '' })
+  const [sort, setSort] = useState({ key: 'totalUsd', desc: true })
+  const [open, setOpen] = useState({})
+  const load = () => fetchJSON('/api/balances').then(r => { setWallets(r.wallets); setError('') }).catch(e => setError(String(e.message || e)))
+  useEffect(() => { load() }, [])
+
+  const rows = useMemo(() => {
+    const merged = (wallets || []).map(w => {
+      const ev = snapshots[w.address]
+      return ev && (!w.updatedAt || Date.parse(ev.t) > Date.parse(w.updatedAt)) ? { ...w, updatedAt: ev.t, totalUsd: ev.totalUsd, partial: !!ev.partial, networks: ev.networks } : w
+    })
+    const label = filter.label.trim().toLowerCase()
+    const shown = merged.filter(w => (!filter.user || w.user === filter.user) && (!filter.chain || w.chain === filter.chain)
+      && (!label || [w.label, w.name, w.address].some(v => v && v.toLowerCase().includes(label))))
+    const by = BALANCE_SORTS[sort.key]
+    return shown.sort((a, b) => { const x = by(a), y = by(b); return (x < y ? -1 : x > y ? 1 : 0) * (sort.desc ? -1 : 1) })
+  }, [wallets, snapshots, filter, sort])
+
+  if (error) return <div className="card"><h2 style={{marginTop:0}}>Balances</h2><div className="muted">Balances unavailable: {error}</div></div>
+  const users = [...new Set((wallets || []).map(w => w.user).filter(Boolean))].sort()
+  const chains = [...new Set((wallets || []).map(w => w.chain))].sort()
+  const total = rows.reduce((acc, w) => acc + Number(w.totalUsd || 0), 0)
+  // wallets with failed networks only add what could be read, so the total is a lower bound
+  const incomplete = rows.filter(w => w.partial).length
+  const header = (key, title, align) => (
+    <th style={{textAlign: align || 'left', cursor:'pointer', padding:'6px 8px', whiteSpace:'nowrap'}} onClick={() => setSort(s => ({ key, desc: s.key === key ? !s.desc : key === 'totalUsd' || key === 'updatedAt' }))}>
+      {title}{sort.key === key ? (sort.desc ? ' ▼' : ' ▲') : ''}
+    </th>
+  )
+  const cell = { padding:'6px 8px', borderTop:'1px solid #f3f4f6', verticalAlign:'top' }
+  return (
+    <div className="card">
+      <div className="row" style={{justifyContent:'space-between', flexWrap:'wrap'}}>
+        <h2 style={{margin:0}}>Balances</h2>
+        <div className="row" style={{gap:8, flexWrap:'wrap'}}>
+          <select value={filter.user} onChange={e=>setFilter(f=>({ ...f, user: e.target.value }))}>
+            <option value="">all users</option>
+            {users.map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+          <select value={filter.chain} onChange={e=>setFilter(f=>({ ...f, chain: e.target.value }))}>
+            <option value="">all chains</option>
+            {chains.map(c => <option key={c} value={c}>{CHAINS[c] || c}</option>)}
+          </select>
+          <input placeholder="label or address" value={filter.label} onChange={e=>setFilter(f=>({ ...f, label: e.target.value }))} />
+          <button className="btn secondary" onClick={load}>Refresh</button>
+        </div>
+      </div>
+      {!wallets ? <div className="muted" style={{marginTop:8}}>Loading…</div> : (
+        <table style={{width:'100%', borderCollapse:'collapse', marginTop:10, fontSize:14}}>
+          <thead>
+            <tr className="muted">{header('user', 'User')}{header('label', 'Wallet')}{header('chain', 'Chain')}{header('totalUsd', 'USD', 'right')}<th style={{textAlign:'left', padding:'6px 8px'}}>Networks</th>{header('updatedAt', 'Updated')}</tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && <tr><td colSpan={6} className="muted" style={cell}>No wallets match.</td></tr>}
+            {rows.map(w => {
+              const key = `${w.user}:${w.chain}:${w.address}`
+              const nets = Object.entries(w.networks || {})
+              const errors = nets.filter(([, n]) => n.error).length
+              const held = nets.filter(([, n]) => !n.error && (Number(n.native) > 0 || Object.values(n.tokens || {}).some(v => Number(v) > 0)))
+              return (
+                <React.Fragment key={key}>
+                  <tr style={{cursor: nets.length ? 'pointer' : 'default'}} onClick={() => nets.length && setOpen(o => ({ ...o, [key]: !o[key] }))}>
+                    <td style={cell}>{w.user || <span className="muted">—</span>}</td>
+                    <td style={cell}>
+                      {nets.length > 0 && <span className="muted">{open[key] ? '▾ ' : '▸ '}</span>}
+                      {w.label || w.name || <span className="muted">wallet</span>}
+                      <div className="muted" style={{fontSize:12, fontFamily:'ui-monospace, monospace'}}>{w.name && w.name !== w.label ? `${w.name} · ` : ''}{w.address}</div>
+                    </td>
+                    <td style={cell}>{CHAINS[w.chain] || w.chain}</td>
+                    <td style={{...cell, textAlign:'right', fontVariantNumeric:'tabular-nums'}}>{w.totalUsd == null
+                      ? <span className={w.partial ? undefined : 'muted'} style={w.partial ? {color:'#b91c1c'} : undefined} title={w.partial ? 'no network could be read' : ''}>—</span>
+                      : w.partial
+                        ? <span style={{color:'#b91c1c'}} title={`${errors} network(s) failed; the total covers the rest`}>≥ ${Number(w.totalUsd).toFixed(2)}</span>
+                        : `$${Number(w.totalUsd).toFixed(2)}`}</td>
+                    <td style={cell}>
+                      {held.length} with balance{errors > 0 && <span style={{color:'#b91c1c'}}> · {errors} error(s)</span>}
+                    </td>
+                    <td style={{...cell, whiteSpace:'nowrap'}} title={w.updatedAt ? new Date(w.updatedAt).toLocaleString() : ''}>{w.updatedAt ? ago(w.updatedAt) : <span className="muted">not read yet</span>}</td>
+                  </tr>
+                  {open[key] && (
+                    <tr>
+                      <td colSpan={6} style={{...cell, borderTop:'none', background:'#f9fafb'}}>
+                        <table style={{width:'100%', borderCollapse:'collapse', fontSize:13}}>
+                          <tbody>
+                            {nets.map(([net, n]) => (
+                              <tr key={net}>
+                                <td style={{padding:'3px 8px', fontWeight:600, width:120}}>{net}</td>
+                                {n.error
+                                  ? <td colSpan={2} style={{padding:'3px 8px', color:'#b91c1c'}}>error: {n.error}</td>
+                                  : <>
+                                      <td style={{padding:'3px 8px'}}>{[`${n.native}${n.symbol ? ` ${n.symbol}` : ''}`, ...Object.entries(n.tokens || {}).map(([sym, v]) => `${v} ${sym}`)].join(' · ')}</td>
+                                      <td style={{padding:'3px 8px', textAlign:'right', fontVariantNumeric:'tabular-nums'}}>{n.usd != null ? `$${Number(n.usd).toFixed(2)}` : ''}</td>
+                                    </>}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              )
+            })}
+          </tbody>
+          {rows.length > 1 && (
+            <tfoot>
+              <tr><td colSpan={3} style={{...cell, fontWeight:600}}>{rows.length} wallet(s)</td><td style={{...cell, textAlign:'right', fontWeight:600}} title={incomplete ? 'some wallets have networks that failed' : ''}>{incomplete > 0 ? '≥ ' : ''}${total.toFixed(2)}</td><td colSpan={2} style={cell}>{incomplete > 0 && <span style={{color:'#b91c1c'}}>{incomplete} wallet(s) incomplete</span>}</td></tr>
+            </tfoot>
+          )}
+        </table>
+      )}
+    </div>
+  )
+}
+
+function App({ me, onLogout }) {
+  const isAdmin = me.role === 'admin'
   const [cfg, setCfg] = useState([])
-  const [status, setStatus] = useState({ running: false })
+  const [cfgRev, setCfgRev] = useState(null)
+  const { connected, status, logs, events, snapshots } = useEventStream()
+  // someone else saved wallets.json since it was loaded here
+  const newerCfg = events.find(ev => ev.type === 'config.changed' && cfgRev != null && ev.rev > cfgRev && ev.author !== me.username)
   const [loading, setLoading] = useState(false)
   const [msg, setMsg] = useState('')
   const [err, setErr] = useState('')
 
-  const [form, setForm] = useState({ only: '', interval: 30000, usdDelta: 0.1, concurrency: 50 })
-  const [quick, setQuick] = useState({ address:'', label:'', email:'' })
-  const [cfgText, setCfgText] = useState('[]')
-  const cfgError = useMemo(() => {
-    try { JSON.parse(cfgText); return '' } catch (e) { return e.message }
-  }, [cfgText])
+  const [form, setForm] = useState({ networks: '', only: '', interval: 30000, usdDelta: 0.1, concurrency: 50 })
 
   async function loadAll() {
     try {
-      const [c, s] = await Promise.all([
-        fetchJSON('/api/wallets'),
-        fetchJSON('/api/status'),
-      ])
-      setCfg(c); setCfgText(JSON.stringify(c, null, 2)); setStatus(s)
+      const res = await fetchChecked('/api/wallets')
+      const c = await res.json()
+      setCfg(c); setCfgRev(revOf(res))
     } catch (e) { setErr(String(e.message || e)); await sleep(800); setErr('') }
   }
   useEffect(() => { loadAll() }, [])
-  usePolling(async () => { try { const s = await fetchJSON('/api/status'); setStatus(s) } catch { /* ignore transient */ } }, [setStatus], 2000)
-  usePolling(async () => { try { const r = await fetchJSON('/api/logs?limit=200'); setLogs(r.lines || []) } catch { /* ignore */ } }, [setStatus], 2000)
 
-  const [logs, setLogs] = useState([])
   async function startWatcher() {
     setLoading(true); setMsg(''); setErr('')
     try {
       const body = { ...form }
+      if (!body.networks) delete body.networks
       if (!body.only) delete body.only
       if (!body.usdDelta || isNaN(body.usdDelta)) delete body.usdDelta
       if (!body.interval || isNaN(body.interval)) delete body.interval
       if (!body.concurrency || isNaN(body.concurrency)) delete body.concurrency
-      await fetchJSON('/api/watcher/start', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(body) })
+      await postJSON('/api/watcher/start', body)
       await loadAll()
       setMsg('Watcher started')
     } catch (e) { setErr(`Start failed: ${String(e.message || e)}`) } finally { setLoading(false); setTimeout(()=>setMsg(''), 1500) }
@@ -75,19 +626,21 @@ function App() {
   async function stopWatcher() {
     setLoading(true); setMsg(''); setErr('')
     try {
-      await fetch('/api/watcher/stop', { method:'POST' })
+      await postJSON('/api/watcher/stop')
       await loadAll()
       setMsg('Watcher stopped')
     } catch (e) { setErr(`Stop failed: ${String(e.message || e)}`) } finally { setLoading(false); setTimeout(()=>setMsg(''), 1500) }
   }
-  async function saveCfg() {
+  async function saveCfg(next) {
     setLoading(true); setMsg(''); setErr('')
     try {
-      const next = JSON.parse(cfgText)
-      await fetch('/api/wallets', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(next) })
-      setCfg(next)
-      setMsg('Config saved')
-    } catch (e) { setErr(`Save failed: ${String(e.message || e)}`) } finally { setLoading(false); setTimeout(()=>setMsg(''), 1500) }
+      // If-Match: the server refuses the save (409) when someone else saved since this copy was loaded
+      const r = await postJSON('/api/wallets', next, 'POST', cfgRev ? { 'If-Match': `"rev-${cfgRev}"` } : {})
+      setCfg(next); setCfgRev(r.rev)
+      setMsg(r.changed ? `Config saved (revision ${r.rev})${status.running ? ', watcher reloading' : ''}` : 'No changes')
+    } catch (e) {
+      setErr(e.status === 409 ? `Not saved: ${e.message}. Copy your edits (raw JSON), press Reload and apply them again.` : `Save failed: ${String(e.message || e)}`)
+    } finally { setLoading(false); setTimeout(()=>setMsg(''), 1500) }
   }
 
   return (
@@ -97,7 +650,7 @@ function App() {
         .col{display:flex;flex-direction:column;gap:6px}
         .card{border:1px solid #e5e7eb;border-radius:10px;padding:16px;background:#fff;box-shadow:0 1px 2px rgba(0,0,0,0.04)}
         label{font-size:12px;color:#374151}
-        input,textarea{border:1px solid #d1d5db;border-radius:8px;padding:8px 10px;font-size:14px;font-family:inherit}
+        input,textarea,select{border:1px solid #d1d5db;border-radius:8px;padding:8px 10px;font-size:14px;font-family:inherit}
         textarea{min-height:240px;resize:vertical}
         .btn{border:none;border-radius:8px;padding:8px 12px;font-weight:600;cursor:pointer}
         .btn:disabled{opacity:.6;cursor:not-allowed}
@@ -107,17 +660,23 @@ function App() {
         .muted{color:#6b7280}
         .spacer{height:16px}
       `}</style>
-      <h1 style={{margin:'6px 0 16px'}}>Wallet Watcher</h1>
+      <div className="row" style={{justifyContent:'space-between'}}>
+        <h1 style={{margin:'6px 0 16px'}}>Wallet Watcher</h1>
+        <div className="row" style={{gap:8}}>
+          <span className="muted">{me.username} ({me.role})</span>
+          <button className="btn secondary" onClick={onLogout}>Log out</button>
+        </div>
+      </div>
 
       <div className="card" style={{marginBottom:16}}>
         <div className="row" style={{justifyContent:'space-between'}}>
           <div className="row" style={{gap:10}}>
             <Badge ok={!!status.running}>{status.running ? 'Running' : 'Stopped'}</Badge>
-            <span className="muted">Status updates every 2s</span>
+            <span className="muted">{connected ? 'Live' : 'Reconnecting…'}</span>
           </div>
           <div className="row">
-            <button className="btn primary" disabled={loading || status.running} onClick={startWatcher}>Start</button>
-            <button className="btn danger" disabled={loading || !status.running} onClick={stopWatcher}>Stop</button>
+            {isAdmin && <button className="btn primary" disabled={loading || status.running} onClick={startWatcher}>Start</button>}
+            {isAdmin && <button className="btn danger" disabled={loading || !status.running} onClick={stopWatcher}>Stop</button>}
             <button className="btn secondary" disabled={loading} onClick={loadAll}>Refresh</button>
           </div>
         </div>
@@ -125,14 +684,22 @@ function App() {
         {err && <div style={{marginTop:8,color:'#7f1d1d',background:'#fef2f2',border:'1px solid #fecaca',borderRadius:8,padding:'8px 10px'}}>{err}</div>}
       </div>
 
-  <div className="row" style={{gap:16, alignItems:'flex-start'}}>
-        <div className="card" style={{flex:1}}>
+      <BalancesPanel snapshots={snapshots} />
+
+      <div className="spacer"/>
+  <div className="row" style={{gap:16, alignItems:'flex-start', flexWrap:'wrap'}}>
+        {isAdmin && <div className="card" style={{flex:1}}>
           <h2 style={{marginTop:0}}>Watcher settings</h2>
           <div className="row" style={{gap:12, flexWrap:'wrap'}}>
+            <div className="col" style={{minWidth:180}}>
+              <label>Networks (optional)</label>
+              <input placeholder="mainnets" value={form.networks} onChange={e=>setForm(f=>({ ...f, networks: e.target.value }))} />
+              <small className="muted">mainnets, testnets, all or a profile from networks.json.</small>
+            </div>
             <div className="col" style={{minWidth:220}}>
               <label>Only networks (comma, optional)</label>
               <input placeholder="eth,polygon,bsc" value={form.only} onChange={e=>setForm(f=>({ ...f, only: e.target.value }))} />
-              <small className="muted">Leave empty to scan all supported networks.</small>
+              <small className="muted">Leave empty to scan every selected network.</small>
             </div>
             <div className="col" style={{minWidth:160}}>
               <label>Interval (ms)</label>
@@ -152,58 +719,47 @@ function App() {
             <button className="btn primary" disabled={loading || status.running} onClick={startWatcher}>Start watcher</button>
             <button className="btn danger" disabled={loading || !status.running} onClick={stopWatcher}>Stop watcher</button>
           </div>
-        </div>
+        </div>}
 
-  <div className="card" style={{flex:1}}>
-          <h2 style={{marginTop:0}}>Config (wallets.json)</h2>
-          <div className="muted" style={{marginBottom:6}}>
-            Tip: You can add non‑EVM wallets using prefixes: <code>sol:ADDRESS</code> or <code>tron:ADDRESS</code> (label and email still work).
-          </div>
-          <div className="row" style={{gap:8, flexWrap:'wrap', marginBottom:8}}>
-            <input style={{minWidth:260}} placeholder="0x... wallet address" value={quick.address} onChange={e=>setQuick(q=>({...q,address:e.target.value}))} />
-            <input style={{minWidth:160}} placeholder="label (optional)" value={quick.label} onChange={e=>setQuick(q=>({...q,label:e.target.value}))} />
-            <input style={{minWidth:240}} placeholder="email (optional)" value={quick.email} onChange={e=>setQuick(q=>({...q,email:e.target.value}))} />
-            <button className="btn secondary" onClick={()=>{
-              try{
-                const data = JSON.parse(cfgText || '[]')
-                const entry = [quick.address, quick.label, quick.email].filter(Boolean).join(' ')
-                if (!entry) return
-                if (Array.isArray(data) && data.length>0 && data[0] && typeof data[0]==='object'){
-                  data[0].wallets = data[0].wallets || []
-                  data[0].wallets.push(entry)
-                } else {
-                  data.splice(0,data.length, { user:'default', email:'', wallets:[entry] })
-                }
-                setCfgText(JSON.stringify(data,null,2))
-                setQuick({address:'',label:'',email:''})
-              }catch{ /* ignore */ }
-            }}>Add wallet</button>
-          </div>
-          <textarea value={cfgText} onChange={e=>setCfgText(e.target.value)} spellCheck={false} />
-          {cfgError ? (
-            <div style={{marginTop:8,color:'#7f1d1d',background:'#fef2f2',border:'1px solid #fecaca',borderRadius:8,padding:'8px 10px'}}>JSON error: {cfgError}</div>
-          ) : (
-            <div className="muted" style={{marginTop:6}}>{Array.isArray(cfg) ? `${cfg.length} user(s) configured` : 'Root must be an array of users'}</div>
-          )}
-          <div className="spacer"/>
-          <div className="row">
-            <button className="btn primary" disabled={loading || !!cfgError} onClick={saveCfg}>Save config</button>
-            <button className="btn secondary" disabled={loading} onClick={()=>setCfgText(JSON.stringify(cfg, null, 2))}>Reformat</button>
-            <button className="btn secondary" disabled={loading} onClick={loadAll}>Reload</button>
-          </div>
-        </div>
+        <ConfigEditor cfg={cfg} isAdmin={isAdmin} me={me} loading={loading} newerCfg={newerCfg} onSave={saveCfg} onReload={loadAll} />
       </div>
 
       <div className="spacer"/>
+      <HistoryPanel cfg={cfg} snapshots={snapshots} />
+
+      <div className="spacer"/>
+      <EventsPanel events={events} />
+
+      {isAdmin && <><div className="spacer"/>
       <div className="card">
         <h2 style={{marginTop:0}}>Watcher logs</h2>
         {!status.running && <div className="muted" style={{marginBottom:8}}>Watcher is stopped. Start it to see live logs.</div>}
         <pre style={{background:'#0b1020', color:'#d1e7ff', padding:10, borderRadius:8, maxHeight:280, overflow:'auto'}}>
 {(logs && logs.length ? logs : ['<no logs>']).join('\n')}
         </pre>
-      </div>
+      </div></>}
+
+      <div className="spacer"/>
+      <AccountPanel me={me} />
     </div>
   )
 }
 
-createRoot(document.getElementById('root')).render(<App />)
+// Session gate: the app once /api/auth/me answers, the login form otherwise
+function Root() {
+  const [me, setMe] = useState(undefined)
+  useEffect(() => {
+    fetchJSON('/api/auth/me').then(setMe).catch(() => setMe(null))
+    const onLogout = () => setMe(null)
+    window.addEventListener('ww-logout', onLogout)
+    return () => window.removeEventListener('ww-logout', onLogout)
+  }, [])
+  async function logout() {
+    await fetch('/api/auth/logout', { method:'POST' }).catch(() => {})
+    setMe(null)
+  }
+  if (me === undefined) return null
+  return me ? <App me={me} onLogout={logout} /> : <Login onLogin={setMe} />
+}
+
+createRoot(document.getElementById('root')).render(<Root />)